@@ -0,0 +1,428 @@
+/**
+ * Alerting Rules Engine
+ * Evaluates configured rules against incoming articles and fires an alert the
+ * first time an article matches a rule
+ *
+ * Rules are boolean expressions over article fields, e.g.
+ *   source = "CISA" AND (cvss >= 9 OR title mentions "actively exploited")
+ *   text matches /lockbit|blackcat/i AND NOT title contains "webinar"
+ *
+ * Fields:    title, source, text (description + full text), any (title + text),
+ *            cve (CVE IDs), cvss (highest CVSS score, or none)
+ * Operators: contains "s"   case-insensitive substring
+ *            mentions "s"   case-insensitive whole-word/phrase match
+ *            matches /re/f  regular expression
+ *            = "s", != "s"  case-insensitive equality
+ *            =, !=, >, >=, <, <= number  (cvss only)
+ * Combine with AND, OR, NOT and parentheses.
+ *
+ * Fired alerts are appended to a JSONL log, which rotates like the request log
+ * (logging.maxFileSize and maxFiles). Which rule fired for which article is kept
+ * in a separate file, so an article never alerts twice for the same rule, even
+ * across restarts and however often the log rotates. A fired key is dropped once
+ * its article hasn't matched the rule for FIRED_RETENTION_DAYS, long after the
+ * article has left the cache.
+ */
+
+import fs from 'fs';
+import { RotatingLog } from './logs.js';
+
+export const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+export const ALERT_ACTIONS = ['log', 'stream', 'notify'];
+export const DEFAULT_ALERT_ACTIONS = ['log', 'stream'];
+const MAX_RECENT_ALERTS = 500;
+export const FIRED_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STRING_FIELDS = ['title', 'source', 'text', 'any', 'cve'];
+const NUMBER_FIELDS = ['cvss'];
+const STRING_OPERATORS = ['contains', 'mentions', 'matches', '=', '!='];
+const NUMBER_OPERATORS = ['=', '!=', '>', '>=', '<', '<='];
+
+/**
+ * Split an expression into tokens
+ */
+function tokenizeExpression(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, pos: i });
+            i++;
+        } else if (ch === '"') {
+            let value = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== '"') {
+                if (source[j] === '\\' && j + 1 < source.length) j++;
+                value += source[j++];
+            }
+            if (j >= source.length) throw new Error(`Unterminated string at position ${i}`);
+            tokens.push({ type: 'string', value, pos: i });
+            i = j + 1;
+        } else if (ch === '/') {
+            let pattern = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== '/') {
+                if (source[j] === '\\' && j + 1 < source.length) pattern += source[j++];
+                pattern += source[j++];
+            }
+            if (j >= source.length) throw new Error(`Unterminated regex at position ${i}`);
+            const flags = source.slice(j + 1).match(/^[a-z]*/)[0];
+            tokens.push({ type: 'regex', pattern, flags, pos: i });
+            i = j + 1 + flags.length;
+        } else if (/[<>!=]/.test(ch)) {
+            const op = source.slice(i).match(/^(>=|<=|!=|=|>|<)/)?.[0];
+            if (!op) throw new Error(`Unexpected "${ch}" at position ${i}`);
+            tokens.push({ type: 'op', value: op, pos: i });
+            i += op.length;
+        } else if (/[\d.]/.test(ch)) {
+            const number = source.slice(i).match(/^\d+(\.\d+)?|^\.\d+/)[0];
+            tokens.push({ type: 'number', value: parseFloat(number), pos: i });
+            i += number.length;
+        } else if (/[A-Za-z_]/.test(ch)) {
+            const word = source.slice(i).match(/^[A-Za-z_]+/)[0];
+            tokens.push({ type: 'word', value: word.toLowerCase(), pos: i });
+            i += word.length;
+        } else {
+            throw new Error(`Unexpected "${ch}" at position ${i}`);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Recursive descent parser producing a predicate function
+ */
+class ExpressionParser {
+    constructor(source) {
+        this.tokens = tokenizeExpression(source);
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isKeyword(word) {
+        const token = this.peek();
+        return token?.type === 'word' && token.value === word;
+    }
+
+    parse() {
+        if (this.tokens.length === 0) throw new Error('Empty expression');
+        const predicate = this.parseOr();
+        const extra = this.peek();
+        if (extra) throw new Error(`Unexpected token at position ${extra.pos}`);
+        return predicate;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.isKeyword('or')) {
+            this.next();
+            const a = left;
+            const b = this.parseAnd();
+            left = (ctx) => a(ctx) || b(ctx);
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.isKeyword('and')) {
+            this.next();
+            const a = left;
+            const b = this.parseNot();
+            left = (ctx) => a(ctx) && b(ctx);
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.isKeyword('not')) {
+            this.next();
+            const inner = this.parseNot();
+            return (ctx) => !inner(ctx);
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (token.type === '(') {
+            this.next();
+            const inner = this.parseOr();
+            if (this.next()?.type !== ')') throw new Error(`Missing ")" for "(" at position ${token.pos}`);
+            return inner;
+        }
+
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const fieldToken = this.next();
+        if (fieldToken.type !== 'word' || ![...STRING_FIELDS, ...NUMBER_FIELDS].includes(fieldToken.value)) {
+            throw new Error(`Expected a field (${[...STRING_FIELDS, ...NUMBER_FIELDS].join(', ')}) at position ${fieldToken.pos}`);
+        }
+        const field = fieldToken.value;
+
+        const opToken = this.next();
+        const op = opToken?.value;
+        if (!opToken || (opToken.type !== 'word' && opToken.type !== 'op')) {
+            throw new Error(`Expected an operator after "${field}"`);
+        }
+
+        const valueToken = this.next();
+        if (!valueToken) throw new Error(`Expected a value after "${field} ${op}"`);
+
+        if (NUMBER_FIELDS.includes(field)) {
+            if (!NUMBER_OPERATORS.includes(op)) throw new Error(`"${field}" supports ${NUMBER_OPERATORS.join(' ')} (got "${op}")`);
+            if (valueToken.type !== 'number') throw new Error(`"${field} ${op}" needs a number at position ${valueToken.pos}`);
+            return compareNumber(field, op, valueToken.value);
+        }
+
+        if (!STRING_OPERATORS.includes(op)) throw new Error(`"${field}" supports ${STRING_OPERATORS.join(', ')} (got "${op}")`);
+
+        if (op === 'matches') {
+            if (valueToken.type !== 'regex') throw new Error(`"matches" needs a /regex/ at position ${valueToken.pos}`);
+            let regex;
+            try {
+                regex = new RegExp(valueToken.pattern, valueToken.flags.replace(/[gy]/g, ''));
+            } catch (error) {
+                throw new Error(`Invalid regex at position ${valueToken.pos}: ${error.message}`);
+            }
+            return (ctx) => regex.test(ctx[field]);
+        }
+
+        if (valueToken.type !== 'string') throw new Error(`"${op}" needs a "quoted string" at position ${valueToken.pos}`);
+        const needle = valueToken.value.toLowerCase();
+
+        if (op === 'contains') {
+            return (ctx) => ctx[field].toLowerCase().includes(needle);
+        }
+        if (op === 'mentions') {
+            const words = needle.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+            const regex = new RegExp(`(?<![\\p{L}\\p{N}])${words}(?![\\p{L}\\p{N}])`, 'iu');
+            return (ctx) => regex.test(ctx[field]);
+        }
+        if (op === '=') {
+            return (ctx) => ctx[field].toLowerCase() === needle;
+        }
+        return (ctx) => ctx[field].toLowerCase() !== needle;
+    }
+}
+
+/**
+ * Numeric comparison; items without a value never match
+ */
+function compareNumber(field, op, value) {
+    const compare = {
+        '=': (a) => a === value,
+        '!=': (a) => a !== value,
+        '>': (a) => a > value,
+        '>=': (a) => a >= value,
+        '<': (a) => a < value,
+        '<=': (a) => a <= value
+    }[op];
+    return (ctx) => ctx[field] !== null && compare(ctx[field]);
+}
+
+/**
+ * Compile a rule expression into a predicate
+ * @param {string} expression - Rule expression
+ * @returns {Function} Predicate taking a rule context (see ruleContext)
+ * @throws {Error} On syntax errors
+ */
+export function compileRuleExpression(expression) {
+    return new ExpressionParser(expression).parse();
+}
+
+/**
+ * Fields a rule can test, derived from an item
+ */
+function ruleContext(item) {
+    const text = `${item.description || ''}\n${item.fullText || ''}`;
+    const scores = (item.cves || []).map(cve => cve.cvssScore).filter(score => score !== null && score !== undefined);
+    return {
+        title: item.title || '',
+        source: item.source || '',
+        text,
+        any: `${item.title || ''}\n${text}`,
+        cve: (item.cves || []).map(cve => cve.id).join(' '),
+        cvss: scores.length > 0 ? Math.max(...scores) : null
+    };
+}
+
+/**
+ * Rank of a severity (higher is more severe)
+ */
+export function severityRank(severity) {
+    return SEVERITIES.indexOf(severity);
+}
+
+export class AlertEngine {
+    /**
+     * @param {string} filePath - JSONL log of fired alerts
+     * @param {string} firedFilePath - JSON file of fired rule/article keys
+     * @param {{maxFileSize?: number, maxFiles?: number}} logOptions - Rotation limits
+     */
+    constructor(filePath, firedFilePath, logOptions = {}) {
+        this.log = new RotatingLog(filePath, logOptions);
+        this.firedFilePath = firedFilePath;
+        this.rules = [];
+        // "rule\nitemId" -> when the article last matched the rule
+        this.fired = new Map();
+        this.recent = [];
+    }
+
+    /**
+     * Compile rules from config; invalid or disabled rules are skipped
+     * @param {AlertRule[]} ruleConfigs - alertRules from config
+     */
+    setRules(ruleConfigs = []) {
+        this.rules = [];
+        for (const rule of ruleConfigs) {
+            if (rule.enabled === false) continue;
+            try {
+                this.rules.push({
+                    name: rule.name,
+                    when: rule.when,
+                    severity: rule.severity || 'medium',
+                    actions: rule.actions || DEFAULT_ALERT_ACTIONS,
+                    test: compileRuleExpression(rule.when)
+                });
+            } catch (error) {
+                console.warn(`⚠️  Skipping alert rule "${rule.name}": ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Set log rotation limits (the logging section of the config)
+     * @param {{maxFileSize?: number, maxFiles?: number}} logOptions
+     */
+    configure(logOptions) {
+        this.log.configure(logOptions);
+    }
+
+    /**
+     * Load fired keys, and recent alerts from the log (including rotated files)
+     * Without a fired-keys file (data from before it existed) the keys are
+     * rebuilt from the log. Malformed log lines are skipped.
+     */
+    load() {
+        this.fired.clear();
+
+        const alerts = this.log.query(() => true, Infinity).reverse();
+        this.recent = alerts.slice(-MAX_RECENT_ALERTS);
+
+        if (fs.existsSync(this.firedFilePath)) {
+            const data = JSON.parse(fs.readFileSync(this.firedFilePath, 'utf8'));
+            this.fired = new Map(Object.entries(data.fired || {}));
+        } else {
+            for (const alert of alerts) {
+                this.fired.set(`${alert.rule}\n${alert.itemId}`, alert.firedAt);
+            }
+        }
+    }
+
+    /**
+     * Drop fired keys not matched for FIRED_RETENTION_DAYS and write the rest
+     * @param {Date} now - Current time
+     */
+    saveFired(now = new Date()) {
+        const cutoff = now.getTime() - FIRED_RETENTION_DAYS * DAY_MS;
+        for (const [key, lastMatched] of this.fired) {
+            if (new Date(lastMatched).getTime() < cutoff) this.fired.delete(key);
+        }
+
+        const tempPath = `${this.firedFilePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ fired: Object.fromEntries(this.fired) }));
+        fs.renameSync(tempPath, this.firedFilePath);
+    }
+
+    /**
+     * Evaluate all rules against items
+     * Sets item.alerts to the matching rules (most severe first) and returns the
+     * alerts that fired for the first time.
+     * @param {FeedItem[]} items - Items to evaluate (modified in place)
+     * @param {Date} now - Time of evaluation
+     * @returns {Alert[]} Newly fired alerts
+     */
+    evaluate(items, now = new Date()) {
+        const newAlerts = [];
+        const matchedAt = now.toISOString();
+
+        for (const item of items) {
+            const context = ruleContext(item);
+            const matched = this.rules.filter(rule => {
+                try {
+                    return rule.test(context);
+                } catch {
+                    return false;
+                }
+            });
+
+            item.alerts = matched
+                .map(rule => ({ rule: rule.name, severity: rule.severity }))
+                .sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+
+            for (const rule of matched) {
+                const key = `${rule.name}\n${item.id}`;
+                const alreadyFired = this.fired.has(key);
+                this.fired.set(key, matchedAt);
+                if (alreadyFired) continue;
+
+                newAlerts.push({
+                    rule: rule.name,
+                    severity: rule.severity,
+                    actions: rule.actions,
+                    itemId: item.id,
+                    title: item.title,
+                    link: item.link,
+                    source: item.source,
+                    pubDate: item.pubDate,
+                    firedAt: matchedAt
+                });
+            }
+        }
+
+        this.saveFired(now);
+
+        if (newAlerts.length > 0) {
+            newAlerts.forEach(alert => this.log.append(alert));
+            this.recent.push(...newAlerts);
+            this.recent = this.recent.slice(-MAX_RECENT_ALERTS);
+        }
+
+        return newAlerts;
+    }
+
+    /**
+     * Recently fired alerts, newest first
+     * @param {number} limit - Max alerts
+     * @returns {Alert[]}
+     */
+    getRecent(limit = 100) {
+        return this.recent.slice(-limit).reverse();
+    }
+}
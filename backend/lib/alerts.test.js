@@ -0,0 +1,144 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AlertEngine, compileRuleExpression, FIRED_RETENTION_DAYS } from './alerts.js';
+
+const tempDirs = [];
+
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function dataDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedviz-alerts-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+/**
+ * Rule context as built by the engine for an item
+ */
+function context(fields = {}) {
+    const text = fields.text ?? '';
+    const title = fields.title ?? '';
+    return { title, source: '', cve: '', cvss: null, ...fields, text, any: `${title}\n${text}` };
+}
+
+function matches(expression, fields) {
+    return compileRuleExpression(expression)(context(fields));
+}
+
+test('AND binds tighter than OR, and NOT tighter than AND', () => {
+    const expression = 'title contains "a" OR title contains "b" AND title contains "c"';
+    assert.equal(matches(expression, { title: 'a' }), true);
+    assert.equal(matches(expression, { title: 'b' }), false);
+    assert.equal(matches(expression, { title: 'b c' }), true);
+
+    assert.equal(matches('NOT title contains "a" AND title contains "b"', { title: 'b' }), true);
+    assert.equal(matches('NOT title contains "a" AND title contains "b"', { title: 'a b' }), false);
+    assert.equal(matches('(title contains "a" OR title contains "b") AND title contains "c"', { title: 'b' }), false);
+    assert.equal(matches('not (title contains "a" or title contains "b")', { title: 'c' }), true);
+});
+
+test('quoted strings keep spaces, operators and escaped quotes', () => {
+    assert.equal(matches('title contains "AND (x)"', { title: 'this AND (X) that' }), true);
+    assert.equal(matches('title contains "say \\"hi\\""', { title: 'they say "hi"' }), true);
+    assert.equal(matches('source = "cisa"', { source: 'CISA' }), true);
+    assert.equal(matches('source != "CISA"', { source: 'cisa' }), false);
+});
+
+test('mentions matches whole words and phrases only', () => {
+    assert.equal(matches('title mentions "actively exploited"', { title: 'Bug actively  exploited now' }), true);
+    assert.equal(matches('title mentions "rce"', { title: 'Force push' }), false);
+    assert.equal(matches('title mentions "rce"', { title: 'Critical RCE.' }), true);
+});
+
+test('matches takes a regex with flags', () => {
+    assert.equal(matches('text matches /lock(bit|er)/i', { text: 'LockBit returns' }), true);
+    assert.equal(matches('text matches /lock(bit|er)/', { text: 'LockBit returns' }), false);
+    assert.equal(matches('any matches /a\\/b/', { title: 'path a/b' }), true);
+
+    // A global flag would make test() stateful across items
+    const predicate = compileRuleExpression('title matches /x/g');
+    assert.equal(predicate(context({ title: 'x' })), true);
+    assert.equal(predicate(context({ title: 'x' })), true);
+});
+
+test('cvss compares numbers and never matches without a score', () => {
+    assert.equal(matches('cvss >= 9', { cvss: 9.8 }), true);
+    assert.equal(matches('cvss >= 9', { cvss: 8.8 }), false);
+    assert.equal(matches('cvss < 4.5', { cvss: 4 }), true);
+    assert.equal(matches('cvss = 10', { cvss: 10 }), true);
+    assert.equal(matches('cvss != 10', { cvss: null }), false);
+    assert.equal(matches('cvss <= .5', { cvss: 0.5 }), true);
+});
+
+test('syntax errors are reported with their position', () => {
+    assert.throws(() => compileRuleExpression(''), /Empty expression/);
+    assert.throws(() => compileRuleExpression('title contains "open'), /Unterminated string at position 15/);
+    assert.throws(() => compileRuleExpression('title matches /open'), /Unterminated regex/);
+    assert.throws(() => compileRuleExpression('body contains "x"'), /Expected a field/);
+    assert.throws(() => compileRuleExpression('title > "x"'), /"title" supports/);
+    assert.throws(() => compileRuleExpression('cvss contains "9"'), /"cvss" supports/);
+    assert.throws(() => compileRuleExpression('cvss >= "9"'), /needs a number/);
+    assert.throws(() => compileRuleExpression('title matches "x"'), /needs a \/regex\//);
+    assert.throws(() => compileRuleExpression('title matches /(/'), /Invalid regex/);
+    assert.throws(() => compileRuleExpression('(title contains "x"'), /Missing "\)"/);
+    assert.throws(() => compileRuleExpression('title contains "x" title'), /Unexpected token at position 19/);
+    assert.throws(() => compileRuleExpression('title contains "x" AND'), /Unexpected end of expression/);
+    assert.throws(() => compileRuleExpression('title contains "x" & y'), /Unexpected "&"/);
+});
+
+test('an article alerts once per rule, across restarts and log rotation', () => {
+    const dir = dataDir();
+    const logPath = path.join(dir, 'alerts.jsonl');
+    const firedPath = path.join(dir, 'alerts-fired.json');
+    const rules = [{ name: 'Exploited', when: 'title mentions "exploited"', severity: 'high' }];
+    const items = () => [
+        { id: 'a1', title: 'Bug exploited', source: 'alpha' },
+        { id: 'a2', title: 'Quiet day', source: 'alpha' }
+    ];
+
+    const engine = new AlertEngine(logPath, firedPath, { maxFileSize: 1, maxFiles: 1 });
+    engine.setRules(rules);
+    const evaluated = items();
+    assert.deepEqual(engine.evaluate(evaluated).map(alert => alert.itemId), ['a1']);
+    assert.deepEqual(evaluated[0].alerts, [{ rule: 'Exploited', severity: 'high' }]);
+    assert.deepEqual(engine.evaluate(items()), []);
+
+    // Push the alert out of the rotated log files
+    engine.log.append({ filler: 1 });
+    engine.log.append({ filler: 2 });
+    assert.equal(engine.log.query(alert => alert.itemId === 'a1', Infinity).length, 0);
+
+    const restarted = new AlertEngine(logPath, firedPath, { maxFileSize: 1, maxFiles: 1 });
+    restarted.setRules(rules);
+    restarted.load();
+    assert.deepEqual(restarted.evaluate(items()), []);
+});
+
+test('fired keys are rebuilt from the log when there is no fired-keys file', () => {
+    const dir = dataDir();
+    const logPath = path.join(dir, 'alerts.jsonl');
+    fs.writeFileSync(logPath, JSON.stringify({ rule: 'Exploited', itemId: 'a1', firedAt: new Date().toISOString() }) + '\n');
+
+    const engine = new AlertEngine(logPath, path.join(dir, 'alerts-fired.json'));
+    engine.setRules([{ name: 'Exploited', when: 'title mentions "exploited"' }]);
+    engine.load();
+    assert.equal(engine.getRecent().length, 1);
+    assert.deepEqual(engine.evaluate([{ id: 'a1', title: 'Bug exploited' }]), []);
+});
+
+test('fired keys expire once the article stops matching', () => {
+    const dir = dataDir();
+    const engine = new AlertEngine(path.join(dir, 'alerts.jsonl'), path.join(dir, 'alerts-fired.json'));
+    engine.setRules([{ name: 'Exploited', when: 'title mentions "exploited"' }]);
+
+    const start = new Date('2026-01-01T00:00:00Z');
+    engine.evaluate([{ id: 'a1', title: 'Bug exploited' }], start);
+    engine.evaluate([], new Date(start.getTime() + (FIRED_RETENTION_DAYS - 1) * 24 * 60 * 60 * 1000));
+    assert.equal(engine.fired.size, 1);
+
+    engine.evaluate([], new Date(start.getTime() + (FIRED_RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000));
+    assert.equal(engine.fired.size, 0);
+});
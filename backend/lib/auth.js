@@ -0,0 +1,431 @@
+/**
+ * Authentication and Roles
+ * Local user accounts and API keys for the backend API
+ *
+ * Accounts live in their own JSON file rather than config.json, since the
+ * frontend serves that file publicly. Passwords are stored as scrypt hashes and
+ * API keys as SHA-256 hashes; a key is only shown once, when it is created.
+ *
+ * Users log in for a session token, machine clients use an API key. Both are
+ * sent as "Authorization: Bearer <token>" (or X-API-Key), never in the URL.
+ * EventSource can't set headers, so the event stream instead takes a stream
+ * token in ?stream_token=: it is issued to an authenticated client, works once
+ * and only on that endpoint, and expires after a minute.
+ *
+ * Roles are ordered: a viewer can read, an analyst can also trigger refreshes
+ * and test notifiers, and an admin can change sources, clear the cache and
+ * manage accounts.
+ *
+ * Auth is on unless the config turns it off, and requests without credentials
+ * are viewers by default, so a wall display works out of the box but changing
+ * anything needs an account or API key. With auth turned off every request is a
+ * viewer; the API is then read-only and changes go through the interactive menu.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+export const ROLES = ['viewer', 'analyst', 'admin'];
+// Role given to requests without credentials ('none' requires credentials for every route)
+export const ANONYMOUS_ROLES = ['none', 'viewer', 'analyst'];
+export const DEFAULT_ANONYMOUS_ROLE = 'viewer';
+export const DEFAULT_SESSION_TTL = 12 * 60 * 60 * 1000;
+
+const API_KEY_PREFIX = 'fvz_';
+const SCRYPT_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCKOUT = 15 * 60 * 1000;
+export const STREAM_TOKEN_TTL = 60 * 1000;
+
+/**
+ * Rank of a role (-1 for unknown roles)
+ */
+export function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+/**
+ * Whether a role meets the required role
+ */
+export function hasRole(role, required) {
+    return roleRank(role) >= 0 && roleRank(role) >= roleRank(required);
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {string} "scrypt$<salt>$<hash>" (base64)
+ */
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Compared against for unknown users, so they cost the same single scrypt as known ones
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('base64'));
+
+/**
+ * Check a password against a stored hash (constant time)
+ */
+export function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * SHA-256 of a token; session tokens and API keys are only kept hashed
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Error for invalid input, reported as 400 by the API
+ */
+function invalid(message) {
+    const error = new Error(message);
+    error.validationErrors = [message];
+    return error;
+}
+
+function checkRole(role) {
+    if (!ROLES.includes(role)) throw invalid(`role must be one of ${ROLES.join(', ')}`);
+}
+
+function checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw invalid(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+/**
+ * Credentials sent with a request, if any
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+export function getRequestToken(req) {
+    const header = req.headers.authorization;
+    if (header?.startsWith('Bearer ')) return header.slice(7).trim() || null;
+    if (req.headers['x-api-key']) return String(req.headers['x-api-key']).trim() || null;
+    return null;
+}
+
+export class AuthStore {
+    /**
+     * @param {string} filePath - JSON file with users and API keys
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.users = [];
+        this.apiKeys = [];
+        this.sessions = new Map();
+        this.streamTokens = new Map();
+        this.loginFailures = new Map();
+        this.configure();
+    }
+
+    /**
+     * Apply the auth section of the config
+     * @param {{enabled?: boolean, anonymousRole?: string, sessionTtl?: number}} authConfig
+     */
+    configure(authConfig = {}) {
+        this.enabled = authConfig.enabled !== false;
+        this.anonymousRole = authConfig.anonymousRole || DEFAULT_ANONYMOUS_ROLE;
+        this.sessionTtl = authConfig.sessionTtl || DEFAULT_SESSION_TTL;
+    }
+
+    /**
+     * Load users and API keys
+     */
+    load() {
+        this.users = [];
+        this.apiKeys = [];
+        if (!fs.existsSync(this.filePath)) return;
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.users = Array.isArray(data.users) ? data.users : [];
+        this.apiKeys = Array.isArray(data.apiKeys) ? data.apiKeys : [];
+    }
+
+    /**
+     * Write users and API keys (readable by the owner only)
+     */
+    save() {
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ users: this.users, apiKeys: this.apiKeys }, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Create the first admin account if there are no users yet
+     * @returns {boolean} Whether an account was created
+     */
+    bootstrapAdmin(username, password) {
+        if (this.users.length > 0 || !password) return false;
+        this.createUser({ username, password, role: 'admin' });
+        return true;
+    }
+
+    getUser(username) {
+        return this.users.find(user => user.username === username) || null;
+    }
+
+    /**
+     * Users without their password hashes
+     */
+    listUsers() {
+        return this.users.map(({ username, role, createdAt, updatedAt }) => ({ username, role, createdAt, updatedAt }));
+    }
+
+    /**
+     * Create a local user account
+     * @throws {Error} With validationErrors if the input is invalid
+     */
+    createUser({ username, password, role = 'viewer' } = {}) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw invalid('username must be 1-64 letters, digits or . _ @ -');
+        }
+        checkPassword(password);
+        checkRole(role);
+
+        const user = { username, role, passwordHash: hashPassword(password), createdAt: new Date().toISOString() };
+        this.users.push(user);
+        this.save();
+        return this.listUsers().find(entry => entry.username === username);
+    }
+
+    /**
+     * Change a user's password and/or role
+     * Their sessions are ended so the change applies straight away.
+     */
+    updateUser(username, { password, role } = {}) {
+        const user = this.getUser(username);
+        if (password !== undefined) checkPassword(password);
+        if (role !== undefined) {
+            checkRole(role);
+            if (user.role === 'admin' && role !== 'admin') this.checkNotLastAdmin(username);
+        }
+
+        if (password !== undefined) user.passwordHash = hashPassword(password);
+        if (role !== undefined) user.role = role;
+        user.updatedAt = new Date().toISOString();
+        this.save();
+        this.endSessions(username);
+        return this.listUsers().find(entry => entry.username === username);
+    }
+
+    deleteUser(username) {
+        if (this.getUser(username)?.role === 'admin') this.checkNotLastAdmin(username);
+        this.users = this.users.filter(user => user.username !== username);
+        this.save();
+        this.endSessions(username);
+    }
+
+    /**
+     * Refuse to remove the only admin, which would lock everyone out of account management
+     */
+    checkNotLastAdmin(username) {
+        if (!this.users.some(user => user.role === 'admin' && user.username !== username)) {
+            throw invalid('cannot remove the last admin account');
+        }
+    }
+
+    /**
+     * API keys without their hashes
+     */
+    listApiKeys() {
+        return this.apiKeys.map(({ id, name, role, createdAt }) => ({ id, name, role, createdAt }));
+    }
+
+    /**
+     * Create an API key
+     * @returns {{key: string, apiKey: Object}} The key itself is only returned here
+     */
+    createApiKey({ name, role = 'viewer' } = {}) {
+        if (typeof name !== 'string' || name.trim() === '') throw invalid('name is required');
+        checkRole(role);
+
+        const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const id = crypto.randomBytes(6).toString('hex');
+        this.apiKeys.push({ id, name: name.trim(), role, keyHash: hashToken(key), createdAt: new Date().toISOString() });
+        this.save();
+        return { key, apiKey: this.listApiKeys().find(entry => entry.id === id) };
+    }
+
+    /**
+     * @returns {boolean} Whether the key existed
+     */
+    revokeApiKey(id) {
+        const count = this.apiKeys.length;
+        this.apiKeys = this.apiKeys.filter(apiKey => apiKey.id !== id);
+        if (this.apiKeys.length === count) return false;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Whether a client has failed to log in too often recently
+     */
+    isLockedOut(clientIp, now = Date.now()) {
+        const failures = this.loginFailures.get(clientIp);
+        return Boolean(failures && failures.count >= MAX_LOGIN_FAILURES && now - failures.lastAt < LOGIN_LOCKOUT);
+    }
+
+    /**
+     * Check a username and password and start a session
+     * @returns {{token: string, expiresAt: string, user: Object}|null} null if the credentials are wrong
+     */
+    login(username, password, clientIp, now = Date.now()) {
+        const user = typeof username === 'string' ? this.getUser(username) : null;
+        // Hash even for unknown users so response times don't reveal which usernames exist
+        const valid = typeof password === 'string'
+            && verifyPassword(password, user?.passwordHash || DUMMY_PASSWORD_HASH)
+            && Boolean(user);
+
+        if (!valid) {
+            const failures = this.loginFailures.get(clientIp);
+            const count = failures && now - failures.lastAt < LOGIN_LOCKOUT ? failures.count + 1 : 1;
+            this.loginFailures.set(clientIp, { count, lastAt: now });
+            return null;
+        }
+
+        this.loginFailures.delete(clientIp);
+        this.pruneSessions(now);
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = now + this.sessionTtl;
+        this.sessions.set(hashToken(token), { username: user.username, expiresAt });
+        return {
+            token,
+            expiresAt: new Date(expiresAt).toISOString(),
+            user: { username: user.username, role: user.role }
+        };
+    }
+
+    logout(token) {
+        this.sessions.delete(hashToken(token));
+    }
+
+    endSessions(username) {
+        for (const [key, session] of this.sessions) {
+            if (session.username === username) this.sessions.delete(key);
+        }
+    }
+
+    pruneSessions(now = Date.now()) {
+        for (const [key, session] of this.sessions) {
+            if (session.expiresAt <= now) this.sessions.delete(key);
+        }
+    }
+
+    /**
+     * Issue a one-time token for opening the event stream
+     * @param {{type: string, name: string|null, role: string}} identity - Who the token acts as
+     * @returns {{token: string, expiresAt: string}}
+     */
+    createStreamToken(identity, now = Date.now()) {
+        for (const [key, entry] of this.streamTokens) {
+            if (entry.expiresAt <= now) this.streamTokens.delete(key);
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const expiresAt = now + STREAM_TOKEN_TTL;
+        this.streamTokens.set(hashToken(token), { identity, expiresAt });
+        return { token, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    /**
+     * Use up a stream token
+     * @returns {{type: string, name: string|null, role: string}|null} null if unknown, used or expired
+     */
+    redeemStreamToken(token, now = Date.now()) {
+        const tokenHash = hashToken(token);
+        const entry = this.streamTokens.get(tokenHash);
+        this.streamTokens.delete(tokenHash);
+        return entry && entry.expiresAt > now ? entry.identity : null;
+    }
+
+    /**
+     * Identify the holder of a session token or API key
+     * The role is looked up each time, so role changes apply immediately.
+     * @returns {{type: string, name: string, role: string}|null}
+     */
+    authenticate(token, now = Date.now()) {
+        const tokenHash = hashToken(token);
+
+        const session = this.sessions.get(tokenHash);
+        if (session) {
+            const user = this.getUser(session.username);
+            if (user && session.expiresAt > now) {
+                return { type: 'user', name: user.username, role: user.role };
+            }
+            this.sessions.delete(tokenHash);
+            return null;
+        }
+
+        const apiKey = this.apiKeys.find(entry => entry.keyHash === tokenHash);
+        return apiKey ? { type: 'apiKey', name: apiKey.name, role: apiKey.role } : null;
+    }
+
+    /**
+     * Express middleware that sets req.auth
+     * With auth disabled every request gets the viewer role, so nothing can be changed over the API.
+     * Bad credentials leave req.auth null and set req.authError; requireRole rejects them.
+     * @param {Object} options
+     * @param {string} [options.streamPath] - Event stream route, the only one that takes ?stream_token=
+     */
+    middleware({ streamPath } = {}) {
+        return (req, res, next) => {
+            req.auth = null;
+            req.authError = null;
+
+            if (!this.enabled) {
+                req.auth = { type: 'none', name: null, role: 'viewer' };
+                return next();
+            }
+
+            const token = getRequestToken(req);
+            const streamToken = req.method === 'GET' && req.baseUrl + req.path === streamPath
+                ? req.query.stream_token
+                : undefined;
+            if (token) {
+                req.auth = this.authenticate(token);
+                if (!req.auth) req.authError = 'Invalid or expired credentials';
+            } else if (typeof streamToken === 'string') {
+                req.auth = this.redeemStreamToken(streamToken);
+                if (!req.auth) req.authError = 'Invalid or expired stream token';
+            } else if (this.anonymousRole !== 'none') {
+                req.auth = { type: 'anonymous', name: null, role: this.anonymousRole };
+            }
+            next();
+        };
+    }
+}
+
+/**
+ * Express middleware requiring at least the given role (after AuthStore#middleware)
+ * @param {string} role - Minimum role
+ */
+export function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.auth) {
+            return res.status(401)
+                .set('WWW-Authenticate', 'Bearer')
+                .json({ error: req.authError || 'Authentication required' });
+        }
+        if (!hasRole(req.auth.role, role)) {
+            const error = req.auth.type === 'none'
+                ? `This action requires the ${role} role, but authentication is disabled`
+                : `This action requires the ${role} role`;
+            return res.status(403).json({ error });
+        }
+        next();
+    };
+}
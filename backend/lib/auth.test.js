@@ -0,0 +1,173 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    AuthStore, hashPassword, verifyPassword, hasRole, requireRole, DEFAULT_SESSION_TTL, STREAM_TOKEN_TTL
+} from './auth.js';
+
+const PASSWORD = 'correct-horse-battery';
+const tempDirs = [];
+
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function createStore(authConfig) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedviz-auth-'));
+    tempDirs.push(dir);
+    const store = new AuthStore(path.join(dir, 'auth.json'));
+    store.configure(authConfig);
+    store.createUser({ username: 'alice', password: PASSWORD, role: 'analyst' });
+    return store;
+}
+
+/**
+ * Run a middleware against a fake request
+ * @returns {{req: Object, status: number|null, body: Object|null, nextCalled: boolean}}
+ */
+function run(middleware, { headers = {}, query = {}, method = 'GET', baseUrl = '/api', path: reqPath = '/feeds', auth } = {}) {
+    const result = { req: { headers, query, method, baseUrl, path: reqPath, auth }, status: null, body: null, nextCalled: false };
+    const res = {
+        status(code) { result.status = code; return res; },
+        set() { return res; },
+        json(body) { result.body = body; return res; }
+    };
+    middleware(result.req, res, () => { result.nextCalled = true; });
+    return result;
+}
+
+test('passwords verify against their scrypt hash only', () => {
+    const stored = hashPassword(PASSWORD);
+    assert.match(stored, /^scrypt\$[^$]+\$[^$]+$/);
+    assert.equal(verifyPassword(PASSWORD, stored), true);
+    assert.equal(verifyPassword('wrong-password', stored), false);
+    assert.equal(verifyPassword(PASSWORD, 'plain$text'), false);
+    assert.notEqual(hashPassword(PASSWORD), stored);
+});
+
+test('roles include the ones below them', () => {
+    assert.equal(hasRole('admin', 'analyst'), true);
+    assert.equal(hasRole('analyst', 'analyst'), true);
+    assert.equal(hasRole('viewer', 'analyst'), false);
+    assert.equal(hasRole('root', 'viewer'), false);
+});
+
+test('login returns a session for the right password', () => {
+    const store = createStore();
+    const session = store.login('alice', PASSWORD, '10.0.0.1');
+    assert.equal(session.user.role, 'analyst');
+    assert.deepEqual(store.authenticate(session.token), { type: 'user', name: 'alice', role: 'analyst' });
+    assert.equal(store.login('alice', 'wrong-password', '10.0.0.1'), null);
+    assert.equal(store.login('nobody', PASSWORD, '10.0.0.1'), null);
+});
+
+test('known and unknown users cost exactly one scrypt each', (t) => {
+    const store = createStore();
+    const scrypt = t.mock.method(crypto, 'scryptSync');
+
+    store.login('alice', 'wrong-password', '10.0.0.1');
+    assert.equal(scrypt.mock.callCount(), 1);
+
+    store.login('nobody', 'wrong-password', '10.0.0.1');
+    assert.equal(scrypt.mock.callCount(), 2);
+});
+
+test('five failed logins lock a client out for 15 minutes', () => {
+    const store = createStore();
+    const now = Date.now();
+    for (let i = 0; i < 4; i++) store.login('alice', 'wrong-password', '10.0.0.1', now);
+    assert.equal(store.isLockedOut('10.0.0.1', now), false);
+
+    store.login('nobody', 'wrong-password', '10.0.0.1', now);
+    assert.equal(store.isLockedOut('10.0.0.1', now), true);
+    assert.equal(store.isLockedOut('10.0.0.2', now), false);
+    assert.equal(store.isLockedOut('10.0.0.1', now + 15 * 60 * 1000), false);
+});
+
+test('a successful login clears earlier failures', () => {
+    const store = createStore();
+    for (let i = 0; i < 4; i++) store.login('alice', 'wrong-password', '10.0.0.1');
+    store.login('alice', PASSWORD, '10.0.0.1');
+    store.login('alice', 'wrong-password', '10.0.0.1');
+    assert.equal(store.isLockedOut('10.0.0.1'), false);
+});
+
+test('sessions expire, and end when the user changes', () => {
+    const store = createStore();
+    const now = Date.now();
+    const session = store.login('alice', PASSWORD, '10.0.0.1', now);
+    assert.ok(store.authenticate(session.token, now + DEFAULT_SESSION_TTL - 1));
+    assert.equal(store.authenticate(session.token, now + DEFAULT_SESSION_TTL), null);
+
+    const second = store.login('alice', PASSWORD, '10.0.0.1');
+    store.updateUser('alice', { role: 'viewer' });
+    assert.equal(store.authenticate(second.token), null);
+});
+
+test('API keys authenticate until revoked', () => {
+    const store = createStore();
+    const { key, apiKey } = store.createApiKey({ name: 'siem', role: 'viewer' });
+    assert.deepEqual(store.authenticate(key), { type: 'apiKey', name: 'siem', role: 'viewer' });
+    store.revokeApiKey(apiKey.id);
+    assert.equal(store.authenticate(key), null);
+});
+
+test('auth is on by default with anonymous viewers', () => {
+    const store = createStore();
+    assert.equal(store.enabled, true);
+    assert.deepEqual(run(store.middleware()).req.auth, { type: 'anonymous', name: null, role: 'viewer' });
+
+    store.configure({ anonymousRole: 'none' });
+    assert.equal(run(store.middleware()).req.auth, null);
+});
+
+test('with auth disabled requests are viewers, not admins', () => {
+    const store = createStore({ enabled: false });
+    const { req } = run(store.middleware());
+    assert.equal(req.auth.role, 'viewer');
+
+    const result = run(requireRole('admin'), { auth: req.auth });
+    assert.equal(result.status, 403);
+    assert.equal(result.nextCalled, false);
+});
+
+test('bad credentials are reported, credentials in the URL are ignored', () => {
+    const store = createStore({ anonymousRole: 'none' });
+    const { key } = store.createApiKey({ name: 'siem', role: 'viewer' });
+
+    const bad = run(store.middleware(), { headers: { authorization: 'Bearer nope' } });
+    assert.equal(bad.req.auth, null);
+    assert.equal(bad.req.authError, 'Invalid or expired credentials');
+
+    assert.equal(run(store.middleware(), { headers: { 'x-api-key': key } }).req.auth.name, 'siem');
+    assert.equal(run(store.middleware(), { query: { access_token: key } }).req.auth, null);
+});
+
+test('stream tokens work once, only on the stream route, and expire', () => {
+    const store = createStore({ anonymousRole: 'none' });
+    const middleware = store.middleware({ streamPath: '/api/events' });
+    const identity = { type: 'apiKey', name: 'wall', role: 'viewer' };
+    const stream = { path: '/events' };
+
+    const { token } = store.createStreamToken(identity);
+    assert.deepEqual(run(middleware, { ...stream, query: { stream_token: token } }).req.auth, identity);
+    assert.equal(run(middleware, { ...stream, query: { stream_token: token } }).req.auth, null);
+
+    const other = store.createStreamToken(identity).token;
+    assert.equal(run(middleware, { query: { stream_token: other } }).req.auth, null);
+
+    const now = Date.now();
+    const expired = store.createStreamToken(identity, now).token;
+    assert.equal(store.redeemStreamToken(expired, now + STREAM_TOKEN_TTL), null);
+});
+
+test('requireRole answers 401 without credentials and 403 for too low a role', () => {
+    const missing = run(requireRole('viewer'), { auth: null });
+    assert.equal(missing.status, 401);
+
+    const low = run(requireRole('admin'), { auth: { type: 'user', name: 'alice', role: 'analyst' } });
+    assert.equal(low.status, 403);
+
+    assert.equal(run(requireRole('analyst'), { auth: { type: 'user', name: 'alice', role: 'analyst' } }).nextCalled, true);
+});
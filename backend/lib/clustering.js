@@ -0,0 +1,150 @@
+/**
+ * Story Clustering
+ * Groups articles from different sources that cover the same story, using
+ * title similarity, shared CVE IDs and shared outbound links
+ *
+ * A shared CVE only links two articles when neither is a roundup (an advisory
+ * digest or weekly recap naming many CVEs); otherwise one roundup would chain
+ * every story it mentions into a single cluster.
+ */
+
+import { canonicalizeLink } from '../../shared/utils/articleId.js';
+import { extractCveIds } from './cve.js';
+
+const TITLE_SIMILARITY_THRESHOLD = 0.5;
+const LINK_TITLE_SIMILARITY_THRESHOLD = 0.15;
+const CLUSTER_WINDOW_MS = 72 * 60 * 60 * 1000;
+const MAX_STORY_CVES = 3;
+
+/**
+ * Words that carry no meaning for title comparison
+ */
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+    'its', 'new', 'of', 'on', 'or', 'over', 'that', 'the', 'to', 'with', 'after', 'into', 'via',
+    'now', 'says', 'how', 'what', 'why', 'you', 'your', 'up', 'out', 'more'
+]);
+
+/**
+ * Hosts whose links say nothing about the story (social sharing, etc.)
+ */
+const IGNORED_LINK_HOSTS = /(^|\.)(twitter\.com|x\.com|facebook\.com|linkedin\.com|reddit\.com|t\.me|youtube\.com|instagram\.com|mastodon\.social|feedburner\.com|google\.com)$/i;
+
+/**
+ * Normalized word set of a title
+ */
+function titleTokens(title) {
+    const words = (title || '').toLowerCase().match(/[a-z0-9][a-z0-9.-]*[a-z0-9]|[a-z0-9]/g) || [];
+    return new Set(words
+        .filter(word => !STOPWORDS.has(word))
+        // Crude plural/tense folding so "exploits"/"exploited" match "exploit"
+        .map(word => word.replace(/(ing|ed|es|s)$/, '')));
+}
+
+/**
+ * Jaccard similarity of two sets
+ */
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const value of a) {
+        if (b.has(value)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Outbound links worth comparing (not social, not the source's own site, not homepages)
+ */
+function storyLinks(item) {
+    let ownHost = null;
+    try {
+        ownHost = new URL(item.link).hostname.replace(/^www\./, '');
+    } catch { }
+
+    const links = new Set();
+    for (const link of item.outboundLinks || []) {
+        try {
+            const url = new URL(link);
+            const host = url.hostname.replace(/^www\./, '');
+            if (host === ownHost || IGNORED_LINK_HOSTS.test(host) || url.pathname === '/') continue;
+            links.add(canonicalizeLink(link));
+        } catch { }
+    }
+    return links;
+}
+
+/**
+ * Assign a clusterId to every item
+ * Items are only clustered with items from other sources published within 72 hours,
+ * so each item is only compared with its neighbours in publication order. Items
+ * without a valid date are not clustered.
+ * The cluster ID is derived from its members, so it stays stable while membership does.
+ * @param {FeedItem[]} items - Items to cluster (modified in place)
+ * @returns {FeedItem[]} The same items
+ */
+export function assignClusters(items) {
+    const features = items.map(item => ({
+        time: new Date(item.pubDate).getTime(),
+        tokens: titleTokens(item.title),
+        cves: new Set(extractCveIds(`${item.title} ${item.description}`)),
+        links: storyLinks(item)
+    }));
+
+    // Union-find over item indexes
+    const parent = items.map((_, index) => index);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    const union = (i, j) => {
+        parent[find(i)] = find(j);
+    };
+
+    const byTime = items
+        .map((_, index) => index)
+        .filter(index => !Number.isNaN(features[index].time))
+        .sort((a, b) => features[a].time - features[b].time);
+
+    for (let a = 0; a < byTime.length; a++) {
+        const i = byTime[a];
+        for (let b = a + 1; b < byTime.length; b++) {
+            const j = byTime[b];
+            if (features[j].time - features[i].time > CLUSTER_WINDOW_MS) break;
+            if (items[i].source === items[j].source) continue;
+
+            const similarity = jaccard(features[i].tokens, features[j].tokens);
+            const sharesCve = features[i].cves.size <= MAX_STORY_CVES &&
+                features[j].cves.size <= MAX_STORY_CVES &&
+                [...features[i].cves].some(cve => features[j].cves.has(cve));
+            const sharesLink = [...features[i].links].some(link => features[j].links.has(link));
+
+            if (similarity >= TITLE_SIMILARITY_THRESHOLD ||
+                sharesCve ||
+                (sharesLink && similarity >= LINK_TITLE_SIMILARITY_THRESHOLD)) {
+                union(i, j);
+            }
+        }
+    }
+
+    const members = new Map();
+    items.forEach((item, index) => {
+        const root = find(index);
+        if (!members.has(root)) members.set(root, []);
+        members.get(root).push(item);
+    });
+
+    for (const group of members.values()) {
+        const clusterId = group.length > 1
+            ? `c-${group.map(item => item.id).sort()[0]}`
+            : null;
+        group.forEach(item => {
+            item.clusterId = clusterId;
+        });
+    }
+
+    return items;
+}
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignClusters } from './clustering.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.parse('2026-03-02T08:00:00Z');
+
+function article(id, source, title, { hours = 0, description = '', outboundLinks = [] } = {}) {
+    return {
+        id,
+        source,
+        title,
+        description,
+        link: `https://${source}.example/${id}`,
+        pubDate: new Date(START + hours * HOUR_MS).toISOString(),
+        outboundLinks
+    };
+}
+
+test('the same story on two sources shares a cluster', () => {
+    const items = assignClusters([
+        article('a1', 'alpha', 'Ivanti Connect Secure zero-day exploited in the wild'),
+        article('b1', 'beta', 'Ivanti Connect Secure zero-day actively exploited', { hours: 5 })
+    ]);
+    assert.equal(items[0].clusterId, 'c-a1');
+    assert.equal(items[1].clusterId, 'c-a1');
+});
+
+test('a shared CVE links otherwise differently titled coverage', () => {
+    const items = assignClusters([
+        article('a1', 'alpha', 'Patch now: FortiOS flaw under attack', { description: 'Fortinet fixed CVE-2026-1111.' }),
+        article('b1', 'beta', 'Fortinet ships emergency update', { hours: 2, description: 'The bug, CVE-2026-1111, is exploited.' })
+    ]);
+    assert.equal(items[0].clusterId, items[1].clusterId);
+    assert.notEqual(items[0].clusterId, null);
+});
+
+test('unrelated stories stay apart', () => {
+    const items = assignClusters([
+        article('a1', 'alpha', 'Ransomware gang hits hospital network'),
+        article('b1', 'beta', 'Chrome update fixes V8 type confusion bug', { hours: 1 }),
+        article('c1', 'gamma', 'Ransomware gang hits hospital network', { hours: 100 }),
+        article('d1', 'alpha', 'Ransomware gang hits hospital network again', { hours: 1 })
+    ]);
+    assert.deepEqual(items.map(item => item.clusterId), [null, null, null, null]);
+});
+
+test('a roundup naming many CVEs does not chain stories together', () => {
+    const items = assignClusters([
+        article('a1', 'alpha', 'Exchange server bug exploited', { description: 'Microsoft warns about CVE-2026-2001.' }),
+        article('b1', 'beta', 'Critical Jenkins plugin flaw', { hours: 1, description: 'Jenkins fixed CVE-2026-2002.' }),
+        article('c1', 'gamma', 'Week in review: patches and exploits', {
+            hours: 2,
+            description: 'This week: CVE-2026-2001, CVE-2026-2002, CVE-2026-2003 and CVE-2026-2004.'
+        })
+    ]);
+    assert.deepEqual(items.map(item => item.clusterId), [null, null, null]);
+});
+
+test('a shared link needs some title overlap', () => {
+    const advisory = ['https://vendor.example/advisories/2026-17'];
+    const items = assignClusters([
+        article('a1', 'alpha', 'Vendor VPN appliance flaw patched', { outboundLinks: advisory }),
+        article('b1', 'beta', 'VPN appliance vulnerability fixed by vendor', { hours: 3, outboundLinks: advisory }),
+        article('c1', 'gamma', 'Weekly links', { hours: 4, outboundLinks: advisory })
+    ]);
+    assert.equal(items[0].clusterId, items[1].clusterId);
+    assert.notEqual(items[0].clusterId, null);
+    assert.equal(items[2].clusterId, null);
+});
@@ -0,0 +1,462 @@
+/**
+ * Backend Configuration Loader
+ * Reads the shared config.json, validates it and reloads it when the file changes
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SEVERITIES, ALERT_ACTIONS, compileRuleExpression } from './alerts.js';
+import { NOTIFIER_TYPES } from './notifier.js';
+import { ANONYMOUS_ROLES } from './auth.js';
+
+export const DEFAULT_MAX_ITEMS_PER_FEED = 5;
+
+/**
+ * Schema for a single feed source entry
+ */
+const FEED_SCHEMA = {
+    name: { type: 'string', required: true, nonEmpty: true },
+    url: { type: 'string', required: true, format: 'url' },
+    icon: { type: 'string' },
+    enabled: { type: 'boolean' },
+    maxItems: { type: 'number', integer: true, min: 1 },
+    refreshInterval: { type: 'number', integer: true, min: 60000 },
+    staleAfterDays: { type: 'number', min: 1 }
+};
+
+/**
+ * Schema for an alerting rule (see lib/alerts.js for the expression syntax)
+ */
+const ALERT_RULE_SCHEMA = {
+    name: { type: 'string', required: true, nonEmpty: true },
+    when: { type: 'string', required: true, nonEmpty: true, validate: checkRuleExpression },
+    severity: { type: 'string', enum: SEVERITIES },
+    enabled: { type: 'boolean' },
+    actions: { type: 'array', items: { type: 'string', enum: ALERT_ACTIONS } }
+};
+
+/**
+ * Schema for an SMTP server used by email notifiers
+ */
+const SMTP_SCHEMA = {
+    host: { type: 'string', required: true, nonEmpty: true },
+    port: { type: 'number', integer: true, min: 1, max: 65535 },
+    secure: { type: 'boolean' },
+    starttls: { type: 'boolean' },
+    user: { type: 'string' },
+    pass: { type: 'string' },
+    rejectUnauthorized: { type: 'boolean' }
+};
+
+/**
+ * Schema for a notification channel (see lib/notifier.js)
+ * Whether from/to are required depends on the type, see validateConfig.
+ * Webhook URLs, headers and SMTP settings are secrets and live in a separate
+ * file (NOTIFIER_SECRETS_SCHEMA), since the frontend serves config.json.
+ */
+const NOTIFIER_SCHEMA = {
+    name: { type: 'string', required: true, nonEmpty: true },
+    type: { type: 'string', required: true, enum: NOTIFIER_TYPES },
+    enabled: { type: 'boolean' },
+    minSeverity: { type: 'string', enum: SEVERITIES },
+    rules: { type: 'array', items: { type: 'string' } },
+    template: { type: 'string' },
+    subject: { type: 'string' },
+    payload: { type: 'object' },
+    retries: { type: 'number', integer: true, min: 0, max: 10 },
+    from: { type: 'string', nonEmpty: true },
+    to: { type: 'array', items: { type: 'string', nonEmpty: true } }
+};
+
+/**
+ * Schema for the secret settings of a notification channel, keyed by channel
+ * name in the notifier secrets file (see loadNotifierSecrets)
+ */
+const NOTIFIER_SECRETS_SCHEMA = {
+    url: { type: 'string', format: 'url' },
+    headers: { type: 'object', values: { type: 'string' } },
+    smtp: { type: 'object', schema: SMTP_SCHEMA }
+};
+
+/**
+ * Schema for a frontend display profile (selected with ?profile=name)
+ */
+const DISPLAY_PROFILE_SCHEMA = {
+    theme: { type: 'string', enum: ['blue', 'crimson', 'black'] },
+    sources: { type: 'array', items: { type: 'string', nonEmpty: true } },
+    scrollSpeed: { type: 'number', integer: true, min: 1000 },
+    autoFocus: { type: 'boolean' },
+    autoScroll: { type: 'boolean' },
+    continuousScroll: { type: 'boolean' },
+    spotlightMode: { type: 'string', enum: ['sequential', 'priority'] },
+    layout: { type: 'string', enum: ['single', 'grid', 'split', 'sources'] },
+    columns: { type: 'number', integer: true, min: 1, max: 6 },
+    screen: { type: 'number', integer: true, min: 1 },
+    screens: { type: 'number', integer: true, min: 1 },
+    fontScale: { type: 'number', min: 0.5, max: 3 }
+};
+
+/**
+ * Schema for API authentication (accounts are kept in data/auth.json, see lib/auth.js)
+ */
+const AUTH_SCHEMA = {
+    enabled: { type: 'boolean' },
+    anonymousRole: { type: 'string', enum: ANONYMOUS_ROLES },
+    sessionTtl: { type: 'number', integer: true, min: 60000 }
+};
+
+/**
+ * Schema for request, audit and alert log rotation (see lib/logs.js)
+ */
+const LOGGING_SCHEMA = {
+    maxFileSize: { type: 'number', integer: true, min: 1024 },
+    maxFiles: { type: 'number', integer: true, min: 1, max: 100 }
+};
+
+/**
+ * Schema for the top-level config file
+ * Unknown keys are allowed since the frontend reads the same file
+ */
+const CONFIG_SCHEMA = {
+    apiUrl: { type: 'string' },
+    feeds: { type: 'array', required: true, items: { type: 'object', schema: FEED_SCHEMA } },
+    refreshInterval: { type: 'number', integer: true, min: 1000 },
+    scrollSpeed: { type: 'number', min: 0 },
+    showDebugFooter: { type: 'boolean' },
+    version: { type: 'string' },
+    highlightKeywords: { type: 'array', items: { type: 'string' } },
+    maxItemsPerFeed: { type: 'number', integer: true, min: 1 },
+    imageFallbacks: { type: 'object', values: { type: 'string' } },
+    historyRetentionDays: { type: 'number', min: 1 },
+    historyMaxItems: { type: 'number', integer: true, min: 1 },
+    autoRefresh: { type: 'boolean' },
+    fetchInterval: { type: 'number', integer: true, min: 60000 },
+    fetchJitter: { type: 'number', min: 0, max: 1 },
+    fetchMaxBackoff: { type: 'number', integer: true, min: 60000 },
+    staleAfterDays: { type: 'number', min: 1 },
+    cveDataPath: { type: 'string' },
+    alertRules: { type: 'array', items: { type: 'object', schema: ALERT_RULE_SCHEMA } },
+    notifiers: { type: 'array', items: { type: 'object', schema: NOTIFIER_SCHEMA } },
+    displayProfiles: { type: 'object', values: { type: 'object', schema: DISPLAY_PROFILE_SCHEMA } },
+    auth: { type: 'object', schema: AUTH_SCHEMA },
+    logging: { type: 'object', schema: LOGGING_SCHEMA }
+};
+
+/**
+ * Check that an alert rule expression compiles
+ * @returns {string|null} Error message
+ */
+function checkRuleExpression(expression) {
+    try {
+        compileRuleExpression(expression);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Get the JSON type name of a value
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Validate a single value against a field rule
+ */
+function validateField(value, rule, fieldPath, errors) {
+    const actualType = typeOf(value);
+    if (actualType !== rule.type) {
+        errors.push(`${fieldPath} must be of type ${rule.type} (got ${actualType})`);
+        return;
+    }
+
+    if (rule.nonEmpty && value.trim() === '') {
+        errors.push(`${fieldPath} must not be empty`);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`${fieldPath} must be one of ${rule.enum.join(', ')}`);
+    }
+
+    if (rule.validate) {
+        const message = rule.validate(value);
+        if (message) errors.push(`${fieldPath}: ${message}`);
+    }
+
+    if (rule.format === 'url') {
+        try {
+            const { protocol } = new URL(value);
+            if (protocol !== 'http:' && protocol !== 'https:') {
+                errors.push(`${fieldPath} must be an http(s) URL`);
+            }
+        } catch {
+            errors.push(`${fieldPath} must be a valid URL`);
+        }
+    }
+
+    if (rule.integer && !Number.isInteger(value)) {
+        errors.push(`${fieldPath} must be an integer`);
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+        errors.push(`${fieldPath} must be at least ${rule.min}`);
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+        errors.push(`${fieldPath} must be at most ${rule.max}`);
+    }
+
+    if (rule.items) {
+        value.forEach((entry, index) => validateField(entry, rule.items, `${fieldPath}[${index}]`, errors));
+    }
+
+    if (rule.values) {
+        for (const [key, entry] of Object.entries(value)) {
+            validateField(entry, rule.values, `${fieldPath}.${key}`, errors);
+        }
+    }
+
+    if (rule.schema) {
+        validateObject(value, rule.schema, fieldPath, errors);
+    }
+}
+
+/**
+ * Validate an object against a schema
+ */
+function validateObject(obj, schema, prefix, errors) {
+    for (const [key, rule] of Object.entries(schema)) {
+        const fieldPath = prefix ? `${prefix}.${key}` : key;
+        if (obj[key] === undefined) {
+            if (rule.required) {
+                errors.push(`${fieldPath} is required`);
+            }
+            continue;
+        }
+        validateField(obj[key], rule, fieldPath, errors);
+    }
+}
+
+/**
+ * Validate a parsed config object
+ * @param {Object} config - Parsed config file contents
+ * @returns {string[]} List of validation errors (empty if valid)
+ */
+export function validateConfig(config) {
+    const errors = [];
+
+    if (typeOf(config) !== 'object') {
+        return ['config must be a JSON object'];
+    }
+
+    validateObject(config, CONFIG_SCHEMA, '', errors);
+
+    // Feed names are used as keys for status, timestamps and icons
+    if (Array.isArray(config.feeds)) {
+        const seen = new Set();
+        for (const feed of config.feeds) {
+            if (typeof feed?.name !== 'string') continue;
+            if (seen.has(feed.name)) {
+                errors.push(`feeds contains duplicate name "${feed.name}"`);
+            }
+            seen.add(feed.name);
+        }
+    }
+
+    // Rule names identify which rules already fired for an article
+    if (Array.isArray(config.alertRules)) {
+        const seen = new Set();
+        for (const rule of config.alertRules) {
+            if (typeof rule?.name !== 'string') continue;
+            if (seen.has(rule.name)) {
+                errors.push(`alertRules contains duplicate name "${rule.name}"`);
+            }
+            seen.add(rule.name);
+        }
+    }
+
+    if (Array.isArray(config.notifiers)) {
+        const seen = new Set();
+        const ruleNames = new Set((Array.isArray(config.alertRules) ? config.alertRules : []).map(rule => rule?.name));
+        config.notifiers.forEach((notifier, index) => {
+            if (typeOf(notifier) !== 'object') return;
+            const prefix = `notifiers[${index}]`;
+
+            if (typeof notifier.name === 'string') {
+                if (seen.has(notifier.name)) {
+                    errors.push(`notifiers contains duplicate name "${notifier.name}"`);
+                }
+                seen.add(notifier.name);
+            }
+
+            if (notifier.type === 'email') {
+                if (notifier.from === undefined) errors.push(`${prefix}.from is required for email notifiers`);
+                if (!Array.isArray(notifier.to) || notifier.to.length === 0) {
+                    errors.push(`${prefix}.to must list at least one recipient`);
+                }
+            }
+
+            // The frontend serves config.json, so secrets here would be public
+            for (const key of Object.keys(NOTIFIER_SECRETS_SCHEMA)) {
+                if (notifier[key] !== undefined) {
+                    errors.push(`${prefix}.${key} must be set in the notifier secrets file, not the config file`);
+                }
+            }
+
+            if (Array.isArray(notifier.rules)) {
+                for (const rule of notifier.rules) {
+                    if (typeof rule === 'string' && !ruleNames.has(rule)) {
+                        errors.push(`${prefix}.rules references unknown alert rule "${rule}"`);
+                    }
+                }
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Resolve the config file path
+ * Order: --config CLI flag, CONFIG_FILE env var, default path
+ * @param {string} defaultPath - Path used when nothing else is given
+ * @param {string[]} argv - Process arguments
+ * @param {Object} env - Environment variables
+ * @returns {string} Absolute config path
+ */
+export function resolveConfigPath(defaultPath, argv = process.argv, env = process.env) {
+    let configPath = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--config' && argv[i + 1]) {
+            configPath = argv[i + 1];
+            break;
+        }
+        if (argv[i].startsWith('--config=')) {
+            configPath = argv[i].substring('--config='.length);
+            break;
+        }
+    }
+
+    return path.resolve(configPath || env.CONFIG_FILE || defaultPath);
+}
+
+/**
+ * Load and validate a config file
+ * @param {string} configPath - Absolute path to config file
+ * @returns {Object} Validated config with defaults applied
+ * @throws {Error} If the file cannot be read, parsed or fails validation
+ */
+export function loadConfig(configPath) {
+    const raw = fs.readFileSync(configPath, 'utf8');
+
+    let config;
+    try {
+        config = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+    }
+
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid config ${configPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        ...config,
+        maxItemsPerFeed: config.maxItemsPerFeed ?? DEFAULT_MAX_ITEMS_PER_FEED,
+        imageFallbacks: config.imageFallbacks || {}
+    };
+}
+
+/**
+ * Load and validate the notifier secrets file
+ * Maps channel names to their url, headers or smtp settings. A missing file
+ * means no secrets (channels that need them are skipped by the notifier).
+ * @param {string} secretsPath - Absolute path to the secrets file
+ * @returns {Object.<string, NotifierSecrets>}
+ * @throws {Error} If the file cannot be parsed or fails validation
+ */
+export function loadNotifierSecrets(secretsPath) {
+    if (!fs.existsSync(secretsPath)) return {};
+
+    let secrets;
+    try {
+        secrets = JSON.parse(fs.readFileSync(secretsPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${secretsPath}: ${error.message}`);
+    }
+
+    const errors = [];
+    if (typeOf(secrets) !== 'object') {
+        errors.push('notifier secrets must be a JSON object keyed by notifier name');
+    } else {
+        for (const [name, entry] of Object.entries(secrets)) {
+            validateField(entry, { type: 'object', schema: NOTIFIER_SECRETS_SCHEMA }, name, errors);
+        }
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid notifier secrets ${secretsPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return secrets;
+}
+
+/**
+ * Watch a config file and reload it when it changes
+ * Uses polling so editors that replace the file on save are picked up too
+ * @param {string} configPath - Absolute path to config file
+ * @param {Function} onReload - Called with the new config after a successful reload
+ * @param {Function} onError - Called with the error when a reload fails (previous config stays active)
+ * @param {Function} [load] - Reads and validates the file (default loadConfig)
+ * @returns {Function} Stops watching
+ */
+export function watchConfig(configPath, onReload, onError, load = loadConfig) {
+    const listener = (curr, prev) => {
+        if (curr.mtimeMs === prev.mtimeMs) return;
+
+        // File was removed or is being replaced
+        if (curr.mtimeMs === 0) return;
+
+        try {
+            onReload(load(configPath));
+        } catch (error) {
+            onError(error);
+        }
+    };
+
+    fs.watchFile(configPath, { interval: 1000 }, listener);
+
+    return () => fs.unwatchFile(configPath, listener);
+}
+
+/**
+ * Replace the feeds list in a config file on disk
+ * Other keys in the file are preserved as written (no defaults are added)
+ * @param {string} configPath - Absolute path to config file
+ * @param {FeedConfig[]} feeds - New feeds list
+ * @returns {Object} The validated config that was written
+ * @throws {Error} If the resulting config fails validation (file is left untouched)
+ */
+export function saveFeeds(configPath, feeds) {
+    const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const updated = { ...raw, feeds };
+
+    const errors = validateConfig(updated);
+    if (errors.length > 0) {
+        const error = new Error(errors.join('; '));
+        error.validationErrors = errors;
+        throw error;
+    }
+
+    // Write to a temp file and rename so readers never see a partial file
+    const tempPath = `${configPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(updated, null, 2));
+    fs.renameSync(tempPath, configPath);
+
+    return loadConfig(configPath);
+}
@@ -0,0 +1,176 @@
+/**
+ * CVE Extraction and Enrichment
+ * Finds CVE IDs in article text and enriches them from a locally mirrored
+ * CVE dataset (NVD JSON 2.0 feeds or CVE JSON 5 records)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const CVE_PATTERN = /\bCVE-\d{4}-\d{4,7}\b/gi;
+
+/**
+ * Extract unique CVE IDs from text (upper-cased, in order of appearance)
+ * @param {string} text - Text to scan
+ * @returns {string[]} CVE IDs
+ */
+export function extractCveIds(text) {
+    if (!text) return [];
+    const matches = text.match(CVE_PATTERN) || [];
+    return [...new Set(matches.map(id => id.toUpperCase()))];
+}
+
+/**
+ * Map a CVSS base score to its qualitative severity
+ * @param {number|null} score - CVSS base score
+ * @returns {string|null} 'critical' | 'high' | 'medium' | 'low' | 'none' | null
+ */
+export function cvssSeverity(score) {
+    if (score === null || score === undefined) return null;
+    if (score >= 9) return 'critical';
+    if (score >= 7) return 'high';
+    if (score >= 4) return 'medium';
+    if (score > 0) return 'low';
+    return 'none';
+}
+
+/**
+ * Pick the newest CVSS version available from an NVD metrics object
+ */
+function nvdScore(metrics = {}) {
+    for (const key of ['cvssMetricV40', 'cvssMetricV31', 'cvssMetricV30', 'cvssMetricV2']) {
+        const metric = metrics[key]?.[0]?.cvssData;
+        if (metric?.baseScore !== undefined) {
+            return { score: metric.baseScore, version: metric.version || null };
+        }
+    }
+    return null;
+}
+
+/**
+ * Pick the newest CVSS version available from CVE JSON 5 metrics entries
+ */
+function cve5Score(metricsList = []) {
+    for (const key of ['cvssV4_0', 'cvssV3_1', 'cvssV3_0', 'cvssV2_0']) {
+        const metric = metricsList.find(entry => entry[key])?.[key];
+        if (metric?.baseScore !== undefined) {
+            return { score: metric.baseScore, version: metric.version || null };
+        }
+    }
+    return null;
+}
+
+/**
+ * Vendor and product from the first vulnerable CPE in an NVD record
+ */
+function nvdAffected(configurations = []) {
+    for (const configuration of configurations) {
+        for (const node of configuration.nodes || []) {
+            const match = (node.cpeMatch || []).find(cpe => cpe.vulnerable !== false);
+            if (match?.criteria) {
+                const [, , , vendor, product] = match.criteria.split(':');
+                return { vendor: vendor || null, product: product || null };
+            }
+        }
+    }
+    return { vendor: null, product: null };
+}
+
+export class CveDatabase {
+    constructor() {
+        this.entries = new Map();
+        this.dataPath = null;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Load the dataset from a JSON file or a directory of JSON files
+     * Files that fail to parse are skipped with a warning
+     * @param {string|null} dataPath - File or directory (nothing is loaded if empty)
+     */
+    load(dataPath) {
+        this.entries.clear();
+        this.dataPath = dataPath || null;
+        if (!dataPath) return;
+
+        const stats = fs.statSync(dataPath);
+        const files = stats.isDirectory()
+            ? fs.readdirSync(dataPath).filter(file => file.endsWith('.json')).map(file => path.join(dataPath, file))
+            : [dataPath];
+
+        for (const file of files) {
+            try {
+                this.indexDocument(JSON.parse(fs.readFileSync(file, 'utf8')));
+            } catch (error) {
+                console.warn(`⚠️  Skipping CVE data file ${file}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Index a parsed JSON document of any supported shape
+     */
+    indexDocument(doc) {
+        if (Array.isArray(doc)) {
+            doc.forEach(entry => this.indexDocument(entry));
+        } else if (Array.isArray(doc?.vulnerabilities)) {
+            // NVD API / JSON 2.0 feed
+            doc.vulnerabilities.forEach(entry => this.indexNvd(entry.cve));
+        } else if (doc?.cveMetadata) {
+            this.indexCve5(doc);
+        } else if (doc?.id && doc?.metrics) {
+            this.indexNvd(doc);
+        }
+    }
+
+    indexNvd(cve) {
+        if (!cve?.id) return;
+        const score = nvdScore(cve.metrics);
+        this.entries.set(cve.id.toUpperCase(), {
+            cvssScore: score?.score ?? null,
+            cvssVersion: score?.version ?? null,
+            ...nvdAffected(cve.configurations)
+        });
+    }
+
+    indexCve5(record) {
+        const id = record.cveMetadata?.cveId;
+        if (!id) return;
+
+        const cna = record.containers?.cna || {};
+        const adpMetrics = (record.containers?.adp || []).flatMap(adp => adp.metrics || []);
+        const score = cve5Score(cna.metrics) || cve5Score(adpMetrics);
+        const affected = (cna.affected || [])[0] || {};
+
+        this.entries.set(id.toUpperCase(), {
+            cvssScore: score?.score ?? null,
+            cvssVersion: score?.version ?? null,
+            vendor: affected.vendor && affected.vendor !== 'n/a' ? affected.vendor : null,
+            product: affected.product && affected.product !== 'n/a' ? affected.product : null
+        });
+    }
+
+    /**
+     * Build structured CVE data for a list of IDs
+     * IDs missing from the dataset are kept with null fields
+     * @param {string[]} ids - CVE IDs
+     * @returns {CveInfo[]}
+     */
+    enrich(ids) {
+        return ids.map(id => {
+            const entry = this.entries.get(id) || {};
+            const cvssScore = entry.cvssScore ?? null;
+            return {
+                id,
+                cvssScore,
+                cvssVersion: entry.cvssVersion ?? null,
+                severity: cvssSeverity(cvssScore),
+                vendor: entry.vendor ?? null,
+                product: entry.product ?? null
+            };
+        });
+    }
+}
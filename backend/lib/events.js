@@ -0,0 +1,82 @@
+/**
+ * Live Event Stream
+ * Server-Sent Events channel that pushes refresh progress, feed status
+ * changes and new items to connected displays
+ */
+
+const HEARTBEAT_INTERVAL = 25000;
+const CLIENT_RETRY_MS = 10000;
+
+export class EventStream {
+    constructor() {
+        this.clients = new Set();
+        this.heartbeat = null;
+        this.nextId = 1;
+    }
+
+    get clientCount() {
+        return this.clients.size;
+    }
+
+    /**
+     * Express handler that subscribes the request to the stream
+     * @param {Function} [getInitialEvent] - Returns { event, data } sent to each new client
+     */
+    handler(getInitialEvent) {
+        return (req, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+            this.clients.add(res);
+            this.startHeartbeat();
+
+            if (getInitialEvent) {
+                const { event, data } = getInitialEvent();
+                this.send(res, event, data);
+            }
+
+            req.on('close', () => {
+                this.clients.delete(res);
+                if (this.clients.size === 0) this.stopHeartbeat();
+            });
+        };
+    }
+
+    /**
+     * Send an event to every connected client
+     * @param {string} event - Event name
+     * @param {Object} data - JSON-serializable payload
+     */
+    broadcast(event, data) {
+        for (const res of this.clients) {
+            this.send(res, event, data);
+        }
+    }
+
+    send(res, event, data) {
+        res.write(`id: ${this.nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Comment lines keep idle connections open through proxies
+     */
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            for (const res of this.clients) {
+                res.write(': ping\n\n');
+            }
+        }, HEARTBEAT_INTERVAL);
+    }
+
+    stopHeartbeat() {
+        if (!this.heartbeat) return;
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Feed Health
+ * Rolling fetch history per feed with success rate, consecutive failures,
+ * mean latency, age of the newest article and stale-source detection
+ *
+ * feedStatus only describes the latest fetch, so a feed that fails every other
+ * time or quietly stopped publishing looks healthy there. The last HEALTH_WINDOW
+ * fetches per feed are kept in data/health.json and survive restarts and cache
+ * clears.
+ *
+ * A feed is stale when it hasn't had a successful fetch, or hasn't produced a
+ * new article, for staleAfterDays. The second case catches feeds whose URL moved
+ * but still answer with an old or empty document.
+ */
+
+import fs from 'fs';
+
+export const HEALTH_WINDOW = 50;
+export const DEFAULT_STALE_AFTER_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Newest valid pubDate among items, as a timestamp
+ * @returns {number|null}
+ */
+function newestPubDate(items = []) {
+    const times = items.map(item => new Date(item.pubDate).getTime()).filter(Number.isFinite);
+    return times.length > 0 ? Math.max(...times) : null;
+}
+
+export class FeedHealth {
+    /**
+     * @param {string} filePath - JSON file the history is kept in
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.feeds = {};
+    }
+
+    /**
+     * Load the history from disk
+     */
+    load() {
+        this.feeds = {};
+        if (!fs.existsSync(this.filePath)) return;
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.feeds = data.feeds && typeof data.feeds === 'object' ? data.feeds : {};
+    }
+
+    save() {
+        fs.writeFileSync(this.filePath, JSON.stringify({ feeds: this.feeds }, null, 2));
+    }
+
+    /**
+     * Record the result of a feed fetch
+     * @param {string} name - Feed name
+     * @param {Object} result - From processFeed, with durationMs added
+     * @param {number} now
+     */
+    record(name, result, now = Date.now()) {
+        const at = new Date(now).toISOString();
+        const entry = this.feeds[name] || (this.feeds[name] = {
+            firstSeen: at,
+            lastSuccess: null,
+            lastFailure: null,
+            lastError: null,
+            newestArticle: null,
+            fetches: []
+        });
+
+        entry.fetches.push({
+            at,
+            success: result.success,
+            notModified: result.notModified || false,
+            durationMs: result.durationMs ?? null,
+            itemCount: result.items?.length || 0,
+            error: result.error || null
+        });
+        if (entry.fetches.length > HEALTH_WINDOW) {
+            entry.fetches.splice(0, entry.fetches.length - HEALTH_WINDOW);
+        }
+
+        if (result.success) {
+            entry.lastSuccess = at;
+            const newest = newestPubDate(result.items);
+            if (newest !== null && (!entry.newestArticle || newest > new Date(entry.newestArticle).getTime())) {
+                entry.newestArticle = new Date(newest).toISOString();
+            }
+        } else {
+            entry.lastFailure = at;
+            entry.lastError = result.error || null;
+        }
+    }
+
+    /**
+     * Drop history of feeds that are no longer configured
+     * @param {Set<string>} names - Configured feed names
+     */
+    prune(names) {
+        for (const name of Object.keys(this.feeds)) {
+            if (!names.has(name)) delete this.feeds[name];
+        }
+    }
+
+    /**
+     * Recorded fetches of a feed, oldest first
+     */
+    history(name) {
+        return this.feeds[name]?.fetches || [];
+    }
+
+    /**
+     * Health of a feed
+     * @param {string} name - Feed name
+     * @param {number} staleAfterDays - Days without a successful fetch or new article before the feed is stale
+     * @param {number} now
+     * @returns {FeedHealthSummary|null} null if the feed hasn't been fetched yet
+     */
+    summarize(name, staleAfterDays = DEFAULT_STALE_AFTER_DAYS, now = Date.now()) {
+        const entry = this.feeds[name];
+        if (!entry) return null;
+
+        const { fetches } = entry;
+        const successes = fetches.filter(fetch => fetch.success).length;
+
+        let consecutiveFailures = 0;
+        for (let i = fetches.length - 1; i >= 0 && !fetches[i].success; i--) {
+            consecutiveFailures++;
+        }
+
+        const latencies = fetches.map(fetch => fetch.durationMs).filter(Number.isFinite);
+        const meanLatencyMs = latencies.length > 0
+            ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length)
+            : null;
+
+        const staleReason = this.getStaleReason(entry, consecutiveFailures, staleAfterDays * DAY_MS, now);
+
+        return {
+            fetches: fetches.length,
+            successRate: fetches.length > 0 ? Math.round(successes / fetches.length * 1000) / 1000 : null,
+            consecutiveFailures,
+            meanLatencyMs,
+            firstSeen: entry.firstSeen,
+            lastSuccess: entry.lastSuccess,
+            lastFailure: entry.lastFailure,
+            lastError: entry.lastError,
+            newestArticle: entry.newestArticle,
+            newestArticleAge: entry.newestArticle ? now - new Date(entry.newestArticle).getTime() : null,
+            stale: staleReason !== null,
+            staleReason
+        };
+    }
+
+    /**
+     * Why a feed is stale, or null if it isn't
+     * Without a success or an article yet, time counts from when tracking
+     * started, so a newly added feed isn't flagged straight away.
+     */
+    getStaleReason(entry, consecutiveFailures, staleAfter, now) {
+        const days = since => Math.floor((now - new Date(since).getTime()) / DAY_MS);
+
+        const lastSuccess = entry.lastSuccess || entry.firstSeen;
+        if (consecutiveFailures > 0 && now - new Date(lastSuccess).getTime() > staleAfter) {
+            return entry.lastSuccess
+                ? `No successful fetch for ${days(entry.lastSuccess)} days`
+                : `Never fetched successfully (tracked for ${days(entry.firstSeen)} days)`;
+        }
+
+        const newest = entry.newestArticle || entry.firstSeen;
+        if (now - new Date(newest).getTime() > staleAfter) {
+            return entry.newestArticle
+                ? `No new articles for ${days(entry.newestArticle)} days`
+                : `No articles in ${days(entry.firstSeen)} days`;
+        }
+
+        return null;
+    }
+}
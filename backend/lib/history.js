@@ -0,0 +1,293 @@
+/**
+ * Article History Store
+ * Durable record of every article ever seen, kept in an append-only JSONL file
+ *
+ * Each line is one of:
+ *   { type: 'article', key, firstSeen, lastSeen, item }  - new or changed article
+ *   { type: 'seen', key, lastSeen }                        - article seen again, unchanged
+ *   { type: 'delete', key }                                - article removed by retention
+ * Replaying the file in order rebuilds the store. The file is compacted when it
+ * grows well beyond the number of live articles.
+ *
+ * Keys are scoped to the source, since feeds can reuse each other's GUIDs (or
+ * plain numbers as GUIDs). Files written before that keyed articles by GUID or
+ * link alone; they are re-keyed on load and rewritten.
+ */
+
+import fs from 'fs';
+
+export const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPACT_RATIO = 3;
+
+/**
+ * Fields compared to decide whether an article changed since it was last stored
+ */
+const CONTENT_FIELDS = ['title', 'link', 'description', 'fullText', 'image', 'author', 'pubDate'];
+
+/**
+ * Get the dedupe key for an article (source plus GUID, falling back to link)
+ * @param {Object} item - Article with guid and/or link
+ * @param {string} [source] - Feed name, when the item doesn't carry one
+ */
+export function articleKey(item, source = item.source) {
+    return `${source}\n${item.guid || item.link}`;
+}
+
+/**
+ * Key of the link index (source plus link)
+ */
+function linkKey(source, link) {
+    return `${source}\n${link}`;
+}
+
+export class ArticleHistory {
+    /**
+     * @param {string} filePath - Path of the JSONL history file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = new Map();
+        this.linkIndex = new Map();
+        this.idIndex = new Map();
+        this.lineCount = 0;
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    /**
+     * Rebuild the store from the history file
+     * Malformed lines (e.g. a partial write on crash) are skipped
+     */
+    load() {
+        this.records.clear();
+        this.linkIndex.clear();
+        this.idIndex.clear();
+        this.lineCount = 0;
+
+        if (!fs.existsSync(this.filePath)) return;
+
+        // Keys from older files (no source) mapped to the current ones
+        const legacyKeys = new Map();
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                continue;
+            }
+
+            this.lineCount++;
+            this.applyEntry(entry, legacyKeys);
+        }
+
+        if (legacyKeys.size > 0) this.compact();
+    }
+
+    /**
+     * Apply one log entry to the in-memory store
+     * @param {Object} entry
+     * @param {Map<string, string>} legacyKeys - Filled with old-format keys seen so far
+     */
+    applyEntry(entry, legacyKeys) {
+        if (entry.type === 'article') {
+            const key = articleKey(entry.item);
+            if (entry.key !== key) legacyKeys.set(entry.key, key);
+            this.setRecord({
+                key,
+                firstSeen: entry.firstSeen,
+                lastSeen: entry.lastSeen,
+                item: entry.item
+            });
+        } else if (entry.type === 'seen') {
+            const record = this.records.get(legacyKeys.get(entry.key) ?? entry.key);
+            if (record) record.lastSeen = entry.lastSeen;
+        } else if (entry.type === 'delete') {
+            this.deleteRecord(legacyKeys.get(entry.key) ?? entry.key);
+        }
+    }
+
+    setRecord(record) {
+        const previous = this.records.get(record.key);
+        if (previous && previous.item.link !== record.item.link) {
+            this.linkIndex.delete(linkKey(previous.item.source, previous.item.link));
+        }
+        if (previous && previous.item.id !== record.item.id) {
+            this.idIndex.delete(previous.item.id);
+        }
+        this.records.set(record.key, record);
+        if (record.item.link && record.item.link !== '#') {
+            this.linkIndex.set(linkKey(record.item.source, record.item.link), record.key);
+        }
+        if (record.item.id) {
+            this.idIndex.set(record.item.id, record.key);
+        }
+    }
+
+    deleteRecord(key) {
+        const record = this.records.get(key);
+        if (!record) return;
+        this.records.delete(key);
+        const link = linkKey(record.item.source, record.item.link);
+        if (this.linkIndex.get(link) === key) {
+            this.linkIndex.delete(link);
+        }
+        if (this.idIndex.get(record.item.id) === key) {
+            this.idIndex.delete(record.item.id);
+        }
+    }
+
+    /**
+     * Find the stored record for an article by GUID or link within its source
+     * @param {Object} item - Article (processed, or raw from the parser)
+     * @param {string} [source] - Feed name, when the item doesn't carry one
+     */
+    find(item, source = item.source) {
+        const key = articleKey(item, source);
+        if (this.records.has(key)) return this.records.get(key);
+
+        const linkedKey = this.linkIndex.get(linkKey(source, item.link));
+        return linkedKey ? this.records.get(linkedKey) : null;
+    }
+
+    /**
+     * Find the stored record for an article by its stable ID
+     */
+    findById(id) {
+        const key = this.idIndex.get(id);
+        return key ? this.records.get(key) : null;
+    }
+
+    /**
+     * Record articles from a refresh
+     * @param {FeedItem[]} items - Articles fetched in this refresh
+     * @param {Date} now - Time the articles were seen
+     * @returns {{added: number, updated: number}}
+     */
+    record(items, now = new Date()) {
+        const seenAt = now.toISOString();
+        const entries = [];
+        let added = 0;
+        let updated = 0;
+
+        for (const item of items) {
+            const existing = this.find(item);
+
+            if (!existing) {
+                const record = { key: articleKey(item), firstSeen: seenAt, lastSeen: seenAt, item };
+                this.setRecord(record);
+                entries.push({ type: 'article', ...record });
+                added++;
+                continue;
+            }
+
+            const changed = CONTENT_FIELDS.some(field => existing.item[field] !== item[field]);
+            existing.lastSeen = seenAt;
+
+            if (changed) {
+                existing.item = item;
+                this.setRecord(existing);
+                entries.push({ type: 'article', ...existing });
+                updated++;
+            } else {
+                entries.push({ type: 'seen', key: existing.key, lastSeen: seenAt });
+            }
+        }
+
+        this.append(entries);
+        return { added, updated };
+    }
+
+    /**
+     * Apply the retention policy
+     * @param {Object} policy
+     * @param {number} [policy.retentionDays] - Drop articles not seen for this many days
+     * @param {number} [policy.maxItems] - Keep at most this many articles (newest first)
+     * @param {Date} now - Current time
+     * @returns {number} Number of articles removed
+     */
+    prune({ retentionDays = DEFAULT_RETENTION_DAYS, maxItems } = {}, now = new Date()) {
+        const cutoff = now.getTime() - retentionDays * DAY_MS;
+        const removed = [];
+
+        for (const record of this.records.values()) {
+            if (new Date(record.lastSeen).getTime() < cutoff) {
+                removed.push(record.key);
+            }
+        }
+        removed.forEach(key => this.deleteRecord(key));
+
+        if (maxItems && this.records.size > maxItems) {
+            const overflow = this.sortedRecords().slice(maxItems);
+            for (const record of overflow) {
+                this.deleteRecord(record.key);
+                removed.push(record.key);
+            }
+        }
+
+        if (removed.length > 0 || this.lineCount > this.records.size * COMPACT_RATIO) {
+            this.compact();
+        }
+
+        return removed.length;
+    }
+
+    /**
+     * Records sorted newest first by publication date
+     */
+    sortedRecords() {
+        return [...this.records.values()].sort((a, b) => new Date(b.item.pubDate) - new Date(a.item.pubDate));
+    }
+
+    /**
+     * Query stored articles
+     * @param {Object} filters
+     * @param {string} [filters.source] - Only this source
+     * @param {Date|string} [filters.since] - Published on or after
+     * @param {Date|string} [filters.until] - Published on or before
+     * @returns {Array<FeedItem & {firstSeen: string, lastSeen: string}>} Newest first
+     */
+    query({ source, since, until } = {}) {
+        const sinceTime = since ? new Date(since).getTime() : -Infinity;
+        const untilTime = until ? new Date(until).getTime() : Infinity;
+
+        return this.sortedRecords()
+            .filter(record => {
+                const published = new Date(record.item.pubDate).getTime();
+                if (source && record.item.source !== source) return false;
+                return published >= sinceTime && published <= untilTime;
+            })
+            .map(record => ({
+                ...record.item,
+                firstSeen: record.firstSeen,
+                lastSeen: record.lastSeen
+            }));
+    }
+
+    /**
+     * Append entries to the history file
+     */
+    append(entries) {
+        if (entries.length === 0) return;
+        const data = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        fs.appendFileSync(this.filePath, data);
+        this.lineCount += entries.length;
+    }
+
+    /**
+     * Rewrite the history file with one line per live article
+     */
+    compact() {
+        const tempPath = `${this.filePath}.tmp`;
+        const lines = [...this.records.values()].map(record => JSON.stringify({ type: 'article', ...record }));
+        fs.writeFileSync(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+        fs.renameSync(tempPath, this.filePath);
+        this.lineCount = lines.length;
+    }
+}
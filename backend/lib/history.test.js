@@ -0,0 +1,70 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ArticleHistory } from './history.js';
+
+const tempDirs = [];
+
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function historyFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedviz-history-'));
+    tempDirs.push(dir);
+    return path.join(dir, 'history.jsonl');
+}
+
+function article(source, guid, title) {
+    return {
+        id: `${source}-${guid}`,
+        source,
+        guid,
+        title,
+        link: `https://${source}.example/${guid}`,
+        description: '',
+        pubDate: '2026-01-01T00:00:00.000Z'
+    };
+}
+
+test('feeds reusing a GUID keep separate articles', () => {
+    const filePath = historyFile();
+    const history = new ArticleHistory(filePath);
+    const result = history.record([article('alpha', '1', 'Alpha story'), article('beta', '1', 'Beta story')]);
+
+    assert.deepEqual(result, { added: 2, updated: 0 });
+    assert.equal(history.find({ guid: '1' }, 'alpha').item.title, 'Alpha story');
+    assert.equal(history.find({ guid: '1' }, 'beta').item.title, 'Beta story');
+    assert.equal(history.find({ guid: '1' }, 'gamma'), null);
+
+    const reloaded = new ArticleHistory(filePath);
+    reloaded.load();
+    assert.equal(reloaded.size, 2);
+});
+
+test('links match within a source only', () => {
+    const history = new ArticleHistory(historyFile());
+    history.record([article('alpha', '1', 'Alpha story')]);
+
+    assert.equal(history.find({ link: 'https://alpha.example/1' }, 'alpha').item.title, 'Alpha story');
+    assert.equal(history.find({ link: 'https://alpha.example/1' }, 'beta'), null);
+});
+
+test('files with unscoped keys are re-keyed on load', () => {
+    const filePath = historyFile();
+    const item = article('alpha', '1', 'Alpha story');
+    fs.writeFileSync(filePath, [
+        { type: 'article', key: '1', firstSeen: '2026-01-01T00:00:00.000Z', lastSeen: '2026-01-01T00:00:00.000Z', item },
+        { type: 'seen', key: '1', lastSeen: '2026-01-02T00:00:00.000Z' },
+        { type: 'article', key: 'https://beta.example/2', firstSeen: '2026-01-01T00:00:00.000Z', lastSeen: '2026-01-01T00:00:00.000Z', item: article('beta', '2', 'Beta story') },
+        { type: 'delete', key: 'https://beta.example/2' }
+    ].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+
+    const history = new ArticleHistory(filePath);
+    history.load();
+    assert.equal(history.size, 1);
+    assert.equal(history.find(item).lastSeen, '2026-01-02T00:00:00.000Z');
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.key), ['alpha\n1']);
+});
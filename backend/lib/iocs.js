@@ -0,0 +1,158 @@
+/**
+ * IOC Extraction
+ * Pulls indicators of compromise (IP addresses, domains, URLs and file hashes)
+ * out of article text, including indicators written in defanged form
+ * such as hxxp://evil[.]com or 1.2.3[.]4
+ */
+
+import net from 'net';
+
+export const IOC_TYPES = ['ipv4', 'ipv6', 'domains', 'urls', 'md5', 'sha1', 'sha256'];
+
+/**
+ * Defanging conventions, applied in order to restore the original indicator
+ */
+const REFANG_RULES = [
+    [/\bh(?:xx|XX|\*\*|tt)p(s?)(?=\s*(?:\[:\]|\[:\/\/\]|:))/g, 'http$1'],
+    [/\bfxp(?=\s*(?:\[:\]|\[:\/\/\]|:))/gi, 'ftp'],
+    [/\[:\/\/\]|\[:\]\/\/|:\/\/\[\]/g, '://'],
+    [/\s*(?:\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)|\{dot\})\s*/gi, '.'],
+    [/\[:\]/g, ':']
+];
+
+const URL_PATTERN = /\b(?:https?|ftp):\/\/[^\s<>"'`]+/gi;
+const IPV4_PATTERN = /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?!\w|\.\d)/g;
+const IPV6_CANDIDATE_PATTERN = /(?<![\w:.])(?:[0-9a-f]{0,4}:){2,7}(?:(?:\d{1,3}\.){3}\d{1,3}|[0-9a-f]{1,4})?(?![\w:.])/gi;
+const DOMAIN_PATTERN = /(?<![\w.@-])(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,61}[a-z](?![\w-]|\.\w)/gi;
+const HASH_PATTERNS = {
+    md5: /\b[a-f0-9]{32}\b/gi,
+    sha1: /\b[a-f0-9]{40}\b/gi,
+    sha256: /\b[a-f0-9]{64}\b/gi
+};
+
+/**
+ * Suffixes that are almost always file names or code, not domains
+ * (only applied to domains written without defanging)
+ */
+const FILE_EXTENSIONS = new Set([
+    'exe', 'dll', 'sys', 'bin', 'bat', 'cmd', 'ps1', 'psm1', 'vbs', 'vba', 'js', 'jse', 'jar', 'py', 'php',
+    'asp', 'aspx', 'jsp', 'html', 'htm', 'css', 'json', 'xml', 'yml', 'yaml', 'txt', 'log', 'ini', 'cfg',
+    'conf', 'pdf', 'doc', 'docx', 'docm', 'xls', 'xlsx', 'xlsm', 'ppt', 'pptx', 'rtf', 'lnk', 'iso', 'img',
+    'vhd', 'msi', 'hta', 'tmp', 'dat', 'db', 'jpg', 'jpeg', 'png', 'gif', 'svg', 'rar', '7z', 'gz', 'tar',
+    'tgz', 'cab', 'so', 'elf', 'dmg', 'pkg', 'apk', 'ipa', 'deb', 'rpm', 'c', 'h', 'cpp', 'cs', 'go', 'rs',
+    'rb', 'pl', 'ts', 'tsx', 'jsx', 'md', 'lua', 'sql', 'bak', 'csv', 'crt', 'pem', 'key', 'eml', 'msg'
+]);
+
+/**
+ * Restore defanged indicators in text (hxxp:// -> http://, 1.2.3[.]4 -> 1.2.3.4)
+ * @param {string} text - Text that may contain defanged indicators
+ * @returns {string} Refanged text
+ */
+export function refang(text) {
+    if (!text) return '';
+    return REFANG_RULES.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+const DEFANGED_DOT = String.raw`\s*(?:\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)|\{dot\})\s*`;
+
+/**
+ * Whether a domain is written with a defanged dot (evil[.]com) in the original text
+ * A plain mention elsewhere on the same line doesn't count, so "hxxp://evil[.]com
+ * drops payload.exe" doesn't make payload.exe a domain.
+ */
+function isWrittenDefanged(domain, text) {
+    // Domain labels are only letters, digits and hyphens, so they need no escaping
+    const pattern = new RegExp(`(?<![\\w-])${domain.split('.').join(`(?:${DEFANGED_DOT}|\\.)`)}(?![\\w-])`, 'gi');
+    return (text.match(pattern) || []).some(written => written.toLowerCase() !== domain.toLowerCase());
+}
+
+/**
+ * Unique values in order of first appearance
+ */
+function unique(values) {
+    return [...new Set(values)];
+}
+
+/**
+ * Trim punctuation that ends the sentence rather than the URL
+ */
+function trimUrl(url) {
+    let trimmed = url.replace(/[.,;:!?'"]+$/, '');
+    // Drop an unbalanced closing bracket, e.g. "(see https://example.com/x)"
+    while (/[)\]}]$/.test(trimmed)) {
+        const close = trimmed.slice(-1);
+        const open = { ')': '(', ']': '[', '}': '{' }[close];
+        if (trimmed.split(open).length >= trimmed.split(close).length) break;
+        trimmed = trimmed.slice(0, -1).replace(/[.,;:!?'"]+$/, '');
+    }
+    return trimmed;
+}
+
+/**
+ * Hostname of a URL, or null if it can't be parsed
+ */
+function urlHost(url) {
+    try {
+        return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Extract indicators of compromise from text
+ * Defanged indicators are returned in their refanged (usable) form.
+ * @param {string} text - Article text
+ * @returns {ArticleIocs} Indicators by type (each list unique, in order of appearance)
+ */
+export function extractIocs(text) {
+    const iocs = Object.fromEntries(IOC_TYPES.map(type => [type, []]));
+    if (!text) return iocs;
+
+    // Refang line by line, keeping the original to tell which domains were explicitly defanged
+    const lines = text.split('\n').map(original => ({ original, line: refang(original) }));
+    const refanged = lines.map(entry => entry.line).join('\n');
+
+    iocs.urls = unique((refanged.match(URL_PATTERN) || []).map(trimUrl));
+    const urlHosts = iocs.urls.map(urlHost).filter(Boolean);
+
+    // Hashes are matched outside URLs so tracking IDs and paths don't show up as hashes
+    const withoutUrls = refanged.replace(URL_PATTERN, ' ');
+    for (const [type, pattern] of Object.entries(HASH_PATTERNS)) {
+        iocs[type] = unique((withoutUrls.match(pattern) || []).map(hash => hash.toLowerCase()));
+    }
+
+    iocs.ipv4 = unique([
+        ...(refanged.match(IPV4_PATTERN) || []),
+        ...urlHosts.filter(host => net.isIPv4(host))
+    ]);
+
+    iocs.ipv6 = unique([
+        ...(refanged.match(IPV6_CANDIDATE_PATTERN) || []),
+        ...urlHosts.filter(host => net.isIPv6(host))
+    ]
+        .filter(candidate => /[0-9a-f]/i.test(candidate) && net.isIPv6(candidate))
+        .map(address => address.toLowerCase()));
+
+    const domains = urlHosts.filter(host => net.isIP(host) === 0);
+    for (const { original, line } of lines) {
+        for (const match of line.replace(URL_PATTERN, ' ').match(DOMAIN_PATTERN) || []) {
+            const tld = match.slice(match.lastIndexOf('.') + 1).toLowerCase();
+            if (!FILE_EXTENSIONS.has(tld) || isWrittenDefanged(match, original)) {
+                domains.push(match.toLowerCase());
+            }
+        }
+    }
+    iocs.domains = unique(domains);
+
+    return iocs;
+}
+
+/**
+ * Total number of indicators across all types
+ * @param {ArticleIocs} iocs - Indicators by type
+ * @returns {number}
+ */
+export function countIocs(iocs) {
+    return IOC_TYPES.reduce((total, type) => total + (iocs?.[type]?.length || 0), 0);
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractIocs, refang } from './iocs.js';
+
+test('refang restores defanged notation', () => {
+    assert.equal(refang('hxxps[://]evil[.]com and 1.2.3[.]4'), 'https://evil.com and 1.2.3.4');
+});
+
+test('defanged domains are kept even with a file-like suffix', () => {
+    const iocs = extractIocs('Payload served from update[.]js and evil(.)exe');
+    assert.deepEqual(iocs.domains, ['update.js', 'evil.exe']);
+});
+
+test('plain file names next to defanged indicators are not domains', () => {
+    const iocs = extractIocs('hxxp://evil[.]com drops payload.exe via node.js');
+    assert.deepEqual(iocs.urls, ['http://evil.com']);
+    assert.deepEqual(iocs.domains, ['evil.com']);
+});
+
+test('a file name written both ways counts as defanged', () => {
+    const iocs = extractIocs('Seen as loader.exe and loader[.]exe on evil[.]com');
+    assert.deepEqual(iocs.domains, ['loader.exe', 'evil.com']);
+});
+
+test('plain domains, IPs and hashes are extracted', () => {
+    const iocs = extractIocs([
+        'C2 at example.org and 10.0.0[.]1, see https://example.net/report.',
+        'Sample d41d8cd98f00b204e9800998ecf8427e'
+    ].join('\n'));
+    assert.deepEqual(iocs.domains, ['example.net', 'example.org']);
+    assert.deepEqual(iocs.ipv4, ['10.0.0.1']);
+    assert.deepEqual(iocs.urls, ['https://example.net/report']);
+    assert.deepEqual(iocs.md5, ['d41d8cd98f00b204e9800998ecf8427e']);
+});
@@ -0,0 +1,213 @@
+/**
+ * IP Filtering
+ * Allow and deny lists of IPv4/IPv6 addresses and CIDR ranges, and client IP
+ * detection behind reverse proxies
+ *
+ * Addresses are compared as numbers under the range's bit mask, so any prefix
+ * length works (10.16.0.0/12, 2001:db8::/32). IPv4-mapped IPv6 addresses
+ * (::ffff:10.0.0.5, as Node reports IPv4 clients on dual-stack sockets, or the
+ * same address written in hex as ::ffff:a00:5) are treated as the IPv4 address.
+ *
+ * X-Forwarded-For is only believed when the connection comes from a trusted
+ * proxy; otherwise any client could claim to be an allowed address.
+ */
+
+import net from 'net';
+
+// Names usable in a list besides addresses and ranges
+const ALIASES = {
+    localhost: ['127.0.0.0/8', '::1/128'],
+    loopback: ['127.0.0.0/8', '::1/128'],
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+// ::ffff:0:0/96, shifted down past the embedded IPv4 address
+const IPV4_MAPPED_PREFIX = 0xffffn;
+const IPV4_WITH_PORT = /^(\d+\.\d+\.\d+\.\d+):\d+$/;
+const BRACKETED_IPV6 = /^\[([^\]]+)\](?::\d+)?$/;
+
+/**
+ * Normalize an address as found in a socket or header
+ * Strips brackets, ports and zone IDs, and unwraps IPv4-mapped IPv6 addresses.
+ * @param {string} ip
+ * @returns {string|null} The address, or null if it isn't a valid IP
+ */
+export function normalizeIp(ip) {
+    let value = String(ip ?? '').trim();
+
+    const bracketed = value.match(BRACKETED_IPV6);
+    if (bracketed) value = bracketed[1];
+    const withPort = value.match(IPV4_WITH_PORT);
+    if (withPort) value = withPort[1];
+
+    value = value.split('%')[0];
+    if (net.isIPv4(value)) return value;
+    if (!net.isIPv6(value)) return null;
+
+    const address = toBigInt(value).value;
+    if ((address >> 32n) === IPV4_MAPPED_PREFIX) {
+        return [24n, 16n, 8n, 0n].map(shift => (address >> shift) & 0xffn).join('.');
+    }
+    return value.toLowerCase();
+}
+
+/**
+ * Address as a number
+ * @param {string} ip - Normalized address
+ * @returns {{version: number, value: bigint}}
+ */
+function toBigInt(ip) {
+    if (net.isIPv4(ip)) {
+        const value = ip.split('.').reduce((total, octet) => (total << 8n) + BigInt(octet), 0n);
+        return { version: 4, value };
+    }
+
+    // Rewrite a trailing dotted IPv4 part (::ffff:1.2.3.4, 64:ff9b::1.2.3.4) as two hex groups
+    let address = ip;
+    const dotted = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const v4 = toBigInt(dotted[1]).value;
+        address = address.slice(0, -dotted[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+    }
+
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+    const value = groups.reduce((total, group) => (total << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return { version: 6, value };
+}
+
+/**
+ * Parse an address or CIDR range
+ * @param {string} entry - e.g. "10.0.0.5", "10.16.0.0/12", "2001:db8::/32"
+ * @returns {{version: number, network: bigint, mask: bigint, source: string}}
+ * @throws {Error} If the entry isn't a valid address or range
+ */
+export function parseRange(entry) {
+    const [address, prefixText, extra] = entry.split('/');
+    const ip = normalizeIp(address);
+    if (!ip || extra !== undefined) {
+        throw new Error(`Invalid IP address or range "${entry}"`);
+    }
+
+    const { version, value } = toBigInt(ip);
+    const bits = version === 4 ? 32 : 128;
+    let prefix = prefixText === undefined ? bits : Number(prefixText);
+
+    // ::ffff:10.0.0.0/104 is the IPv4 range 10.0.0.0/8
+    if (version === 4 && net.isIPv6(address.split('%')[0]) && prefixText !== undefined) {
+        prefix -= 96;
+    }
+
+    if (!/^\d+$/.test(prefixText ?? String(bits)) || !Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+        throw new Error(`Invalid prefix length in "${entry}"`);
+    }
+
+    const all = (1n << BigInt(bits)) - 1n;
+    const mask = all ^ ((1n << BigInt(bits - prefix)) - 1n);
+    return { version, network: value & mask, mask, source: entry };
+}
+
+/**
+ * Parse a comma-separated list of addresses, ranges, aliases (localhost,
+ * loopback, private) and "*" for any address
+ * @param {string|string[]} list
+ * @returns {{any: boolean, ranges: Object[]}}
+ * @throws {Error} On the first invalid entry
+ */
+export function parseIpList(list) {
+    const entries = (Array.isArray(list) ? list : String(list ?? '').split(','))
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    const parsed = { any: false, ranges: [] };
+    for (const entry of entries) {
+        if (entry === '*') {
+            parsed.any = true;
+        } else if (ALIASES[entry.toLowerCase()]) {
+            parsed.ranges.push(...ALIASES[entry.toLowerCase()].map(parseRange));
+        } else {
+            parsed.ranges.push(parseRange(entry));
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Whether an address is in a parsed list
+ * @param {string} ip
+ * @param {{any: boolean, ranges: Object[]}} list - From parseIpList
+ */
+export function ipInList(ip, list) {
+    if (list.any) return true;
+
+    const normalized = normalizeIp(ip);
+    if (!normalized) return false;
+
+    const { version, value } = toBigInt(normalized);
+    return list.ranges.some(range => range.version === version && (value & range.mask) === range.network);
+}
+
+export class IpFilter {
+    /**
+     * @param {Object} lists - Comma-separated lists (see parseIpList)
+     * @param {string} lists.allow - Addresses allowed to use the API
+     * @param {string} [lists.deny] - Addresses always refused, even if allowed
+     * @param {string} [lists.trustedProxies] - Proxies whose X-Forwarded-For is believed
+     * @throws {Error} If a list has an invalid entry
+     */
+    constructor({ allow, deny = '', trustedProxies = '' }) {
+        this.allow = parseIpList(allow);
+        this.deny = parseIpList(deny);
+        this.trustedProxies = parseIpList(trustedProxies);
+    }
+
+    isDenied(ip) {
+        return ipInList(ip, this.deny);
+    }
+
+    /**
+     * Allowed means on the allow list and not on the deny list
+     */
+    isAllowed(ip) {
+        return !this.isDenied(ip) && ipInList(ip, this.allow);
+    }
+
+    /**
+     * Client address of a request
+     * From a trusted proxy, X-Forwarded-For is read right to left (each proxy
+     * appends the address it received the request from) and the first hop that
+     * isn't itself a trusted proxy is the client. X-Real-IP is used when a trusted
+     * proxy sends no X-Forwarded-For.
+     * @param {import('express').Request} req
+     * @returns {string} Normalized address, or 'unknown'
+     */
+    getClientIp(req) {
+        const remote = normalizeIp(req.socket?.remoteAddress);
+        if (!remote) return 'unknown';
+        if (!ipInList(remote, this.trustedProxies)) return remote;
+
+        const forwarded = String(req.headers['x-forwarded-for'] || '')
+            .split(',')
+            .map(hop => hop.trim())
+            .filter(Boolean);
+
+        if (forwarded.length === 0) {
+            return normalizeIp(req.headers['x-real-ip']) || remote;
+        }
+
+        let client = remote;
+        for (let i = forwarded.length - 1; i >= 0; i--) {
+            const hop = normalizeIp(forwarded[i]);
+            // A malformed hop can't be trusted; stop at the last address we could verify
+            if (!hop) break;
+            client = hop;
+            if (!ipInList(hop, this.trustedProxies)) break;
+        }
+        return client;
+    }
+}
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IpFilter, normalizeIp, parseRange, parseIpList, ipInList } from './ipfilter.js';
+
+function request(remoteAddress, headers = {}) {
+    return { socket: { remoteAddress }, headers };
+}
+
+test('addresses are normalized from socket and header forms', () => {
+    assert.equal(normalizeIp(' 10.0.0.5 '), '10.0.0.5');
+    assert.equal(normalizeIp('10.0.0.5:8080'), '10.0.0.5');
+    assert.equal(normalizeIp('[2001:DB8::1]:443'), '2001:db8::1');
+    assert.equal(normalizeIp('fe80::1%eth0'), 'fe80::1');
+    assert.equal(normalizeIp('not-an-ip'), null);
+    assert.equal(normalizeIp(undefined), null);
+});
+
+test('IPv4-mapped addresses become IPv4 in dotted and hex form', () => {
+    assert.equal(normalizeIp('::ffff:127.0.0.1'), '127.0.0.1');
+    assert.equal(normalizeIp('::ffff:7f00:1'), '127.0.0.1');
+    assert.equal(normalizeIp('::FFFF:A00:5'), '10.0.0.5');
+    assert.equal(normalizeIp('0:0:0:0:0:ffff:c0a8:101'), '192.168.1.1');
+    assert.equal(normalizeIp('::fffe:7f00:1'), '::fffe:7f00:1');
+
+    const loopback = parseIpList('localhost');
+    assert.equal(ipInList('::ffff:7f00:1', loopback), true);
+    assert.equal(ipInList('::ffff:127.0.0.1', loopback), true);
+});
+
+test('CIDR ranges match any prefix length', () => {
+    const list = parseIpList('10.16.0.0/12, 192.168.1.7, 2001:db8::/32');
+    assert.equal(ipInList('10.31.255.255', list), true);
+    assert.equal(ipInList('10.32.0.0', list), false);
+    assert.equal(ipInList('192.168.1.7', list), true);
+    assert.equal(ipInList('192.168.1.8', list), false);
+    assert.equal(ipInList('2001:db8:ffff::1', list), true);
+    assert.equal(ipInList('2001:db9::1', list), false);
+});
+
+test('mapped ranges are IPv4 ranges', () => {
+    const range = parseRange('::ffff:10.0.0.0/104');
+    assert.equal(range.version, 4);
+    assert.equal(ipInList('10.200.0.1', { any: false, ranges: [range] }), true);
+    assert.equal(ipInList('11.0.0.1', { any: false, ranges: [range] }), false);
+});
+
+test('invalid entries are rejected', () => {
+    assert.throws(() => parseRange('10.0.0.0/33'), /Invalid prefix length/);
+    assert.throws(() => parseRange('10.0.0.0/abc'), /Invalid prefix length/);
+    assert.throws(() => parseRange('10.0.0.0/8/8'), /Invalid IP address or range/);
+    assert.throws(() => parseRange('example.com'), /Invalid IP address or range/);
+    assert.throws(() => new IpFilter({ allow: 'private, 300.0.0.1' }), /300\.0\.0\.1/);
+});
+
+test('aliases and the wildcard expand', () => {
+    const list = parseIpList('Private');
+    assert.equal(ipInList('172.20.1.1', list), true);
+    assert.equal(ipInList('fd00::1', list), true);
+    assert.equal(ipInList('8.8.8.8', list), false);
+    assert.equal(ipInList('8.8.8.8', parseIpList('*')), true);
+});
+
+test('deny wins over allow', () => {
+    const filter = new IpFilter({ allow: 'private', deny: '10.0.0.66' });
+    assert.equal(filter.isAllowed('10.0.0.5'), true);
+    assert.equal(filter.isAllowed('10.0.0.66'), false);
+    assert.equal(filter.isAllowed('::ffff:a00:42'), false);
+    assert.equal(filter.isAllowed('8.8.8.8'), false);
+});
+
+test('X-Forwarded-For is ignored from untrusted connections', () => {
+    const filter = new IpFilter({ allow: '*', trustedProxies: '10.0.0.1' });
+    assert.equal(filter.getClientIp(request('203.0.113.9', { 'x-forwarded-for': '10.0.0.5' })), '203.0.113.9');
+    assert.equal(filter.getClientIp(request('::ffff:203.0.113.9')), '203.0.113.9');
+    assert.equal(filter.getClientIp(request(undefined)), 'unknown');
+});
+
+test('X-Forwarded-For is walked back through trusted proxies only', () => {
+    const filter = new IpFilter({ allow: '*', trustedProxies: '10.0.0.0/24' });
+
+    // The client prepended a spoofed address; the first untrusted hop from the right wins
+    const spoofed = request('10.0.0.1', { 'x-forwarded-for': '127.0.0.1, 198.51.100.4, 10.0.0.2' });
+    assert.equal(filter.getClientIp(spoofed), '198.51.100.4');
+
+    const allProxies = request('10.0.0.1', { 'x-forwarded-for': '10.0.0.3, 10.0.0.2' });
+    assert.equal(filter.getClientIp(allProxies), '10.0.0.3');
+
+    const malformed = request('10.0.0.1', { 'x-forwarded-for': '198.51.100.4, garbage, 10.0.0.2' });
+    assert.equal(filter.getClientIp(malformed), '10.0.0.2');
+});
+
+test('X-Real-IP is used when a trusted proxy sends no X-Forwarded-For', () => {
+    const filter = new IpFilter({ allow: '*', trustedProxies: 'loopback' });
+    assert.equal(filter.getClientIp(request('::ffff:7f00:1', { 'x-real-ip': '198.51.100.4' })), '198.51.100.4');
+    assert.equal(filter.getClientIp(request('127.0.0.1', { 'x-real-ip': 'garbage' })), '127.0.0.1');
+});
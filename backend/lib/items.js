@@ -0,0 +1,163 @@
+/**
+ * Item Queries
+ * Filtering, keyword search, cursor pagination and field projection over
+ * cached feed items (used by /api/items and the exports)
+ */
+
+import { matchesHighlightKeywords } from '../../shared/utils/highlight.js';
+
+export const DEFAULT_ITEMS_LIMIT = 50;
+export const MAX_ITEMS_LIMIT = 500;
+
+/**
+ * Filter items by source (comma-separated names) and publication time range
+ * @param {FeedItem[]} items - Items to filter
+ * @param {Object} filters
+ * @param {string} [filters.source] - Feed name(s), comma-separated
+ * @param {Date|string} [filters.since] - Published on or after
+ * @param {Date|string} [filters.until] - Published on or before
+ * @returns {FeedItem[]}
+ */
+export function filterItems(items, { source, since, until } = {}) {
+    const sources = source ? new Set(String(source).split(',').map(name => name.trim())) : null;
+    const sinceTime = since ? new Date(since).getTime() : -Infinity;
+    const untilTime = until ? new Date(until).getTime() : Infinity;
+
+    return items.filter(item => {
+        const published = new Date(item.pubDate).getTime();
+        if (sources && !sources.has(item.source)) return false;
+        return published >= sinceTime && published <= untilTime;
+    });
+}
+
+/**
+ * Check that date query parameters parse
+ * @param {Object} query - Request query
+ * @param {string[]} params - Parameter names to check
+ * @returns {string[]} Error messages
+ */
+export function validateDateParams(query, params = ['since', 'until']) {
+    return params
+        .filter(param => query[param] && Number.isNaN(new Date(query[param]).getTime()))
+        .map(param => `Invalid ${param} date: ${query[param]}`);
+}
+
+/**
+ * Check that query parameters were given at most once
+ * Express parses ?q=a&q=b and ?q[]=a into arrays and ?q[x]=a into objects.
+ * @param {Object} query - Request query
+ * @param {string[]} params - Parameter names to check
+ * @returns {string[]} Error messages
+ */
+export function validateStringParams(query, params) {
+    return params
+        .filter(param => query[param] !== undefined && typeof query[param] !== 'string')
+        .map(param => `${param} must be a single value`);
+}
+
+/**
+ * Whether an item contains every search term (title, description, full text or source)
+ */
+function matchesTerms(item, terms) {
+    const text = `${item.title} ${item.description} ${item.fullText || ''} ${item.source}`.toLowerCase();
+    return terms.every(term => text.includes(term));
+}
+
+/**
+ * Sort key comparison: newest first, ties broken by ID so the order is total
+ */
+function compareItems(a, b) {
+    const timeDiff = new Date(b.pubDate) - new Date(a.pubDate);
+    if (timeDiff !== 0) return timeDiff;
+    return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+/**
+ * Encode the position after an item as an opaque cursor
+ */
+function encodeCursor(item) {
+    return Buffer.from(JSON.stringify([new Date(item.pubDate).getTime(), item.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [time, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof time === 'number' && typeof id === 'string') return { time, id };
+    } catch { }
+    return null;
+}
+
+/**
+ * Keep only the requested fields of an item (the ID is always kept)
+ * Only the item's own fields count, so names like constructor or __proto__ are ignored.
+ */
+function projectItem(item, fields) {
+    const projected = { id: item.id };
+    for (const field of fields) {
+        if (Object.hasOwn(item, field)) projected[field] = item[field];
+    }
+    return projected;
+}
+
+const QUERY_PARAMS = ['source', 'since', 'until', 'q', 'highlighted', 'limit', 'cursor', 'fields'];
+
+/**
+ * Run an /api/items query
+ * Cursors point just past the last returned item, so pages stay consistent
+ * while new items arrive at the top.
+ * @param {FeedItem[]} items - Cached items
+ * @param {Object} query - Request query (source, since, until, q, highlighted, limit, cursor, fields)
+ * @param {Object} options
+ * @param {string[]} [options.highlightKeywords] - Keywords for the highlighted filter
+ * @returns {ItemsResponse}
+ * @throws {Error} With validationErrors for bad parameters
+ */
+export function queryItems(items, query = {}, { highlightKeywords = [] } = {}) {
+    const errors = validateStringParams(query, QUERY_PARAMS);
+    if (errors.length === 0) errors.push(...validateDateParams(query));
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) errors.push('Invalid cursor');
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_ITEMS_LIMIT : parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+        errors.push('limit must be a positive integer');
+    }
+
+    if (errors.length > 0) {
+        const error = new Error(`Invalid query: ${errors.join('; ')}`);
+        error.validationErrors = errors;
+        throw error;
+    }
+
+    const terms = (query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const highlightedOnly = query.highlighted === 'true' || query.highlighted === '1';
+
+    const matches = filterItems(items, query)
+        .filter(item => terms.length === 0 || matchesTerms(item, terms))
+        .filter(item => !highlightedOnly || matchesHighlightKeywords(item, highlightKeywords))
+        .sort(compareItems);
+
+    const start = cursor
+        ? matches.findIndex(item => {
+            const time = new Date(item.pubDate).getTime();
+            return time < cursor.time || (time === cursor.time && item.id < cursor.id);
+        })
+        : 0;
+    const page = start === -1 ? [] : matches.slice(start, start + Math.min(limit, MAX_ITEMS_LIMIT));
+    const hasMore = start !== -1 && start + page.length < matches.length;
+
+    const fields = query.fields
+        ? String(query.fields).split(',').map(field => field.trim()).filter(Boolean)
+        : null;
+
+    return {
+        total: matches.length,
+        limit: Math.min(limit, MAX_ITEMS_LIMIT),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+        items: fields ? page.map(item => projectItem(item, fields)) : page
+    };
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { queryItems } from './items.js';
+
+const START = Date.parse('2026-03-02T08:00:00Z');
+
+function item(id, minutes, fields = {}) {
+    return {
+        id,
+        source: 'alpha',
+        title: `Story ${id}`,
+        description: '',
+        link: `https://alpha.example/${id}`,
+        pubDate: new Date(START + minutes * 60 * 1000).toISOString(),
+        ...fields
+    };
+}
+
+function validationErrors(query) {
+    try {
+        queryItems([], query);
+    } catch (error) {
+        return error.validationErrors;
+    }
+    return [];
+}
+
+test('cursors page through items newest first, ties broken by ID', () => {
+    const items = [item('a', 0), item('b', 10), item('c', 10), item('d', 20), item('e', 5)];
+
+    const first = queryItems(items, { limit: '2' });
+    assert.deepEqual(first.items.map(entry => entry.id), ['d', 'c']);
+    assert.equal(first.total, 5);
+
+    const second = queryItems(items, { limit: '2', cursor: first.nextCursor });
+    assert.deepEqual(second.items.map(entry => entry.id), ['b', 'e']);
+
+    const last = queryItems(items, { limit: '2', cursor: second.nextCursor });
+    assert.deepEqual(last.items.map(entry => entry.id), ['a']);
+    assert.equal(last.nextCursor, null);
+});
+
+test('new items at the top do not shift the next page', () => {
+    const items = [item('a', 0), item('b', 10), item('c', 20)];
+    const first = queryItems(items, { limit: '1' });
+
+    items.push(item('new', 30));
+    const second = queryItems(items, { limit: '1', cursor: first.nextCursor });
+    assert.deepEqual(second.items.map(entry => entry.id), ['b']);
+});
+
+test('limit is capped and filters apply before paging', () => {
+    const items = [item('a', 0), item('b', 10, { source: 'beta', title: 'Ransomware update' })];
+    assert.equal(queryItems(items, { limit: '100000' }).limit, 500);
+    assert.deepEqual(queryItems(items, { source: 'beta' }).items.map(entry => entry.id), ['b']);
+    assert.deepEqual(queryItems(items, { q: 'RANSOMWARE' }).items.map(entry => entry.id), ['b']);
+    assert.deepEqual(queryItems(items, { since: new Date(START + 5 * 60 * 1000).toISOString() }).items.map(entry => entry.id), ['b']);
+});
+
+test('fields projects own fields and always keeps the ID', () => {
+    const [projected] = queryItems([item('a', 0)], { fields: 'title, link,missing' }).items;
+    assert.deepEqual(projected, { id: 'a', title: 'Story a', link: 'https://alpha.example/a' });
+
+    const [inherited] = queryItems([item('a', 0)], { fields: 'constructor,__proto__,toString,hasOwnProperty' }).items;
+    assert.deepEqual(inherited, { id: 'a' });
+    assert.equal(Object.getPrototypeOf(inherited), Object.prototype);
+});
+
+test('bad parameters are reported as validation errors', () => {
+    assert.deepEqual(validationErrors({ fields: ['title', 'link'] }), ['fields must be a single value']);
+    assert.deepEqual(validationErrors({ cursor: 'not-a-cursor' }), ['Invalid cursor']);
+    assert.deepEqual(validationErrors({ limit: '0' }), ['limit must be a positive integer']);
+    assert.deepEqual(validationErrors({ since: 'yesterday-ish' }), ['Invalid since date: yesterday-ish']);
+});
@@ -0,0 +1,174 @@
+/**
+ * Request and Audit Logs
+ * Append-only JSON-lines logs with size-based rotation
+ *
+ * When a write would take a file past maxFileSize, the file is renamed to
+ * <file>.1, older files move up (.1 to .2, ...) and the oldest past maxFiles
+ * is deleted. Queries read the current file and then the rotated ones, newest
+ * entries first.
+ *
+ * The request log has one entry per HTTP request, with status code and latency.
+ * The audit log records who did what: refreshes, cache clears, source changes,
+ * logins and account changes.
+ */
+
+import fs from 'fs';
+import { validateStringParams } from './items.js';
+
+export const LOG_TYPES = ['request', 'audit'];
+export const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+export const DEFAULT_MAX_FILES = 5;
+export const DEFAULT_LOG_LIMIT = 100;
+export const MAX_LOG_LIMIT = 1000;
+
+const STATUS_PATTERN = /^[1-5](\d\d|xx)$/;
+const LOG_QUERY_PARAMS = ['type', 'status', 'limit', 'since', 'until', 'ip', 'user', 'action', 'method', 'path'];
+
+export class RotatingLog {
+    /**
+     * @param {string} filePath - Current log file; rotated files get .1, .2, ...
+     * @param {{maxFileSize?: number, maxFiles?: number}} options
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.size = null;
+        this.configure(options);
+    }
+
+    /**
+     * Set rotation limits (the logging section of the config)
+     * @param {{maxFileSize?: number, maxFiles?: number}} options
+     */
+    configure({ maxFileSize, maxFiles } = {}) {
+        this.maxFileSize = maxFileSize || DEFAULT_MAX_FILE_SIZE;
+        this.maxFiles = maxFiles || DEFAULT_MAX_FILES;
+    }
+
+    /**
+     * Append an entry, rotating first if the file is full
+     * Write errors are logged and otherwise ignored so logging never breaks a request.
+     * @param {Object} entry
+     */
+    append(entry) {
+        const line = JSON.stringify(entry) + '\n';
+
+        try {
+            if (this.size === null) {
+                this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+            }
+            if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxFileSize) {
+                this.rotate();
+            }
+            fs.appendFileSync(this.filePath, line);
+            this.size += Buffer.byteLength(line);
+        } catch (error) {
+            console.error(`❌ Failed to write ${this.filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Shift rotated files up by one and start a new current file
+     */
+    rotate() {
+        const oldest = `${this.filePath}.${this.maxFiles}`;
+        if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const from = `${this.filePath}.${i}`;
+            if (fs.existsSync(from)) fs.renameSync(from, `${this.filePath}.${i + 1}`);
+        }
+        if (fs.existsSync(this.filePath)) fs.renameSync(this.filePath, `${this.filePath}.1`);
+        this.size = 0;
+    }
+
+    /**
+     * Existing log files, newest first
+     */
+    files() {
+        const files = [this.filePath];
+        for (let i = 1; i <= this.maxFiles; i++) files.push(`${this.filePath}.${i}`);
+        return files.filter(file => fs.existsSync(file));
+    }
+
+    /**
+     * Find entries, newest first
+     * Stops reading older files once enough entries matched. Malformed lines are skipped.
+     * @param {function(Object): boolean} filter
+     * @param {number} limit - Max entries
+     * @returns {Object[]}
+     */
+    query(filter = () => true, limit = DEFAULT_LOG_LIMIT) {
+        const entries = [];
+
+        for (const file of this.files()) {
+            const lines = fs.readFileSync(file, 'utf8').split('\n');
+            for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+                if (!lines[i].trim()) continue;
+                try {
+                    const entry = JSON.parse(lines[i]);
+                    if (filter(entry)) entries.push(entry);
+                } catch { }
+            }
+            if (entries.length >= limit) break;
+        }
+
+        return entries;
+    }
+}
+
+/**
+ * Check log query parameters
+ * Every parameter may be given once; type, status and limit must also be valid.
+ * @param {Object} query - Request query
+ * @returns {string[]} Errors
+ */
+export function validateLogParams(query) {
+    const errors = validateStringParams(query, LOG_QUERY_PARAMS);
+    if (errors.length > 0) return errors;
+
+    if (query.type !== undefined && !LOG_TYPES.includes(query.type)) {
+        errors.push(`type must be one of ${LOG_TYPES.join(', ')}`);
+    }
+    if (query.status !== undefined && !STATUS_PATTERN.test(query.status)) {
+        errors.push('status must be a status code (404) or class (4xx)');
+    }
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1) errors.push('limit must be a positive integer');
+    }
+    return errors;
+}
+
+/**
+ * Build a filter for RotatingLog#query from query parameters
+ * Every given parameter must match:
+ * - since, until: timestamp range
+ * - ip, user, action, method: exact (method is case-insensitive)
+ * - status: code (404) or class (4xx)
+ * - path: prefix, e.g. /api/sources
+ * @param {Object} query - Validated query parameters
+ * @returns {function(Object): boolean}
+ */
+export function buildLogFilter(query) {
+    const since = query.since ? new Date(query.since).getTime() : null;
+    const until = query.until ? new Date(query.until).getTime() : null;
+    const method = query.method?.toUpperCase();
+    const statusClass = query.status?.endsWith('xx') ? Number(query.status[0]) : null;
+
+    return (entry) => {
+        const time = new Date(entry.timestamp).getTime();
+        if (since !== null && time < since) return false;
+        if (until !== null && time > until) return false;
+        if (query.ip && entry.ip !== query.ip) return false;
+        if (query.user && entry.user !== query.user) return false;
+        if (query.action && entry.action !== query.action) return false;
+        if (method && entry.method !== method) return false;
+        if (query.path && !entry.path?.startsWith(query.path)) return false;
+        if (query.status) {
+            if (statusClass !== null ? Math.floor(entry.status / 100) !== statusClass : entry.status !== Number(query.status)) {
+                return false;
+            }
+        }
+        return true;
+    };
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateLogParams, buildLogFilter } from './logs.js';
+
+test('repeated log parameters are rejected', () => {
+    for (const param of ['method', 'ip', 'user', 'action', 'path', 'since', 'until', 'type', 'status', 'limit']) {
+        assert.deepEqual(validateLogParams({ [param]: ['a', 'b'] }), [`${param} must be a single value`]);
+    }
+    assert.deepEqual(validateLogParams({ method: { x: 'GET' } }), ['method must be a single value']);
+});
+
+test('type, status and limit are checked', () => {
+    assert.deepEqual(validateLogParams({ type: 'audit', status: '4xx', limit: '10' }), []);
+    assert.equal(validateLogParams({ type: 'debug' }).length, 1);
+    assert.equal(validateLogParams({ status: '600' }).length, 1);
+    assert.equal(validateLogParams({ limit: '0' }).length, 1);
+});
+
+test('the filter matches every given parameter', () => {
+    const entry = { timestamp: '2026-01-02T10:00:00Z', ip: '10.0.0.5', method: 'GET', path: '/api/sources/1', status: 404 };
+
+    assert.equal(buildLogFilter({ method: 'get', path: '/api/sources', status: '4xx' })(entry), true);
+    assert.equal(buildLogFilter({ status: '404', ip: '10.0.0.5' })(entry), true);
+    assert.equal(buildLogFilter({ status: '5xx' })(entry), false);
+    assert.equal(buildLogFilter({ method: 'POST' })(entry), false);
+    assert.equal(buildLogFilter({ since: '2026-01-02T11:00:00Z' })(entry), false);
+    assert.equal(buildLogFilter({ until: '2026-01-02T09:00:00Z' })(entry), false);
+});
@@ -0,0 +1,186 @@
+/**
+ * Prometheus Metrics
+ * A small registry that renders the Prometheus text exposition format (0.0.4),
+ * so the backend can be scraped without extra dependencies
+ *
+ * Counters and histograms are updated as things happen. Gauges for state the
+ * server already keeps (article counts, cache size, ...) are filled in by
+ * collect callbacks right before each scrape.
+ */
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suits both HTTP requests and feed fetches
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Escape a label value (backslash, double quote and newline)
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {a="1",b="2"} (empty string for no labels)
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} labelNames - Labels every sample must have
+     */
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    /**
+     * Series for a label set, created on first use
+     */
+    getSeries(labels, create) {
+        const values = this.labelNames.map(name => String(labels[name] ?? ''));
+        const key = values.join('\u0000');
+        if (!this.series.has(key)) {
+            const labelSet = Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+            this.series.set(key, { labels: labelSet, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+export class Counter extends Metric {
+    type = 'counter';
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    render() {
+        return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+}
+
+export class Gauge extends Metric {
+    type = 'gauge';
+
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+}
+
+export class Histogram extends Metric {
+    type = 'histogram';
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} labelNames
+     * @param {number[]} buckets - Upper bounds, ascending (+Inf is added)
+     */
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+export class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+        this.collectors = [];
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    register(metric) {
+        if (this.metrics.some(existing => existing.name === metric.name)) {
+            throw new Error(`Metric "${metric.name}" is already registered`);
+        }
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Run a callback before each scrape, e.g. to set gauges from current state
+     * @param {function(): void} collector
+     */
+    onCollect(collector) {
+        this.collectors.push(collector);
+    }
+
+    /**
+     * All metrics in the text exposition format
+     * @returns {string}
+     */
+    render() {
+        for (const collector of this.collectors) {
+            try {
+                collector();
+            } catch (error) {
+                console.error('❌ Metrics collection failed:', error.message);
+            }
+        }
+
+        const lines = [];
+        for (const metric of this.metrics) {
+            lines.push(...metric.header(), ...metric.render());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
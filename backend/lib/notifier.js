@@ -0,0 +1,341 @@
+/**
+ * Alert Notifier
+ * Pushes fired alerts to external channels: generic JSON webhooks, Slack and
+ * Microsoft Teams incoming webhooks, and SMTP email
+ *
+ * Only alerts whose rule lists the "notify" action are sent. Each channel can
+ * narrow that down further with minSeverity and rules. Messages are rendered from
+ * templates with {{field}} placeholders (rule, severity, title, link, source,
+ * pubDate, firedAt, itemId) and an optional filter: {{severity | upper}}.
+ *
+ * Failed deliveries are retried with exponential backoff. Every attempt's outcome
+ * is appended to a JSONL delivery log.
+ *
+ * Webhook URLs, headers and SMTP settings come from a separate secrets file
+ * under data/, not from config.json, which the frontend serves publicly.
+ */
+
+import fs from 'fs';
+import { severityRank } from './alerts.js';
+import { sendMail } from './smtp.js';
+
+export const NOTIFIER_TYPES = ['webhook', 'slack', 'teams', 'email'];
+export const DEFAULT_NOTIFIER_RETRIES = 3;
+const RETRY_BASE_DELAY = 2000;
+const REQUEST_TIMEOUT = 10000;
+const MAX_RECENT_DELIVERIES = 500;
+
+// More alerts than this for one channel in one refresh (e.g. after adding a rule) are skipped
+export const MAX_NOTIFICATIONS_PER_REFRESH = 20;
+
+export const DEFAULT_MESSAGE_TEMPLATE = '[{{severity | upper}}] {{rule}}: {{title}}\n{{source}} - {{link}}';
+export const DEFAULT_SUBJECT_TEMPLATE = '[{{severity | upper}}] {{rule}}: {{title}}';
+
+const TEMPLATE_FILTERS = {
+    upper: value => value.toUpperCase(),
+    lower: value => value.toLowerCase(),
+    trim: value => value.trim()
+};
+
+const SEVERITY_COLORS = {
+    info: '607D8B',
+    low: '2E7D32',
+    medium: 'F9A825',
+    high: 'EF6C00',
+    critical: 'C62828'
+};
+
+/**
+ * Render {{field}} / {{field | filter}} placeholders
+ * Unknown fields render as an empty string.
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+export function renderTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (match, field, filter) => {
+        const value = values[field] === undefined || values[field] === null ? '' : String(values[field]);
+        return TEMPLATE_FILTERS[filter] ? TEMPLATE_FILTERS[filter](value) : value;
+    });
+}
+
+/**
+ * Render every string inside a JSON payload template
+ */
+function renderPayload(payload, values) {
+    if (typeof payload === 'string') return renderTemplate(payload, values);
+    if (Array.isArray(payload)) return payload.map(entry => renderPayload(entry, values));
+    if (payload && typeof payload === 'object') {
+        return Object.fromEntries(Object.entries(payload).map(([key, entry]) => [key, renderPayload(entry, values)]));
+    }
+    return payload;
+}
+
+/**
+ * Template values for an alert
+ */
+function templateValues(alert) {
+    return {
+        rule: alert.rule,
+        severity: alert.severity,
+        title: alert.title,
+        link: alert.link,
+        source: alert.source,
+        pubDate: alert.pubDate ? new Date(alert.pubDate).toISOString() : '',
+        firedAt: alert.firedAt,
+        itemId: alert.itemId
+    };
+}
+
+/**
+ * JSON body for a webhook-style channel
+ */
+function webhookBody(channel, alert) {
+    const values = templateValues(alert);
+    const text = renderTemplate(channel.template || DEFAULT_MESSAGE_TEMPLATE, values);
+
+    if (channel.type === 'slack') {
+        return { text };
+    }
+    if (channel.type === 'teams') {
+        return {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: renderTemplate(DEFAULT_SUBJECT_TEMPLATE, values),
+            themeColor: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.info,
+            // Teams cards collapse single newlines
+            text: text.replace(/\n/g, '\n\n')
+        };
+    }
+    return channel.payload ? renderPayload(channel.payload, values) : { event: 'alert', alert };
+}
+
+/**
+ * Error that should not be retried (e.g. a 4xx response)
+ */
+function permanentError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class Notifier {
+    /**
+     * @param {string} filePath - JSONL delivery log
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.channels = [];
+        this.recent = [];
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Set channels from config, merged with their secrets (url, headers, smtp)
+     * Disabled channels, and channels missing the url or smtp settings they need, are skipped.
+     * @param {NotifierConfig[]} channelConfigs - notifiers from config
+     * @param {Object.<string, NotifierSecrets>} secrets - From the notifier secrets file
+     */
+    setChannels(channelConfigs = [], secrets = {}) {
+        this.channels = [];
+        for (const config of channelConfigs) {
+            if (config.enabled === false) continue;
+
+            const channel = { ...config, ...secrets[config.name] };
+            const required = channel.type === 'email' ? 'smtp' : 'url';
+            if (channel[required] === undefined) {
+                console.error(`❌ Notifier "${channel.name}" has no ${required} in the notifier secrets file, skipping it`);
+                continue;
+            }
+            this.channels.push(channel);
+        }
+    }
+
+    /**
+     * Load recent deliveries from the log
+     * Malformed lines are skipped
+     */
+    load() {
+        this.recent = [];
+        if (!fs.existsSync(this.filePath)) return;
+
+        for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this.recent.push(JSON.parse(line));
+            } catch { }
+        }
+        this.recent = this.recent.slice(-MAX_RECENT_DELIVERIES);
+    }
+
+    /**
+     * Whether a channel wants an alert
+     */
+    accepts(channel, alert) {
+        if (!alert.actions?.includes('notify')) return false;
+        if (channel.rules && !channel.rules.includes(alert.rule)) return false;
+        return severityRank(alert.severity) >= severityRank(channel.minSeverity || 'info');
+    }
+
+    /**
+     * Send newly fired alerts to every channel that wants them
+     * Deliveries run in the background, one at a time per channel, and never reject.
+     * @param {Alert[]} alerts - Newly fired alerts
+     * @returns {Promise<void>} Resolves once every delivery finished
+     */
+    notify(alerts) {
+        const batches = this.channels
+            .map(channel => ({ channel, alerts: alerts.filter(alert => this.accepts(channel, alert)) }))
+            .filter(batch => batch.alerts.length > 0);
+        if (batches.length === 0) return this.queue;
+
+        // Queue behind earlier refreshes so a slow channel never interleaves batches
+        this.queue = this.queue.then(() => Promise.all(batches.map(async ({ channel, alerts: channelAlerts }) => {
+            const sent = channelAlerts.slice(0, MAX_NOTIFICATIONS_PER_REFRESH);
+            const skipped = channelAlerts.slice(MAX_NOTIFICATIONS_PER_REFRESH);
+
+            for (const alert of sent) {
+                await this.deliver(channel, alert);
+            }
+            if (skipped.length > 0) {
+                console.warn(`⚠️  Notifier "${channel.name}": skipped ${skipped.length} alerts (more than ${MAX_NOTIFICATIONS_PER_REFRESH} in one refresh)`);
+                skipped.forEach(alert => this.record(channel, alert, { status: 'skipped', attempts: 0, error: 'Too many alerts in one refresh' }));
+            }
+        }))).catch(error => {
+            console.error('❌ Notifier failed:', error.message);
+        });
+
+        return this.queue;
+    }
+
+    /**
+     * Deliver one alert to one channel, retrying with exponential backoff
+     * @param {NotifierConfig} channel - Channel config
+     * @param {Alert} alert - Alert to send
+     * @param {Object} options
+     * @param {number} [options.retries] - Retries after the first attempt
+     * @param {boolean} [options.test] - Mark the log entry as a test delivery
+     * @returns {Promise<NotificationDelivery>}
+     */
+    async deliver(channel, alert, { retries = channel.retries ?? DEFAULT_NOTIFIER_RETRIES, test = false } = {}) {
+        let attempts = 0;
+        let lastError = null;
+
+        while (attempts <= retries) {
+            if (attempts > 0) await sleep(RETRY_BASE_DELAY * 2 ** (attempts - 1));
+            attempts++;
+            try {
+                await this.send(channel, alert);
+                console.log(`📣 Notified "${channel.name}": ${alert.rule} - ${alert.title}`);
+                return this.record(channel, alert, { status: 'delivered', attempts, test });
+            } catch (error) {
+                lastError = error;
+                if (error.permanent) break;
+            }
+        }
+
+        console.error(`❌ Notifier "${channel.name}" failed after ${attempts} attempt(s): ${lastError.message}`);
+        return this.record(channel, alert, { status: 'failed', attempts, error: lastError.message, test });
+    }
+
+    /**
+     * Single delivery attempt
+     */
+    async send(channel, alert) {
+        if (channel.type === 'email') {
+            const values = templateValues(alert);
+            await sendMail(channel.smtp, {
+                from: channel.from,
+                to: channel.to,
+                subject: renderTemplate(channel.subject || DEFAULT_SUBJECT_TEMPLATE, values),
+                text: renderTemplate(channel.template || DEFAULT_MESSAGE_TEMPLATE, values)
+            });
+            return;
+        }
+
+        const response = await fetch(channel.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'SOCFeedViz-Notifier/1.0',
+                ...channel.headers
+            },
+            body: JSON.stringify(webhookBody(channel, alert)),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+        });
+
+        if (!response.ok) {
+            const message = `HTTP ${response.status} ${response.statusText}`.trim();
+            // Client errors other than rate limiting won't succeed on retry
+            if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+                throw permanentError(message);
+            }
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * Append a delivery outcome to the log
+     * @returns {NotificationDelivery}
+     */
+    record(channel, alert, { status, attempts, error = null, test = false }) {
+        const entry = {
+            notifier: channel.name,
+            type: channel.type,
+            rule: alert.rule,
+            severity: alert.severity,
+            itemId: alert.itemId,
+            title: alert.title,
+            status,
+            attempts,
+            error,
+            ...(test && { test: true }),
+            at: new Date().toISOString()
+        };
+
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        } catch (writeError) {
+            console.error('❌ Failed to write delivery log:', writeError.message);
+        }
+        this.recent.push(entry);
+        this.recent = this.recent.slice(-MAX_RECENT_DELIVERIES);
+        return entry;
+    }
+
+    /**
+     * Send a sample alert to a channel once (no retries)
+     * @param {string} name - Channel name
+     * @returns {Promise<NotificationDelivery|null>} null if there is no such channel
+     */
+    async test(name) {
+        const channel = this.channels.find(c => c.name === name);
+        if (!channel) return null;
+
+        const now = new Date().toISOString();
+        return this.deliver(channel, {
+            rule: 'Test notification',
+            severity: channel.minSeverity || 'info',
+            actions: ['notify'],
+            itemId: 'test',
+            title: `Test notification from SOC-FeedViz to "${channel.name}"`,
+            link: '',
+            source: 'SOC-FeedViz',
+            pubDate: now,
+            firedAt: now
+        }, { retries: 0, test: true });
+    }
+
+    /**
+     * Recent deliveries, newest first
+     * @param {number} limit - Max entries
+     * @returns {NotificationDelivery[]}
+     */
+    getRecent(limit = 100) {
+        return this.recent.slice(-limit).reverse();
+    }
+}
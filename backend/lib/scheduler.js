@@ -0,0 +1,160 @@
+/**
+ * Feed Refresh Scheduler
+ * Tracks a next-run time per feed and refreshes feeds when they are due,
+ * with per-feed intervals, random jitter and exponential backoff on failure
+ */
+
+export const DEFAULT_FETCH_INTERVAL = 10 * 60 * 1000; // 10 minutes
+export const DEFAULT_FETCH_JITTER = 0.1; // +/- 10% of the interval
+export const DEFAULT_MAX_BACKOFF = 60 * 60 * 1000; // 1 hour
+const TICK_INTERVAL = 5000;
+
+export class FeedScheduler {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getFeeds - Returns the currently enabled feeds
+     * @param {Function} options.getSettings - Returns { fetchInterval, fetchJitter, fetchMaxBackoff }
+     * @param {Function} options.runFeeds - Refreshes the given feeds; resolves when done
+     * @param {Function} [options.isBusy] - Returns true while another refresh is running
+     */
+    constructor({ getFeeds, getSettings, runFeeds, isBusy = () => false }) {
+        this.getFeeds = getFeeds;
+        this.getSettings = getSettings;
+        this.runFeeds = runFeeds;
+        this.isBusy = isBusy;
+        this.state = new Map();
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    get running() {
+        return this.timer !== null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('❌ Scheduled refresh failed:', error.message));
+        }, TICK_INTERVAL);
+    }
+
+    stop() {
+        if (!this.timer) return;
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Base interval for a feed (its own refreshInterval or the global default)
+     */
+    intervalFor(feed) {
+        return feed.refreshInterval || this.getSettings().fetchInterval || DEFAULT_FETCH_INTERVAL;
+    }
+
+    /**
+     * Delay until the next run, including backoff and jitter
+     */
+    delayFor(feed, failures) {
+        const { fetchJitter = DEFAULT_FETCH_JITTER, fetchMaxBackoff = DEFAULT_MAX_BACKOFF } = this.getSettings();
+        const interval = this.intervalFor(feed);
+
+        let delay = interval;
+        if (failures > 0) {
+            delay = Math.min(interval * Math.pow(2, failures), Math.max(fetchMaxBackoff, interval));
+        }
+
+        const jitter = delay * fetchJitter * (Math.random() * 2 - 1);
+        return Math.round(delay + jitter);
+    }
+
+    /**
+     * Add state for new feeds and drop state for removed ones
+     * @param {Object.<string, string>} lastFetched - Last fetch time per feed name (for new feeds)
+     */
+    sync(lastFetched = {}) {
+        const feeds = this.getFeeds();
+        const names = new Set(feeds.map(feed => feed.name));
+
+        for (const name of this.state.keys()) {
+            if (!names.has(name)) this.state.delete(name);
+        }
+
+        const now = Date.now();
+        for (const feed of feeds) {
+            const current = this.state.get(feed.name);
+            if (current) {
+                current.interval = this.intervalFor(feed);
+                continue;
+            }
+
+            const last = lastFetched[feed.name] ? new Date(lastFetched[feed.name]).getTime() : null;
+            this.state.set(feed.name, {
+                interval: this.intervalFor(feed),
+                nextRun: last ? Math.max(now, last + this.intervalFor(feed)) : now,
+                lastRun: last,
+                failures: 0
+            });
+        }
+
+        return feeds;
+    }
+
+    /**
+     * Record the outcome of a feed refresh and schedule its next run
+     * @param {Object} feed - Feed config
+     * @param {boolean} success - Whether the fetch succeeded
+     */
+    recordResult(feed, success) {
+        const now = Date.now();
+        const entry = this.state.get(feed.name) || { failures: 0 };
+
+        entry.failures = success ? 0 : entry.failures + 1;
+        entry.lastRun = now;
+        entry.interval = this.intervalFor(feed);
+        entry.nextRun = now + this.delayFor(feed, entry.failures);
+
+        this.state.set(feed.name, entry);
+    }
+
+    /**
+     * Run all feeds that are due
+     * runFeeds records each feed's result; if it fails outright, the due feeds it
+     * didn't record are counted as failed, so they back off instead of being
+     * retried on every tick.
+     */
+    async tick() {
+        if (this.ticking || this.isBusy()) return;
+
+        const now = Date.now();
+        const due = this.sync().filter(feed => this.state.get(feed.name).nextRun <= now);
+        if (due.length === 0) return;
+
+        this.ticking = true;
+        try {
+            await this.runFeeds(due);
+        } catch (error) {
+            due.filter(feed => this.state.get(feed.name)?.nextRun <= now)
+                .forEach(feed => this.recordResult(feed, false));
+            throw error;
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Current schedule per feed
+     * @returns {Object.<string, FeedSchedule>}
+     */
+    getSchedule() {
+        const schedule = {};
+        for (const [name, entry] of this.state.entries()) {
+            schedule[name] = {
+                interval: entry.interval,
+                nextRun: this.running ? new Date(entry.nextRun).toISOString() : null,
+                lastRun: entry.lastRun ? new Date(entry.lastRun).toISOString() : null,
+                consecutiveFailures: entry.failures
+            };
+        }
+        return schedule;
+    }
+}
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FeedScheduler, DEFAULT_FETCH_INTERVAL, DEFAULT_MAX_BACKOFF } from './scheduler.js';
+
+const MINUTE = 60 * 1000;
+
+function createScheduler({ feeds = [{ name: 'alpha' }], settings = {}, runFeeds = async () => { } } = {}) {
+    return new FeedScheduler({
+        getFeeds: () => feeds,
+        getSettings: () => settings,
+        runFeeds
+    });
+}
+
+test('the interval comes from the feed, then the settings, then the default', () => {
+    const scheduler = createScheduler({ settings: { fetchInterval: 5 * MINUTE } });
+    assert.equal(scheduler.intervalFor({ name: 'alpha', refreshInterval: 2 * MINUTE }), 2 * MINUTE);
+    assert.equal(scheduler.intervalFor({ name: 'alpha' }), 5 * MINUTE);
+    assert.equal(createScheduler().intervalFor({ name: 'alpha' }), DEFAULT_FETCH_INTERVAL);
+});
+
+test('jitter stays within the configured fraction of the delay', (t) => {
+    const scheduler = createScheduler({ settings: { fetchInterval: 10 * MINUTE, fetchJitter: 0.2 } });
+    const feed = { name: 'alpha' };
+    const random = t.mock.method(Math, 'random', () => 0);
+
+    assert.equal(scheduler.delayFor(feed, 0), 8 * MINUTE);
+    random.mock.mockImplementation(() => 0.5);
+    assert.equal(scheduler.delayFor(feed, 0), 10 * MINUTE);
+    random.mock.mockImplementation(() => 0.999999);
+    assert.ok(scheduler.delayFor(feed, 0) <= 12 * MINUTE);
+});
+
+test('failures back off exponentially up to the maximum', (t) => {
+    t.mock.method(Math, 'random', () => 0.5);
+    const scheduler = createScheduler({ settings: { fetchInterval: 10 * MINUTE } });
+    const feed = { name: 'alpha' };
+
+    assert.equal(scheduler.delayFor(feed, 1), 20 * MINUTE);
+    assert.equal(scheduler.delayFor(feed, 2), 40 * MINUTE);
+    assert.equal(scheduler.delayFor(feed, 3), DEFAULT_MAX_BACKOFF);
+    assert.equal(scheduler.delayFor(feed, 30), DEFAULT_MAX_BACKOFF);
+
+    // A feed slower than the backoff cap never runs more often than its own interval
+    assert.equal(scheduler.delayFor({ name: 'slow', refreshInterval: 2 * DEFAULT_MAX_BACKOFF }, 3), 2 * DEFAULT_MAX_BACKOFF);
+});
+
+test('a success resets the backoff', (t) => {
+    t.mock.method(Math, 'random', () => 0.5);
+    const scheduler = createScheduler({ settings: { fetchInterval: 10 * MINUTE } });
+    const feed = { name: 'alpha' };
+
+    scheduler.recordResult(feed, false);
+    scheduler.recordResult(feed, false);
+    assert.equal(scheduler.getSchedule().alpha.consecutiveFailures, 2);
+
+    const before = Date.now();
+    scheduler.recordResult(feed, true);
+    const entry = scheduler.state.get('alpha');
+    assert.equal(entry.failures, 0);
+    assert.ok(entry.nextRun >= before + 10 * MINUTE);
+});
+
+test('new feeds are due now unless fetched within their interval', () => {
+    const scheduler = createScheduler({ feeds: [{ name: 'alpha' }, { name: 'beta' }] });
+    const recent = new Date(Date.now() - MINUTE).toISOString();
+    const before = Date.now();
+    scheduler.sync({ beta: recent });
+
+    assert.ok(scheduler.state.get('alpha').nextRun <= Date.now());
+    assert.ok(scheduler.state.get('beta').nextRun >= before + DEFAULT_FETCH_INTERVAL - 2 * MINUTE);
+});
+
+test('due feeds back off when the refresh itself fails', async (t) => {
+    t.mock.method(Math, 'random', () => 0.5);
+    const feeds = [{ name: 'alpha' }, { name: 'beta' }];
+    const scheduler = createScheduler({
+        feeds,
+        runFeeds: async () => {
+            scheduler.recordResult(feeds[0], true);
+            throw new Error('cache write failed');
+        }
+    });
+
+    const before = Date.now();
+    await assert.rejects(scheduler.tick(), /cache write failed/);
+
+    assert.equal(scheduler.ticking, false);
+    assert.equal(scheduler.state.get('alpha').failures, 0);
+    assert.equal(scheduler.state.get('beta').failures, 1);
+    assert.ok(scheduler.state.get('beta').nextRun >= before + 2 * DEFAULT_FETCH_INTERVAL);
+
+    // Nothing is due any more, so the next tick doesn't retry
+    await scheduler.tick();
+});
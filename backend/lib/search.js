@@ -0,0 +1,320 @@
+/**
+ * Full-Text Search Index
+ * In-memory inverted index over ingested articles with term positions, supporting
+ * plain terms, "quoted phrases", prefix* terms and source/date facets
+ */
+
+const FIELD_GAP = 10; // Position gap between fields so phrases don't span them
+const TITLE_BOOST = 3;
+const SNIPPET_RADIUS = 80;
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 200;
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Parse a query string into phrases, prefixes and terms
+ * `"remote code execution" citrix* patch` -> one phrase, one prefix, one term
+ * @param {string} query - Search query
+ * @returns {{phrases: string[][], prefixes: string[], terms: string[]}}
+ */
+export function parseQuery(query) {
+    const parsed = { phrases: [], prefixes: [], terms: [] };
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+        if (match[1] !== undefined) {
+            const words = tokenize(match[1]);
+            if (words.length > 1) parsed.phrases.push(words);
+            else if (words.length === 1) parsed.terms.push(words[0]);
+        } else if (match[2].endsWith('*')) {
+            const words = tokenize(match[2]);
+            if (words.length === 0) continue;
+            // "cve-2024*" -> the leading words must match too, the last one as a prefix
+            const leading = words.slice(0, -1);
+            if (leading.length > 1) parsed.phrases.push(leading);
+            else if (leading.length === 1) parsed.terms.push(leading[0]);
+            parsed.prefixes.push(words[words.length - 1]);
+        } else {
+            const words = tokenize(match[2]);
+            // Tokens joined by punctuation ("CVE-2024-3400", "log4j.jar") stay together as a phrase
+            if (words.length > 1) parsed.phrases.push(words);
+            else if (words.length === 1) parsed.terms.push(words[0]);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Day bucket (YYYY-MM-DD, UTC) for the date facet
+ */
+function dayOf(time) {
+    return Number.isNaN(time) ? 'unknown' : new Date(time).toISOString().slice(0, 10);
+}
+
+export class SearchIndex {
+    constructor() {
+        this.docs = new Map();
+        this.postings = new Map();
+        this.sortedTerms = null;
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    /**
+     * Add or re-index an article (unchanged articles are skipped)
+     * @param {FeedItem} item - Article with a stable id
+     */
+    add(item) {
+        if (!item?.id) return;
+
+        const existing = this.docs.get(item.id);
+        if (existing &&
+            existing.item.title === item.title &&
+            existing.item.description === item.description &&
+            existing.item.fullText === item.fullText) {
+            existing.item = item;
+            return;
+        }
+        if (existing) this.remove(item.id);
+
+        const positions = new Map();
+        let position = 0;
+        let titleTokens = 0;
+        for (const [index, field] of [item.title, item.description, item.fullText].entries()) {
+            for (const token of tokenize(field)) {
+                if (!positions.has(token)) positions.set(token, []);
+                positions.get(token).push(position++);
+                if (index === 0) titleTokens++;
+            }
+            position += FIELD_GAP;
+        }
+
+        for (const [token, list] of positions) {
+            if (!this.postings.has(token)) {
+                this.postings.set(token, new Map());
+                this.sortedTerms = null;
+            }
+            this.postings.get(token).set(item.id, list);
+        }
+
+        this.docs.set(item.id, {
+            item,
+            terms: [...positions.keys()],
+            titleTokens,
+            time: new Date(item.pubDate).getTime()
+        });
+    }
+
+    /**
+     * Remove an article from the index
+     * @param {string} id - Article ID
+     */
+    remove(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+
+        for (const term of doc.terms) {
+            const posting = this.postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+                this.sortedTerms = null;
+            }
+        }
+        this.docs.delete(id);
+    }
+
+    /**
+     * Remove every article for which keep(id) returns false
+     * @param {Function} keep - Predicate on article ID
+     * @returns {number} Number of articles removed
+     */
+    prune(keep) {
+        const removed = [...this.docs.keys()].filter(id => !keep(id));
+        removed.forEach(id => this.remove(id));
+        return removed.length;
+    }
+
+    /**
+     * Index terms starting with a prefix (binary search over the sorted vocabulary)
+     */
+    termsWithPrefix(prefix) {
+        if (!this.sortedTerms) {
+            this.sortedTerms = [...this.postings.keys()].sort();
+        }
+
+        let low = 0;
+        let high = this.sortedTerms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sortedTerms[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const terms = [];
+        for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+            terms.push(this.sortedTerms[i]);
+        }
+        return terms;
+    }
+
+    /**
+     * Score contribution of one term occurrence list (title hits weigh more)
+     */
+    termScore(doc, positions) {
+        return positions.reduce((score, position) => score + (position < doc.titleTokens ? TITLE_BOOST : 1), 0);
+    }
+
+    /**
+     * Documents containing a phrase, with their match score
+     * @returns {Map<string, number>}
+     */
+    matchPhrase(words) {
+        const lists = words.map(word => this.postings.get(word));
+        if (lists.some(list => !list)) return new Map();
+
+        const matches = new Map();
+        for (const [id, firstPositions] of lists[0]) {
+            const starts = firstPositions.filter(start =>
+                lists.every((list, offset) => list.get(id)?.includes(start + offset))
+            );
+            if (starts.length > 0) {
+                const doc = this.docs.get(id);
+                matches.set(id, this.termScore(doc, starts) * words.length);
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Documents containing any term with a prefix, with their match score
+     * @returns {Map<string, number>}
+     */
+    matchPrefix(prefix) {
+        const matches = new Map();
+        for (const term of this.termsWithPrefix(prefix)) {
+            for (const [id, positions] of this.postings.get(term)) {
+                const doc = this.docs.get(id);
+                matches.set(id, (matches.get(id) || 0) + this.termScore(doc, positions));
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Documents containing a term, with their match score
+     * @returns {Map<string, number>}
+     */
+    matchTerm(term) {
+        const matches = new Map();
+        for (const [id, positions] of this.postings.get(term) || []) {
+            matches.set(id, this.termScore(this.docs.get(id), positions));
+        }
+        return matches;
+    }
+
+    /**
+     * Short excerpt of the article around the first query word
+     */
+    snippet(item, parsed) {
+        const text = `${item.description || ''} ${item.fullText || ''}`.replace(/\s+/g, ' ').trim();
+        const words = [...parsed.phrases.map(phrase => phrase[0]), ...parsed.terms, ...parsed.prefixes];
+        const lower = text.toLowerCase();
+
+        let index = -1;
+        for (const word of words) {
+            index = lower.search(new RegExp(`(^|[^\\p{L}\\p{N}])${word}`, 'u'));
+            if (index !== -1) break;
+        }
+        if (index === -1) return text.slice(0, SNIPPET_RADIUS * 2);
+
+        const start = Math.max(0, index - SNIPPET_RADIUS);
+        const end = Math.min(text.length, index + SNIPPET_RADIUS);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Search the index
+     * All query parts must match. Facets count matches per source (ignoring the source
+     * filter) and per day (ignoring the date filter), so they show what a filter change would give.
+     * @param {Object} options
+     * @param {string} options.q - Query (terms, "phrases", prefix*)
+     * @param {string} [options.source] - Only these sources (comma-separated)
+     * @param {Date|string} [options.since] - Published on or after
+     * @param {Date|string} [options.until] - Published on or before
+     * @param {string} [options.sort] - 'relevance' (default) or 'date'
+     * @param {number} [options.limit] - Max results
+     * @param {number} [options.offset] - Results to skip
+     * @returns {SearchResponse}
+     */
+    search({ q, source, since, until, sort = 'relevance', limit = DEFAULT_SEARCH_LIMIT, offset = 0 } = {}) {
+        const parsed = parseQuery(q);
+        const clauses = [
+            ...parsed.phrases.map(words => this.matchPhrase(words)),
+            ...parsed.prefixes.map(prefix => this.matchPrefix(prefix)),
+            ...parsed.terms.map(term => this.matchTerm(term))
+        ];
+
+        const empty = { total: 0, offset, limit, items: [], facets: { sources: {}, days: {} } };
+        if (clauses.length === 0) return empty;
+
+        // Intersect clauses, starting from the smallest
+        clauses.sort((a, b) => a.size - b.size);
+        const scores = new Map(clauses[0]);
+        for (const clause of clauses.slice(1)) {
+            for (const [id, score] of scores) {
+                if (clause.has(id)) scores.set(id, score + clause.get(id));
+                else scores.delete(id);
+            }
+        }
+
+        const sources = source ? new Set(String(source).split(',').map(name => name.trim())) : null;
+        const sinceTime = since ? new Date(since).getTime() : -Infinity;
+        const untilTime = until ? new Date(until).getTime() : Infinity;
+
+        const facets = { sources: {}, days: {} };
+        const results = [];
+        for (const [id, score] of scores) {
+            const doc = this.docs.get(id);
+            const inSource = !sources || sources.has(doc.item.source);
+            const inRange = doc.time >= sinceTime && doc.time <= untilTime;
+
+            if (inRange) facets.sources[doc.item.source] = (facets.sources[doc.item.source] || 0) + 1;
+            if (inSource) facets.days[dayOf(doc.time)] = (facets.days[dayOf(doc.time)] || 0) + 1;
+            if (inSource && inRange) results.push({ doc, score });
+        }
+
+        results.sort((a, b) => sort === 'date'
+            ? b.doc.time - a.doc.time
+            : b.score - a.score || b.doc.time - a.doc.time);
+
+        return {
+            total: results.length,
+            offset,
+            limit,
+            items: results.slice(offset, offset + limit).map(({ doc, score }) => ({
+                id: doc.item.id,
+                title: doc.item.title,
+                link: doc.item.link,
+                source: doc.item.source,
+                sourceIcon: doc.item.sourceIcon,
+                pubDate: doc.item.pubDate,
+                score,
+                snippet: this.snippet(doc.item, parsed)
+            })),
+            facets
+        };
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * Minimal SMTP Client
+ * Sends a plain-text email over SMTP with optional implicit TLS, STARTTLS and
+ * AUTH PLAIN - just enough for alert notifications without a mail library
+ */
+
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+const DEFAULT_SMTP_TIMEOUT = 15000;
+
+/**
+ * One SMTP conversation: reads multi-line replies and sends commands
+ */
+class SmtpSession {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.replies = [];
+        this.waiters = [];
+        this.lines = [];
+        this.error = null;
+        this.onData = this.onData.bind(this);
+        this.onError = this.onError.bind(this);
+        this.onClose = () => this.onError(new Error('SMTP connection closed'));
+        this.use(socket);
+    }
+
+    /**
+     * Read replies from a (new) socket, e.g. after STARTTLS
+     */
+    use(socket) {
+        if (this.socket) {
+            this.socket.off('data', this.onData);
+            this.socket.off('error', this.onError);
+            this.socket.off('close', this.onClose);
+            this.socket.setTimeout(0);
+        }
+        this.socket = socket;
+        this.buffer = '';
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+        socket.on('close', this.onClose);
+    }
+
+    onData(chunk) {
+        this.buffer += chunk.toString('utf8');
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line);
+
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}-/.test(line)) continue;
+            const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines.map(l => l.slice(4)) };
+            this.lines = [];
+            const waiter = this.waiters.shift();
+            if (waiter) waiter.resolve(reply);
+            else this.replies.push(reply);
+        }
+    }
+
+    onError(error) {
+        this.error = this.error || error;
+        this.waiters.splice(0).forEach(waiter => waiter.reject(this.error));
+    }
+
+    read() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.error) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+    }
+
+    /**
+     * Send a command and check the reply code
+     * @param {string|null} line - Command (null to only read a reply)
+     * @param {number[]} expected - Accepted reply codes
+     * @param {string} label - Name used in errors (so credentials never end up in logs)
+     */
+    async command(line, expected, label) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`.trim());
+        }
+        return reply;
+    }
+
+    close() {
+        this.socket.off('close', this.onClose);
+        this.socket.destroy();
+    }
+}
+
+/**
+ * Bare address from "Name <user@example.com>" or "user@example.com"
+ */
+function addressOf(mailbox) {
+    return mailbox.match(/<([^>]+)>/)?.[1] || mailbox.trim();
+}
+
+/**
+ * Encode a header value as RFC 2047 if it is not plain ASCII
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build the message source (headers + base64 body, CRLF line endings)
+ */
+function buildMessage({ from, to, subject, text }) {
+    const domain = addressOf(from).split('@')[1] || os.hostname();
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').match(/.{1,76}/g) || [];
+
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject.replace(/[\r\n]+/g, ' '))}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        ...body
+    ].join('\r\n');
+}
+
+/**
+ * Send a plain-text email
+ * @param {Object} server - SMTP server settings
+ * @param {string} server.host - Hostname
+ * @param {number} [server.port] - Port (default 465 when secure, 587 with auth, otherwise 25)
+ * @param {boolean} [server.secure] - Implicit TLS from the start (port 465)
+ * @param {boolean} [server.starttls] - Upgrade with STARTTLS when offered (default true)
+ * @param {string} [server.user] - AUTH PLAIN user
+ * @param {string} [server.pass] - AUTH PLAIN password
+ * @param {boolean} [server.rejectUnauthorized] - Verify TLS certificates (default true)
+ * @param {number} [server.timeout] - Socket idle timeout in ms
+ * @param {Object} message
+ * @param {string} message.from - Sender mailbox
+ * @param {string[]} message.to - Recipient mailboxes
+ * @param {string} message.subject - Subject
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<{accepted: string[], response: string}>}
+ * @throws {Error} On connection errors or unexpected replies
+ */
+export async function sendMail(server, message) {
+    const {
+        host,
+        secure = false,
+        starttls = true,
+        user,
+        pass,
+        rejectUnauthorized = true,
+        timeout = DEFAULT_SMTP_TIMEOUT
+    } = server;
+    const port = server.port || (secure ? 465 : user ? 587 : 25);
+
+    const socket = secure
+        ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+        : net.connect({ host, port });
+    const session = new SmtpSession(socket, timeout);
+
+    try {
+        await session.command(null, [220], 'greeting');
+        let ehlo = await session.command(`EHLO ${os.hostname()}`, [250], 'EHLO');
+
+        const offersStartTls = ehlo.lines.some(line => /^STARTTLS\b/i.test(line));
+        if (!secure && starttls && offersStartTls) {
+            await session.command('STARTTLS', [220], 'STARTTLS');
+            session.use(tls.connect({ socket: session.socket, servername: host, rejectUnauthorized }));
+            ehlo = await session.command(`EHLO ${os.hostname()}`, [250], 'EHLO');
+        }
+
+        if (user) {
+            const credentials = Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64');
+            await session.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+        }
+
+        await session.command(`MAIL FROM:<${addressOf(message.from)}>`, [250], 'MAIL FROM');
+        const accepted = [];
+        for (const recipient of message.to) {
+            await session.command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251], `RCPT TO ${addressOf(recipient)}`);
+            accepted.push(addressOf(recipient));
+        }
+
+        await session.command('DATA', [354], 'DATA');
+        // Dot-stuff lines starting with "." and end with <CRLF>.<CRLF>
+        const data = buildMessage(message).replace(/^\./gm, '..');
+        const reply = await session.command(`${data}\r\n.`, [250], 'message');
+
+        await session.command('QUIT', [221], 'QUIT').catch(() => { });
+        return { accepted, response: reply.lines.join(' ') };
+    } finally {
+        session.close();
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * STIX 2.1 Export
+ * Converts feed items into a STIX 2.1 bundle: one report per article, referencing
+ * indicator objects for its IOCs, vulnerability objects for its CVEs and an
+ * identity for its source
+ */
+
+import crypto from 'crypto';
+import { IOC_TYPES } from './iocs.js';
+
+/**
+ * Namespace for deterministic STIX identifiers (from the STIX 2.1 specification)
+ */
+const STIX_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+
+/**
+ * STIX patterning expression for each IOC type
+ */
+const IOC_PATTERNS = {
+    ipv4: value => `[ipv4-addr:value = '${escapePattern(value)}']`,
+    ipv6: value => `[ipv6-addr:value = '${escapePattern(value)}']`,
+    domains: value => `[domain-name:value = '${escapePattern(value)}']`,
+    urls: value => `[url:value = '${escapePattern(value)}']`,
+    md5: value => `[file:hashes.MD5 = '${value}']`,
+    sha1: value => `[file:hashes.'SHA-1' = '${value}']`,
+    sha256: value => `[file:hashes.'SHA-256' = '${value}']`
+};
+
+/**
+ * Escape a string literal for a STIX pattern
+ */
+function escapePattern(value) {
+    return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Deterministic STIX identifier (UUIDv5 of the key), so re-exports keep the same IDs
+ * @param {string} type - STIX object type
+ * @param {string} key - Value identifying the object
+ * @returns {string} e.g. 'report--5d3c...'
+ */
+function stixId(type, key) {
+    const namespace = Buffer.from(STIX_NAMESPACE.replace(/-/g, ''), 'hex');
+    const hash = crypto.createHash('sha1').update(namespace).update(`${type}:${key}`).digest();
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    const hex = hash.subarray(0, 16).toString('hex');
+    return `${type}--${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * STIX timestamp (RFC 3339, UTC, millisecond precision)
+ */
+function stixTime(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Build a STIX 2.1 bundle from feed items
+ * Indicators and vulnerabilities shared by several articles appear once and are
+ * referenced by every report that mentions them.
+ * @param {FeedItem[]} items - Items to export
+ * @returns {StixBundle}
+ */
+export function buildStixBundle(items) {
+    const shared = new Map();
+    const reports = [];
+
+    /**
+     * Add a shared object (indicator, vulnerability, identity) once, keeping the earliest timestamp
+     */
+    const addShared = (object) => {
+        const existing = shared.get(object.id);
+        if (!existing) {
+            shared.set(object.id, object);
+        } else if (object.created < existing.created) {
+            existing.created = object.created;
+            if (existing.valid_from) existing.valid_from = object.created;
+        }
+        return object.id;
+    };
+
+    for (const item of items) {
+        const published = stixTime(item.pubDate);
+        const objectRefs = [];
+
+        for (const type of IOC_TYPES) {
+            for (const value of item.iocs?.[type] || []) {
+                const pattern = IOC_PATTERNS[type](value);
+                objectRefs.push(addShared({
+                    type: 'indicator',
+                    spec_version: '2.1',
+                    id: stixId('indicator', pattern),
+                    created: published,
+                    modified: published,
+                    name: value,
+                    pattern,
+                    pattern_type: 'stix',
+                    valid_from: published
+                }));
+            }
+        }
+
+        for (const cve of item.cves || []) {
+            const vulnerability = {
+                type: 'vulnerability',
+                spec_version: '2.1',
+                id: stixId('vulnerability', cve.id),
+                created: published,
+                modified: published,
+                name: cve.id,
+                external_references: [{
+                    source_name: 'cve',
+                    external_id: cve.id,
+                    url: `https://nvd.nist.gov/vuln/detail/${cve.id}`
+                }]
+            };
+            if (cve.cvssScore !== null && cve.cvssScore !== undefined) {
+                const version = cve.cvssVersion ? ` v${cve.cvssVersion}` : '';
+                const affected = [cve.vendor, cve.product].filter(Boolean).join(' ');
+                vulnerability.description = `CVSS${version} score ${cve.cvssScore} (${cve.severity})` +
+                    (affected ? `, affects ${affected}` : '');
+            }
+            objectRefs.push(addShared(vulnerability));
+        }
+
+        // The publishing source is always referenced, so object_refs is never empty
+        objectRefs.push(addShared({
+            type: 'identity',
+            spec_version: '2.1',
+            id: stixId('identity', item.source),
+            created: published,
+            modified: published,
+            name: item.source,
+            identity_class: 'organization'
+        }));
+
+        reports.push({
+            type: 'report',
+            spec_version: '2.1',
+            id: stixId('report', `${item.source}\n${item.id}`),
+            created: published,
+            modified: published,
+            name: item.title,
+            description: item.description || undefined,
+            report_types: ['threat-report'],
+            published,
+            object_refs: [...new Set(objectRefs)],
+            labels: [item.source],
+            external_references: [{
+                source_name: item.source,
+                url: item.link,
+                external_id: item.id
+            }]
+        });
+    }
+
+    return {
+        type: 'bundle',
+        id: `bundle--${crypto.randomUUID()}`,
+        objects: [...reports, ...shared.values()]
+    };
+}
@@ -5,7 +5,7 @@
 
 import express from 'express';
 import cors from 'cors';
-import { extract as extractFeed } from '@extractus/feed-extractor';
+import { extractFromXml, extractFromJson } from '@extractus/feed-extractor';
 import { extract as extractArticle } from '@extractus/article-extractor';
 import fs from 'fs';
 import path from 'path';
@@ -13,6 +13,24 @@ import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import readline from 'readline';
 import { API_ENDPOINTS } from '../shared/api/endpoints.js';
+import { resolveConfigPath, loadConfig, loadNotifierSecrets, watchConfig, saveFeeds } from './lib/config.js';
+import { ArticleHistory } from './lib/history.js';
+import { FeedScheduler, DEFAULT_FETCH_INTERVAL } from './lib/scheduler.js';
+import { assignClusters } from './lib/clustering.js';
+import { CveDatabase, extractCveIds } from './lib/cve.js';
+import { IOC_TYPES, extractIocs, countIocs } from './lib/iocs.js';
+import { buildStixBundle } from './lib/stix.js';
+import { EventStream } from './lib/events.js';
+import { filterItems, validateDateParams, validateStringParams, queryItems } from './lib/items.js';
+import { SearchIndex, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT } from './lib/search.js';
+import { AlertEngine, DEFAULT_ALERT_ACTIONS } from './lib/alerts.js';
+import { Notifier, DEFAULT_NOTIFIER_RETRIES } from './lib/notifier.js';
+import { AuthStore, requireRole, getRequestToken } from './lib/auth.js';
+import { IpFilter } from './lib/ipfilter.js';
+import { RotatingLog, validateLogParams, buildLogFilter, DEFAULT_LOG_LIMIT, MAX_LOG_LIMIT } from './lib/logs.js';
+import { MetricsRegistry, METRICS_CONTENT_TYPE } from './lib/metrics.js';
+import { FeedHealth, HEALTH_WINDOW, DEFAULT_STALE_AFTER_DAYS } from './lib/health.js';
+import { createArticleId } from '../shared/utils/articleId.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,68 +39,74 @@ const app = express();
 const PORT = process.env.PORT || 3003;
 
 // Configuration
-const FETCH_INTERVAL = 10 * 60 * 1000; // 10 minutes
 const CACHE_DIR = path.join(__dirname, 'cache');
 const IMAGES_DIR = path.join(CACHE_DIR, 'images');
 const FEED_CACHE_FILE = path.join(CACHE_DIR, 'feeds.json');
-
-// IP Allow List - comma-separated IPs or CIDR ranges, or '*' for all
-const ALLOWED_IPS = (process.env.ALLOWED_IPS || '127.0.0.1,::1,localhost').split(',').map(ip => ip.trim());
+const FEED_HTTP_CACHE_FILE = path.join(CACHE_DIR, 'feed-http.json');
+const DATA_DIR = path.join(__dirname, 'data');
+// Built frontend (npm run build); the only static root, so data/ and cache/ are never reachable
+const FRONTEND_DIR = path.join(__dirname, '..', 'dist');
+const HISTORY_FILE = path.join(DATA_DIR, 'history.jsonl');
+const ALERTS_FILE = path.join(DATA_DIR, 'alerts.jsonl');
+const ALERTS_FIRED_FILE = path.join(DATA_DIR, 'alerts-fired.json');
+const NOTIFICATIONS_FILE = path.join(DATA_DIR, 'notifications.jsonl');
+const NOTIFIER_SECRETS_FILE = path.join(DATA_DIR, 'notifier-secrets.json');
+const AUTH_FILE = path.join(DATA_DIR, 'auth.json');
+const REQUEST_LOG_FILE = path.join(DATA_DIR, 'requests.jsonl');
+const AUDIT_LOG_FILE = path.join(DATA_DIR, 'audit.jsonl');
+const FEED_HEALTH_FILE = path.join(DATA_DIR, 'health.json');
+
+// IP filtering - comma-separated IPs, CIDR ranges (IPv4 or IPv6) or aliases, see IP-ALLOW-LIST.md
+let ipFilter;
+try {
+    ipFilter = new IpFilter({
+        allow: process.env.ALLOWED_IPS || '127.0.0.1,::1,localhost',
+        deny: process.env.DENIED_IPS || '',
+        // Empty means trust no proxy; X-Forwarded-For is then ignored
+        trustedProxies: process.env.TRUSTED_PROXIES ?? 'loopback'
+    });
+} catch (error) {
+    console.error(`❌ Invalid IP list: ${error.message}`);
+    process.exit(1);
+}
 
 /**
  * Get client IP address from request
  */
 function getClientIp(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-         req.headers['x-real-ip'] ||
-         req.connection?.remoteAddress ||
-         req.socket?.remoteAddress ||
-         req.ip ||
-         'unknown';
+  return ipFilter.getClientIp(req);
 }
 
 /**
- * Check if IP is allowed
+ * Whether a path is a frontend asset or cached image rather than an API route
+ * Routing is case-insensitive, so /API/items/x.js must not count as a .js file.
  */
-function isIpAllowed(ip) {
-  if (ALLOWED_IPS.includes('*')) return true;
-  
-  // Check exact match
-  if (ALLOWED_IPS.includes(ip)) return true;
-  
-  // Check localhost variants
-  if (ip === '::1' || ip === '127.0.0.1' || ip === 'localhost') {
-    return ALLOWED_IPS.some(allowed => 
-      allowed === '127.0.0.1' || allowed === '::1' || allowed === 'localhost'
-    );
+function isStaticAsset(requestPath) {
+  const lowerPath = requestPath.toLowerCase();
+  if (lowerPath === '/api' || lowerPath.startsWith('/api/') || lowerPath.startsWith('/metrics')) {
+    return false;
   }
-  
-  // Check CIDR ranges (simple implementation)
-  for (const allowed of ALLOWED_IPS) {
-    if (allowed.includes('/')) {
-      // Simple CIDR check - in production, use a proper CIDR library
-      const [network, prefix] = allowed.split('/');
-      if (ip.startsWith(network.split('.').slice(0, parseInt(prefix) / 8).join('.'))) {
-        return true;
-      }
-    }
-  }
-  
-  return false;
+  return lowerPath.startsWith('/images/') || /\.(html|css|js)$/.test(lowerPath);
 }
 
 /**
  * IP Allow List Middleware
  */
 function ipAllowListMiddleware(req, res, next) {
-  // Always allow static files and images
-  if (req.path.startsWith('/images/') || req.path.endsWith('.html') || req.path.endsWith('.css') || req.path.endsWith('.js')) {
+  const clientIp = getClientIp(req);
+
+  // Denied addresses get nothing, not even static files
+  if (ipFilter.isDenied(clientIp)) {
+    console.log(`❌ Blocked request from denied ${clientIp} to ${req.path}`);
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  // Always allow static files and images, but never API or metrics routes
+  if (isStaticAsset(req.path)) {
     return next();
   }
   
-  const clientIp = getClientIp(req);
-  
-  if (!isIpAllowed(clientIp)) {
+  if (!ipFilter.isAllowed(clientIp)) {
     console.log(`❌ Blocked request from ${clientIp} to ${req.path}`);
     return res.status(403).json({ error: 'Access denied' });
   }
@@ -93,40 +117,113 @@ function ipAllowListMiddleware(req, res, next) {
 // Ensure cache directories exist
 if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
 if (!fs.existsSync(IMAGES_DIR)) fs.mkdirSync(IMAGES_DIR, { recursive: true });
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
 // IP Allow List Middleware (before other middleware)
 app.use(ipAllowListMiddleware);
 
-// Request logging middleware - log all IPs and requests
-const requestLog = [];
-const MAX_LOG_ENTRIES = 100;
+// Request and audit logs (JSONL with rotation, see lib/logs.js)
+const requestLog = new RotatingLog(REQUEST_LOG_FILE);
+const auditLog = new RotatingLog(AUDIT_LOG_FILE);
+
+// Prometheus metrics (GET /metrics, see lib/metrics.js); gauges are set in collectMetrics()
+const metrics = new MetricsRegistry();
+const FEED_FETCH_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+const httpRequestsTotal = metrics.counter('feedviz_http_requests_total',
+  'HTTP requests by route and status code', ['method', 'route', 'status']);
+const httpRequestDuration = metrics.histogram('feedviz_http_request_duration_seconds',
+  'HTTP request latency in seconds', ['method', 'route']);
+const feedFetchesTotal = metrics.counter('feedviz_feed_fetches_total',
+  'Feed fetches by result (success, not_modified, failure)', ['feed', 'result']);
+const feedFetchDuration = metrics.histogram('feedviz_feed_fetch_duration_seconds',
+  'Time to fetch and process a feed, including article extraction', ['feed'], FEED_FETCH_BUCKETS);
+const articleExtractionsTotal = metrics.counter('feedviz_article_extractions_total',
+  'Full-text article extractions by result (success, failure)', ['feed', 'result']);
+const refreshesTotal = metrics.counter('feedviz_refreshes_total', 'Completed refresh runs');
+const refreshDuration = metrics.histogram('feedviz_refresh_duration_seconds',
+  'Duration of a refresh run in seconds', [], FEED_FETCH_BUCKETS);
+const feedUp = metrics.gauge('feedviz_feed_up', 'Whether the last fetch of a feed succeeded', ['feed']);
+const feedArticles = metrics.gauge('feedviz_feed_articles', 'Cached articles per feed', ['feed']);
+const feedLastFetch = metrics.gauge('feedviz_feed_last_fetch_timestamp_seconds',
+  'Unix time of the last fetch of a feed', ['feed']);
+const feedConsecutiveFailures = metrics.gauge('feedviz_feed_consecutive_failures',
+  'Failed fetches of a feed since its last success', ['feed']);
+const feedStale = metrics.gauge('feedviz_feed_stale',
+  'Whether a feed has gone stale (no successful fetch or new article for staleAfterDays)', ['feed']);
+const articlesGauge = metrics.gauge('feedviz_articles', 'Cached articles');
+const historyArticlesGauge = metrics.gauge('feedviz_history_articles', 'Articles in the durable history');
+const indexedArticlesGauge = metrics.gauge('feedviz_search_index_articles', 'Articles in the search index');
+const imagesGauge = metrics.gauge('feedviz_image_cache_files', 'Cached images');
+const imageBytesGauge = metrics.gauge('feedviz_image_cache_bytes', 'Size of the image cache in bytes');
+const cacheBytesGauge = metrics.gauge('feedviz_cache_bytes', 'Size of the whole cache directory in bytes');
+const streamClientsGauge = metrics.gauge('feedviz_stream_clients', 'Connected live update clients');
+const lastRefreshGauge = metrics.gauge('feedviz_last_refresh_timestamp_seconds', 'Unix time of the last completed refresh');
+const lastRefreshAgeGauge = metrics.gauge('feedviz_last_refresh_age_seconds',
+  'Seconds since the last completed refresh (absent before the first one)');
+const refreshingGauge = metrics.gauge('feedviz_refresh_in_progress', 'Whether a refresh is running');
+const autoRefreshGauge = metrics.gauge('feedviz_auto_refresh_enabled', 'Whether scheduled refreshes are on');
+
+/**
+ * Route label for metrics
+ * Matched routes use their pattern (/api/sources/:name) so names and IDs don't
+ * each create a series; everything else is grouped.
+ */
+function metricsRoute(req, path) {
+  if (req.route) return req.baseUrl + req.route.path;
+  if (path.startsWith('/api/')) return '/api/*';
+  if (path.startsWith('/images/')) return '/images/*';
+  return 'static';
+}
 
+/**
+ * Log each request once it has finished, with status code and latency
+ */
 function logRequest(req, res, next) {
-  const clientIp = getClientIp(req);
+  const startedAt = process.hrtime.bigint();
   const timestamp = new Date().toISOString();
+  const clientIp = getClientIp(req);
   const method = req.method;
   const path = req.path;
-  const userAgent = req.headers['user-agent'] || 'Unknown';
-  
-  const logEntry = {
-    timestamp,
-    ip: clientIp,
-    method,
-    path,
-    userAgent: userAgent.substring(0, 50) // Truncate for display
-  };
-  
-  requestLog.unshift(logEntry);
-  if (requestLog.length > MAX_LOG_ENTRIES) {
-    requestLog.pop();
-  }
-  
-  // Log to console
-  console.log(`[${timestamp}] ${method} ${path} from ${clientIp}`);
-  
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const route = metricsRoute(req, path);
+    httpRequestsTotal.inc({ method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method, route }, durationMs / 1000);
+
+    requestLog.append({
+      timestamp,
+      ip: clientIp,
+      method,
+      path,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      user: req.auth?.name ?? null,
+      authType: req.auth?.type ?? null,
+      userAgent: (req.headers['user-agent'] || 'Unknown').substring(0, 200)
+    });
+
+    console.log(`[${timestamp}] ${method} ${path} from ${clientIp} ${res.statusCode} ${Math.round(durationMs)}ms`);
+  });
+
   next();
 }
 
+/**
+ * Record who did something in the audit log
+ * @param {import('express').Request|null} req - The API request, or null for the CLI
+ * @param {string} action - e.g. 'refresh', 'cache-clear', 'source-update', 'login'
+ * @param {Object} details - Extra fields (target names, changes)
+ */
+function audit(req, action, details = {}) {
+  const actor = req
+    ? { ip: getClientIp(req), user: req.auth?.name ?? null, authType: req.auth?.type ?? null }
+    : { ip: null, user: null, authType: 'cli' };
+
+  auditLog.append({ timestamp: new Date().toISOString(), action, ...actor, ...details });
+}
+
 // Request logging middleware (after IP check, before other middleware)
 app.use(logRequest);
 
@@ -134,65 +231,32 @@ app.use(logRequest);
 app.use(cors());
 app.use(express.json());
 
-// Serve frontend files from parent directory
-app.use(express.static(path.join(__dirname, '..')));
+// Serve the built frontend
+app.use(express.static(FRONTEND_DIR));
 
 // Serve cached images
 app.use('/images', express.static(IMAGES_DIR));
 
-// Load version from config.json
-let appVersion = '2.3.0';
+// Load feed configuration (shared with the frontend)
+const CONFIG_FILE = resolveConfigPath(path.join(__dirname, '..', 'config.json'));
+
+// The frontend reads the config at runtime and the build doesn't include it
+app.get('/config.json', (req, res) => {
+    res.sendFile(path.resolve(CONFIG_FILE));
+});
+
+let appConfig;
 try {
-  const configPath = path.join(__dirname, '..', 'config.json');
-  if (fs.existsSync(configPath)) {
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-    appVersion = config.version || appVersion;
-  }
+    appConfig = loadConfig(CONFIG_FILE);
 } catch (error) {
-  console.warn('Could not load version from config.json, using default');
-}
-
-// Feed configuration
-const feedConfig = {
-    feeds: [
-        {
-            name: "ACSC Advisories",
-            url: "https://www.cyber.gov.au/rss/advisories",
-            icon: "https://www.cyber.gov.au/themes/custom/cyber/favicon.ico"
-        },
-        {
-            name: "ACSC Alerts",
-            url: "https://www.cyber.gov.au/rss/alerts",
-            icon: "https://www.cyber.gov.au/themes/custom/cyber/favicon.ico"
-        },
-        {
-            name: "Unit 42 Threat Research",
-            url: "https://unit42.paloaltonetworks.com/feed/",
-            icon: "https://unit42.paloaltonetworks.com/wp-content/uploads/2019/11/cropped-unit42-favicon-32x32.png"
-        },
-        {
-            name: "The Hacker News",
-            url: "https://feeds.feedburner.com/TheHackersNews",
-            icon: "https://thehackernews.com/images/favicon.ico"
-        },
-        {
-            name: "Krebs on Security",
-            url: "https://krebsonsecurity.com/feed/",
-            icon: "https://krebsonsecurity.com/favicon.ico"
-        },
-        {
-            name: "Bleeping Computer",
-            url: "https://www.bleepingcomputer.com/feed/",
-            icon: "https://www.bleepingcomputer.com/favicon.ico"
-        },
-        {
-            name: "Dark Reading",
-            url: "https://www.darkreading.com/rss_simple.asp",
-            icon: "https://www.darkreading.com/favicon.ico"
-        }
-    ],
-    maxItemsPerFeed: 5
-};
+    console.error(`❌ Failed to load config: ${error.message}`);
+    process.exit(1);
+}
+
+let appVersion = appConfig.version || '2.3.0';
+
+requestLog.configure(appConfig.logging);
+auditLog.configure(appConfig.logging);
 
 // In-memory cache with per-feed timestamps
 let cachedFeeds = {
@@ -202,8 +266,52 @@ let cachedFeeds = {
     feedTimestamps: {}
 };
 
+// Durable article history (survives refreshes and cache clears)
+const articleHistory = new ArticleHistory(HISTORY_FILE);
+
+// Rolling fetch history per feed, for success rates and stale-source detection
+const feedHealth = new FeedHealth(FEED_HEALTH_FILE);
+
+// Alerting rules, fired once per article and rule
+const alertEngine = new AlertEngine(ALERTS_FILE, ALERTS_FIRED_FILE, appConfig.logging);
+alertEngine.setRules(appConfig.alertRules);
+
+// Notification channels for alerts with the "notify" action; their URLs and
+// credentials are kept out of config.json, which the frontend serves
+const notifier = new Notifier(NOTIFICATIONS_FILE);
+let notifierSecrets = {};
+try {
+    notifierSecrets = loadNotifierSecrets(NOTIFIER_SECRETS_FILE);
+} catch (error) {
+    console.error(`❌ Failed to load notifier secrets: ${error.message}`);
+}
+notifier.setChannels(appConfig.notifiers, notifierSecrets);
+
+// API accounts and roles
+const authStore = new AuthStore(AUTH_FILE);
+authStore.configure(appConfig.auth);
+
+// Full-text index over cached and historical articles
+const searchIndex = new SearchIndex();
+
+// Locally mirrored CVE dataset used to enrich extracted CVE IDs
+const cveDatabase = new CveDatabase();
+
+// Per-feed HTTP validators (ETag / Last-Modified) for conditional requests
+let feedHttpCache = {};
+
 let isRefreshing = false;
-let autoRefreshTimer = null;
+
+// Server-Sent Events channel for live updates to connected displays
+const eventStream = new EventStream();
+
+// Per-feed refresh scheduler (toggled with [A] or the autoRefresh config option)
+const feedScheduler = new FeedScheduler({
+    getFeeds: getEnabledFeeds,
+    getSettings: () => appConfig,
+    runFeeds: refreshFeeds,
+    isBusy: () => isRefreshing
+});
 
 /**
  * Get directory size recursively
@@ -241,13 +349,32 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+/**
+ * Format a duration in ms as a short age (45s, 12m, 3h, 9d)
+ */
+function formatAge(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+    return `${Math.floor(seconds / 86400)}d`;
+}
+
 /**
  * Get cache statistics
  */
 function getCacheStats() {
     const stats = {
-        feeds: feedConfig.feeds.length,
+        feeds: appConfig.feeds.length,
         articles: cachedFeeds.items?.length || 0,
+        historyArticles: articleHistory.size,
+        indexedArticles: searchIndex.size,
+        alertRules: alertEngine.rules.length,
+        notifiers: notifier.channels.length,
+        users: authStore.users.length,
+        apiKeys: authStore.apiKeys.length,
+        cveRecords: cveDatabase.size,
+        streamClients: eventStream.clientCount,
         images: 0,
         cacheSize: 0,
         lastUpdated: cachedFeeds.lastUpdated || 'Never'
@@ -267,6 +394,58 @@ function getCacheStats() {
     return stats;
 }
 
+/**
+ * Set gauges from current state before a metrics scrape
+ */
+function collectMetrics() {
+    // Reset per-feed gauges so removed or disabled feeds drop out
+    [feedUp, feedArticles, feedLastFetch, feedConsecutiveFailures, feedStale].forEach(gauge => gauge.reset());
+
+    const articleCounts = {};
+    for (const item of cachedFeeds.items) {
+        articleCounts[item.source] = (articleCounts[item.source] || 0) + 1;
+    }
+
+    for (const feed of getEnabledFeeds()) {
+        const status = cachedFeeds.feedStatus[feed.name];
+        const fetchedAt = cachedFeeds.feedTimestamps[feed.name];
+        if (status) feedUp.set({ feed: feed.name }, status.success ? 1 : 0);
+        if (fetchedAt) feedLastFetch.set({ feed: feed.name }, new Date(fetchedAt).getTime() / 1000);
+        feedArticles.set({ feed: feed.name }, articleCounts[feed.name] || 0);
+
+        const health = getFeedHealth(feed);
+        if (health) {
+            feedConsecutiveFailures.set({ feed: feed.name }, health.consecutiveFailures);
+            feedStale.set({ feed: feed.name }, health.stale ? 1 : 0);
+        }
+    }
+
+    let images = 0;
+    try {
+        images = fs.readdirSync(IMAGES_DIR).length;
+    } catch { }
+
+    articlesGauge.set({}, cachedFeeds.items.length);
+    historyArticlesGauge.set({}, articleHistory.size);
+    indexedArticlesGauge.set({}, searchIndex.size);
+    imagesGauge.set({}, images);
+    imageBytesGauge.set({}, getDirectorySize(IMAGES_DIR));
+    cacheBytesGauge.set({}, getDirectorySize(CACHE_DIR));
+    streamClientsGauge.set({}, eventStream.clientCount);
+    refreshingGauge.set({}, isRefreshing ? 1 : 0);
+    autoRefreshGauge.set({}, feedScheduler.running ? 1 : 0);
+
+    lastRefreshGauge.reset();
+    lastRefreshAgeGauge.reset();
+    if (cachedFeeds.lastUpdated) {
+        const lastUpdated = new Date(cachedFeeds.lastUpdated).getTime();
+        lastRefreshGauge.set({}, lastUpdated / 1000);
+        lastRefreshAgeGauge.set({}, Math.round((Date.now() - lastUpdated) / 1000));
+    }
+}
+
+metrics.onCollect(collectMetrics);
+
 /**
  * Generate a hash for a URL to use as filename
  */
@@ -360,9 +539,14 @@ async function extractArticleContent(articleUrl) {
         });
 
         if (!article) {
-            return { fullText: null, image: null, author: null };
+            return { fullText: null, plainText: null, image: null, author: null, links: [], error: 'No article content found' };
         }
 
+        // Outbound links (used to cluster articles covering the same story)
+        const links = [...new Set(
+            [...(article.content || '').matchAll(/<a[^>]+href=["'](https?:\/\/[^"'#]+)/gi)].map(match => match[1])
+        )].slice(0, 30);
+
         let content = article.content || '';
         // Preserve paragraph breaks and line breaks
         content = content
@@ -378,41 +562,77 @@ async function extractArticleContent(articleUrl) {
             .replace(/\n{3,}/g, '\n\n')  // Collapse 3+ line breaks to double
             .trim();
 
+        // Untruncated text for IOC extraction (indicator tables are usually at the end)
+        const plainText = content;
+
         if (content.length > 2000) {
             content = content.substring(0, 2000) + '...';
         }
 
         return {
             fullText: content || article.description || null,
+            plainText: plainText || article.description || null,
             image: article.image || null,
-            author: article.author || null
+            author: article.author || null,
+            links
         };
     } catch (error) {
         return {
             fullText: null,
+            plainText: null,
             image: null,
-            author: null
+            author: null,
+            links: [],
+            error: error.message
         };
     }
 }
 
 /**
  * Parse RSS feed
+ * Sends a conditional request when validators from a previous fetch are given
+ * Entries have guid null when the feed gives no <guid>/<id>, and pubDate null when
+ * it gives no (valid) date
+ * @returns {Promise<{notModified: boolean, entries: Array, etag: string|null, lastModified: string|null}>}
  */
-async function parseFeed(feedUrl) {
-    const feed = await extractFeed(feedUrl, {
-        timeout: 15000,
-        headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; SOCFeedBot/1.0)',
-            'Accept': 'application/rss+xml, application/xml, text/xml, */*'
-        }
+async function parseFeed(feedUrl, validators = {}) {
+    const headers = {
+        'User-Agent': 'Mozilla/5.0 (compatible; SOCFeedBot/1.0)',
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml, application/feed+json, */*'
+    };
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    const response = await fetch(feedUrl, {
+        headers,
+        signal: AbortSignal.timeout(15000)
     });
 
+    if (response.status === 304) {
+        return { notModified: true, entries: [], ...validators };
+    }
+
+    if (!response.ok) {
+        throw new Error(`Request failed with error code ${response.status}`);
+    }
+
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+    const contentType = response.headers.get('content-type') || '';
+    const body = (await response.text()).trim();
+
+    // feed-extractor makes up an id (hash of link + date) when an entry has none,
+    // so keep the raw <guid>/<id> to tell a real one apart
+    const options = { getExtraEntryFields: item => ({ sourceId: item.guid || item.id || null }) };
+    const feed = /json/.test(contentType) || body.startsWith('{')
+        ? extractFromJson(JSON.parse(body), options)
+        : extractFromXml(body, options);
+
     if (!feed || !feed.entries) {
-        return [];
+        return { notModified: false, entries: [], etag, lastModified };
     }
 
-    return feed.entries.map(entry => {
+    const entries = feed.entries.map(entry => {
         let image = null;
 
         // Try to extract image from description HTML with multiple patterns
@@ -464,13 +684,24 @@ async function parseFeed(feedUrl) {
         }
 
         return {
+            guid: entry.sourceId ? entry.id : null,
             title: entry.title || 'No title',
             link: entry.link || '#',
             description: entry.description || '',
-            pubDate: entry.published || entry.updated || new Date().toISOString(),
+            pubDate: toIsoDate(entry.published || entry.updated),
             image: image
         };
     });
+
+    return { notModified: false, entries, etag, lastModified };
+}
+
+/**
+ * Date as an ISO string, or null if it's missing or can't be parsed
+ */
+function toIsoDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
 }
 
 /**
@@ -481,21 +712,90 @@ function stripHtml(html) {
     return html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
 }
 
+/**
+ * Load the CVE dataset named by cveDataPath (relative to the config file)
+ */
+function loadCveData() {
+    const dataPath = appConfig.cveDataPath
+        ? path.resolve(path.dirname(CONFIG_FILE), appConfig.cveDataPath)
+        : null;
+
+    try {
+        cveDatabase.load(dataPath);
+        if (dataPath) {
+            console.log(`✅ Loaded ${cveDatabase.size} CVE records from ${dataPath}`);
+        }
+    } catch (error) {
+        console.error(`❌ Failed to load CVE data: ${error.message}`);
+    }
+}
+
+/**
+ * Find an already processed article in the history store
+ */
+function findKnownArticle(feedName, rawItem) {
+    return articleHistory.find(rawItem, feedName)?.item ?? null;
+}
+
 /**
  * Process a single feed
  */
-async function processFeed(feed) {
+async function processFeed(feed, maxItems) {
     const items = [];
 
+    // Articles already processed for this feed, reused instead of re-extracting
+    const previousItems = cachedFeeds.items.filter(item => item.source === feed.name);
+    const previousById = new Map(previousItems.map(item => [item.id, item]));
+
+    // Only send validators if we still have the items they refer to
+    const httpCache = feedHttpCache[feed.name];
+    const validators = httpCache?.url === feed.url && previousItems.length > 0 ? httpCache : {};
+
     try {
-        const rawItems = await parseFeed(feed.url);
-        const limitedItems = rawItems.slice(0, feedConfig.maxItemsPerFeed);
+        const result = await parseFeed(feed.url, validators);
+
+        if (result.notModified) {
+            return {
+                success: true,
+                notModified: true,
+                feedName: feed.name,
+                itemCount: previousItems.length,
+                items: previousItems.slice(0, maxItems)
+            };
+        }
+
+        feedHttpCache[feed.name] = {
+            url: feed.url,
+            etag: result.etag || null,
+            lastModified: result.lastModified || null
+        };
+
+        const limitedItems = result.entries.slice(0, maxItems);
 
         const cachedIcon = await cacheFavicon(feed.icon, feed.name);
 
         for (const rawItem of limitedItems) {
             try {
+                const id = createArticleId(feed.name, rawItem);
+                const known = previousById.get(id) || findKnownArticle(feed.name, rawItem);
+
+                if (known) {
+                    items.push({
+                        ...known,
+                        id,
+                        guid: rawItem.guid,
+                        title: rawItem.title,
+                        link: rawItem.link,
+                        description: stripHtml(rawItem.description).substring(0, 300),
+                        pubDate: rawItem.pubDate || known.pubDate,
+                        sourceIcon: cachedIcon || feed.icon,
+                        iocs: known.iocs || extractIocs(`${known.title}\n${known.fullText || known.description}`)
+                    });
+                    continue;
+                }
+
                 const articleContent = await extractArticleContent(rawItem.link);
+                articleExtractionsTotal.inc({ feed: feed.name, result: articleContent.error ? 'failure' : 'success' });
 
                 let bestImage = articleContent.image || rawItem.image;
                 let cachedImageUrl = null;
@@ -511,24 +811,31 @@ async function processFeed(feed) {
                 }
 
                 items.push({
-                    id: `${feed.name}-${Date.now()}-${items.length}`,
+                    id,
+                    guid: rawItem.guid,
                     title: rawItem.title,
                     link: rawItem.link,
                     description: stripHtml(rawItem.description).substring(0, 300),
                     fullText: articleContent.fullText || stripHtml(rawItem.description),
-                    pubDate: new Date(rawItem.pubDate).toISOString(),
+                    // Undated articles keep the time they were first seen
+                    pubDate: rawItem.pubDate || new Date().toISOString(),
                     source: feed.name,
                     sourceIcon: cachedIcon || feed.icon,
                     image: cachedImageUrl || bestImage,
-                    author: articleContent.author || null
+                    author: articleContent.author || null,
+                    outboundLinks: articleContent.links,
+                    iocs: extractIocs(`${rawItem.title}\n${stripHtml(rawItem.description)}\n${articleContent.plainText || ''}`)
                 });
             } catch (itemError) {
                 // Skip failed items
             }
         }
 
+        items.forEach(item => searchIndex.add(item));
+
         return {
             success: true,
+            notModified: false,
             feedName: feed.name,
             itemCount: items.length,
             items
@@ -544,58 +851,276 @@ async function processFeed(feed) {
 }
 
 /**
- * Fetch all feeds and update cache
+ * Get feeds that are enabled in the current config
  */
-async function fetchAllFeeds() {
+function getEnabledFeeds() {
+    return appConfig.feeds.filter(feed => feed.enabled !== false);
+}
+
+/**
+ * IOCs of an item (items cached before IOC extraction existed are extracted on demand)
+ */
+function itemIocs(item) {
+    return item.iocs || extractIocs(`${item.title}\n${item.fullText || item.description}`);
+}
+
+/**
+ * Keep only the entries of an object whose key is in a set
+ */
+function pickKeys(obj, keys) {
+    return Object.fromEntries(Object.entries(obj || {}).filter(([key]) => keys.has(key)));
+}
+
+/**
+ * Status entry for a processFeed result
+ */
+function toFeedStatus(result) {
+    return {
+        success: result.success,
+        itemCount: result.items?.length || 0,
+        notModified: result.notModified || false,
+        error: result.error || null
+    };
+}
+
+/**
+ * Health of a configured feed (null until it has been fetched)
+ * The feed's own staleAfterDays overrides the global setting.
+ */
+function getFeedHealth(feed) {
+    const staleAfterDays = feed.staleAfterDays || appConfig.staleAfterDays || DEFAULT_STALE_AFTER_DAYS;
+    return feedHealth.summarize(feed.name, staleAfterDays);
+}
+
+/**
+ * Health of all enabled feeds, keyed by name
+ */
+function getAllFeedHealth() {
+    const health = {};
+    for (const feed of getEnabledFeeds()) {
+        health[feed.name] = getFeedHealth(feed);
+    }
+    return health;
+}
+
+/**
+ * Run the actions of a newly fired alert
+ */
+function dispatchAlert(alert) {
+    if (alert.actions.includes('log')) {
+        console.log(`🚨 [${alert.severity.toUpperCase()}] ${alert.rule}: ${alert.title} (${alert.source})`);
+    }
+    if (alert.actions.includes('stream')) {
+        eventStream.broadcast('alert', alert);
+    }
+}
+
+/**
+ * Work out what changed between two item lists, for live update clients
+ * Items are pushed again when their cluster, CVE enrichment or matched alert rules changed.
+ * @returns {{items: FeedItem[], removed: string[], added: number}}
+ */
+function diffItems(previousItems, nextItems) {
+    const previousById = new Map(previousItems.map(item => [item.id, item]));
+    const nextIds = new Set(nextItems.map(item => item.id));
+
+    let added = 0;
+    const items = nextItems.filter(item => {
+        const previous = previousById.get(item.id);
+        if (!previous) {
+            added++;
+            return true;
+        }
+        return previous.title !== item.title ||
+            previous.clusterId !== item.clusterId ||
+            JSON.stringify(previous.cves) !== JSON.stringify(item.cves) ||
+            JSON.stringify(previous.alerts) !== JSON.stringify(item.alerts);
+    });
+    const removed = previousItems.filter(item => !nextIds.has(item.id)).map(item => item.id);
+
+    return { items, removed, added };
+}
+
+/**
+ * Refresh the given feeds and merge their items into the cache
+ * Items and status of feeds that are no longer enabled are dropped
+ */
+async function refreshFeeds(feeds) {
     if (isRefreshing) {
         console.log('\n⚠️  Refresh already in progress...\n');
         return cachedFeeds;
     }
 
     isRefreshing = true;
-    console.log('\n📡 Fetching feeds...');
+    try {
+        const startedAt = Date.now();
+        console.log(`\n📡 Fetching ${feeds.length} feed${feeds.length === 1 ? '' : 's'}...`);
+        eventStream.broadcast('refresh-start', { feeds: feeds.map(feed => feed.name) });
+
+        // Snapshot config so a reload mid-refresh doesn't mix old and new feeds
+        const { maxItemsPerFeed } = appConfig;
+        const enabledNames = new Set(getEnabledFeeds().map(feed => feed.name));
+        const refreshedNames = new Set(feeds.map(feed => feed.name));
+
+        const refreshedItems = [];
+        const feedStatus = pickKeys(cachedFeeds.feedStatus, enabledNames);
+        const feedTimestamps = pickKeys(cachedFeeds.feedTimestamps, enabledNames);
+
+        // Push each feed's status as soon as it finishes
+        let completed = 0;
+        const results = await Promise.all(
+            feeds.map(feed => {
+                const fetchStartedAt = Date.now();
+                return processFeed(feed, feed.maxItems || maxItemsPerFeed).then(result => {
+                    completed++;
+                    result.durationMs = Date.now() - fetchStartedAt;
+                    feedFetchDuration.observe({ feed: feed.name }, result.durationMs / 1000);
+                    feedFetchesTotal.inc({
+                        feed: feed.name,
+                        result: !result.success ? 'failure' : result.notModified ? 'not_modified' : 'success'
+                    });
+                    eventStream.broadcast('feed-status', {
+                        name: result.feedName,
+                        status: toFeedStatus(result),
+                        completed,
+                        total: feeds.length
+                    });
+                    return result;
+                });
+            })
+        );
+
+        results.forEach((result, index) => {
+            feedStatus[result.feedName] = toFeedStatus(result);
+
+            feedTimestamps[result.feedName] = new Date().toISOString();
+            feedScheduler.recordResult(feeds[index], result.success);
+
+            const wasStale = getFeedHealth(feeds[index])?.stale;
+            feedHealth.record(result.feedName, result);
+            const health = getFeedHealth(feeds[index]);
+            if (health.stale && !wasStale) {
+                console.log(`⚠️  ${result.feedName} is stale: ${health.staleReason}`);
+            }
+
+            if (result.items) {
+                refreshedItems.push(...result.items);
+            }
+        });
 
-    const allItems = [];
-    const feedStatus = {};
-    const feedTimestamps = {};
+        const allItems = [
+            ...cachedFeeds.items.filter(item => enabledNames.has(item.source) && !refreshedNames.has(item.source)),
+            ...refreshedItems
+        ];
+        allItems.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
 
-    const results = await Promise.all(
-        feedConfig.feeds.map(feed => processFeed(feed))
-    );
+        // Re-enrich everything so updates to the CVE dataset reach older items too
+        for (const item of allItems) {
+            item.cves = cveDatabase.enrich(extractCveIds(`${item.title}\n${item.fullText || item.description}`));
+        }
+        assignClusters(allItems);
+
+        let newAlerts = [];
+        try {
+            newAlerts = alertEngine.evaluate(allItems);
+        } catch (error) {
+            console.error('❌ Failed to evaluate alert rules:', error.message);
+        }
 
-    for (const result of results) {
-        feedStatus[result.feedName] = {
-            success: result.success,
-            itemCount: result.items?.length || 0,
-            error: result.error || null
+        const changes = diffItems(cachedFeeds.items, allItems);
+
+        cachedFeeds = {
+            lastUpdated: new Date().toISOString(),
+            items: allItems,
+            feedStatus,
+            feedTimestamps
         };
 
-        feedTimestamps[result.feedName] = new Date().toISOString();
+        try {
+            fs.writeFileSync(FEED_CACHE_FILE, JSON.stringify(cachedFeeds, null, 2));
+            fs.writeFileSync(FEED_HTTP_CACHE_FILE, JSON.stringify(feedHttpCache, null, 2));
+        } catch (error) {
+            console.error('❌ Failed to save cache:', error.message);
+        }
 
-        if (result.items) {
-            allItems.push(...result.items);
+        try {
+            feedHealth.prune(new Set(appConfig.feeds.map(feed => feed.name)));
+            feedHealth.save();
+        } catch (error) {
+            console.error('❌ Failed to save feed health:', error.message);
         }
-    }
 
-    allItems.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
+        try {
+            const { added, updated } = articleHistory.record(refreshedItems);
+            const removed = articleHistory.prune({
+                retentionDays: appConfig.historyRetentionDays,
+                maxItems: appConfig.historyMaxItems
+            });
+            console.log(`🗄️  History: ${added} new, ${updated} updated, ${removed} expired (${articleHistory.size} total)`);
 
-    cachedFeeds = {
-        lastUpdated: new Date().toISOString(),
-        items: allItems,
-        feedStatus,
-        feedTimestamps
-    };
+            if (removed > 0) {
+                const cachedIds = new Set(allItems.map(item => item.id));
+                searchIndex.prune(id => cachedIds.has(id) || articleHistory.findById(id));
+            }
+        } catch (error) {
+            console.error('❌ Failed to update article history:', error.message);
+        }
 
-    try {
-        fs.writeFileSync(FEED_CACHE_FILE, JSON.stringify(cachedFeeds, null, 2));
-    } catch (error) {
-        console.error('❌ Failed to save cache:', error.message);
+        refreshesTotal.inc();
+        refreshDuration.observe({}, (Date.now() - startedAt) / 1000);
+        console.log(`✅ Fetched ${refreshedItems.length} articles from ${feeds.length} feeds\n`);
+
+        newAlerts.forEach(dispatchAlert);
+        notifier.notify(newAlerts);
+
+        if (changes.items.length > 0 || changes.removed.length > 0) {
+            eventStream.broadcast('items', { lastUpdated: cachedFeeds.lastUpdated, ...changes });
+        }
+        eventStream.broadcast('refresh-complete', {
+            lastUpdated: cachedFeeds.lastUpdated,
+            itemCount: allItems.length,
+            added: changes.added,
+            duration: Date.now() - startedAt
+        });
+
+        return cachedFeeds;
+    } finally {
+        isRefreshing = false;
     }
+}
+
+/**
+ * Fetch all enabled feeds and update cache
+ */
+async function fetchAllFeeds() {
+    return refreshFeeds(getEnabledFeeds());
+}
 
-    isRefreshing = false;
-    console.log(`✅ Fetched ${allItems.length} articles from ${feedConfig.feeds.length} feeds\n`);
+/**
+ * Delete cached images and feed data, and reset the in-memory cache
+ * The article history store is kept
+ */
+function clearCache() {
+    if (fs.existsSync(IMAGES_DIR)) {
+        const files = fs.readdirSync(IMAGES_DIR);
+        for (const file of files) {
+            fs.unlinkSync(path.join(IMAGES_DIR, file));
+        }
+    }
+    for (const file of [FEED_CACHE_FILE, FEED_HTTP_CACHE_FILE]) {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    }
 
-    return cachedFeeds;
+    cachedFeeds = {
+        lastUpdated: null,
+        items: [],
+        feedStatus: {},
+        feedTimestamps: {}
+    };
+    feedHttpCache = {};
+    eventStream.broadcast('cache-cleared', {});
 }
 
 /**
@@ -610,6 +1135,9 @@ function loadCache() {
         } else {
             console.log('ℹ️  No cache file found');
         }
+        if (fs.existsSync(FEED_HTTP_CACHE_FILE)) {
+            feedHttpCache = JSON.parse(fs.readFileSync(FEED_HTTP_CACHE_FILE, 'utf8'));
+        }
     } catch (error) {
         console.error('❌ Failed to load cache:', error.message);
     }
@@ -617,70 +1145,499 @@ function loadCache() {
 
 // API Routes (using shared endpoints)
 
+// Identify the caller; every API route needs at least the viewer role except
+// logging in and checking who you are. Stricter routes add requireRole.
+const PUBLIC_API_ROUTES = [API_ENDPOINTS.AUTH_LOGIN, API_ENDPOINTS.AUTH_ME];
+const requireViewer = requireRole('viewer');
+const requireAnalyst = requireRole('analyst');
+const requireAdmin = requireRole('admin');
+
+app.use('/api', authStore.middleware({ streamPath: API_ENDPOINTS.EVENTS }));
+app.use('/api', (req, res, next) => {
+    if (PUBLIC_API_ROUTES.includes(req.baseUrl + req.path)) return next();
+    requireViewer(req, res, next);
+});
+
 app.get(API_ENDPOINTS.FEEDS, (req, res) => {
-    // Load config to get image fallbacks
-    const configPath = path.join(__dirname, '..', 'config.json');
-    let imageFallbacks = {};
-    
-    if (fs.existsSync(configPath)) {
-        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        imageFallbacks = config.imageFallbacks || {};
-    }
-    
     res.json({
         ...cachedFeeds,
-        imageFallbacks
+        imageFallbacks: appConfig.imageFallbacks
+    });
+});
+
+app.get(API_ENDPOINTS.EVENTS, eventStream.handler(() => ({
+    event: 'hello',
+    data: {
+        lastUpdated: cachedFeeds.lastUpdated,
+        refreshing: isRefreshing,
+        version: appVersion
+    }
+})));
+
+app.get(API_ENDPOINTS.HISTORY, (req, res) => {
+    const errors = validateStringParams(req.query, ['source', 'since', 'until', 'limit', 'offset']);
+    if (errors.length === 0) errors.push(...validateDateParams(req.query));
+
+    const limit = Math.min(req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10), 1000);
+    const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset, 10);
+    if (!Number.isInteger(limit) || limit < 1) errors.push('limit must be a positive integer');
+    if (!Number.isInteger(offset) || offset < 0) errors.push('offset must be a non-negative integer');
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const items = articleHistory.query({
+        source: req.query.source,
+        since: req.query.since,
+        until: req.query.until
+    });
+
+    res.json({
+        total: items.length,
+        offset,
+        limit,
+        items: items.slice(offset, offset + limit)
+    });
+});
+
+app.get(API_ENDPOINTS.ITEMS, (req, res) => {
+    try {
+        res.json(queryItems(cachedFeeds.items, req.query, {
+            highlightKeywords: appConfig.highlightKeywords
+        }));
+    } catch (error) {
+        res.status(error.validationErrors ? 400 : 500).json({ error: error.message });
+    }
+});
+
+app.get(API_ENDPOINTS.SEARCH, (req, res) => {
+    const paramErrors = validateStringParams(req.query, ['q', 'source', 'since', 'until', 'sort', 'limit', 'offset']);
+    if (paramErrors.length > 0) {
+        return res.status(400).json({ error: paramErrors.join('; ') });
+    }
+    if (!req.query.q?.trim()) {
+        return res.status(400).json({ error: 'Missing search query (q)' });
+    }
+    const errors = validateDateParams(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    res.json(searchIndex.search({
+        q: req.query.q,
+        source: req.query.source,
+        since: req.query.since,
+        until: req.query.until,
+        sort: req.query.sort,
+        limit: Math.min(parseInt(req.query.limit, 10) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT),
+        offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+    }));
+});
+
+app.get(API_ENDPOINTS.ALERTS, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    res.json({
+        rules: (appConfig.alertRules || []).map(rule => ({
+            name: rule.name,
+            when: rule.when,
+            severity: rule.severity || 'medium',
+            enabled: rule.enabled !== false,
+            actions: rule.actions || DEFAULT_ALERT_ACTIONS
+        })),
+        alerts: alertEngine.getRecent(limit)
+    });
+});
+
+app.get(API_ENDPOINTS.NOTIFICATIONS, requireAnalyst, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    res.json({
+        // URLs, headers and SMTP settings (the notifier secrets file) stay on the server
+        notifiers: (appConfig.notifiers || []).map(channel => ({
+            name: channel.name,
+            type: channel.type,
+            enabled: channel.enabled !== false,
+            minSeverity: channel.minSeverity || 'info',
+            rules: channel.rules || null,
+            retries: channel.retries ?? DEFAULT_NOTIFIER_RETRIES
+        })),
+        deliveries: notifier.getRecent(limit)
+    });
+});
+
+app.post(API_ENDPOINTS.NOTIFICATIONS_TEST, requireAnalyst, async (req, res) => {
+    const name = req.body?.notifier;
+    if (typeof name !== 'string' || !name) {
+        return res.status(400).json({ error: 'notifier is required' });
+    }
+
+    const delivery = await notifier.test(name);
+    if (!delivery) {
+        return res.status(404).json({ error: `Notifier "${name}" not found, disabled or missing its secrets` });
+    }
+    audit(req, 'notifier-test', { notifier: name, status: delivery.status });
+    res.status(delivery.status === 'delivered' ? 200 : 502).json(delivery);
+});
+
+app.get(API_ENDPOINTS.ITEM_IOCS, (req, res) => {
+    const item = cachedFeeds.items.find(i => i.id === req.params.id) ||
+        articleHistory.findById(req.params.id)?.item;
+    if (!item) {
+        return res.status(404).json({ error: `Item "${req.params.id}" not found` });
+    }
+
+    const iocs = itemIocs(item);
+
+    if (req.query.format === 'csv') {
+        const rows = IOC_TYPES.flatMap(type => iocs[type].map(value => `${type},"${value.replace(/"/g, '""')}"`));
+        res.type('text/csv');
+        return res.send(['type,value', ...rows].join('\n') + '\n');
+    }
+    if (req.query.format === 'text') {
+        res.type('text/plain');
+        return res.send(IOC_TYPES.flatMap(type => iocs[type]).join('\n') + '\n');
+    }
+
+    res.json({
+        id: item.id,
+        title: item.title,
+        link: item.link,
+        source: item.source,
+        pubDate: item.pubDate,
+        total: countIocs(iocs),
+        iocs
     });
 });
 
+app.get(API_ENDPOINTS.EXPORT_STIX, (req, res) => {
+    const errors = validateDateParams(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const items = filterItems(cachedFeeds.items, req.query)
+        .map(item => ({ ...item, iocs: itemIocs(item) }));
+    const bundle = buildStixBundle(items);
+
+    if (req.query.download !== undefined) {
+        const date = new Date().toISOString().slice(0, 10);
+        res.attachment(`soc-feeds-${date}.stix.json`);
+    }
+    res.type('application/stix+json;version=2.1');
+    res.send(JSON.stringify(bundle, null, 2));
+});
+
 app.get(API_ENDPOINTS.STATUS, (req, res) => {
     const stats = getCacheStats();
+    feedScheduler.sync(cachedFeeds.feedTimestamps);
     res.json({
         status: 'running',
         ...stats,
-        feedStatus: cachedFeeds.feedStatus
+        feedStatus: cachedFeeds.feedStatus,
+        autoRefresh: feedScheduler.running,
+        schedule: feedScheduler.getSchedule(),
+        health: getAllFeedHealth()
+    });
+});
+
+app.get(API_ENDPOINTS.FEED_HEALTH, (req, res) => {
+    const feeds = {};
+    for (const feed of getEnabledFeeds()) {
+        const health = getFeedHealth(feed);
+        feeds[feed.name] = health && { ...health, history: feedHealth.history(feed.name) };
+    }
+
+    res.json({
+        window: HEALTH_WINDOW,
+        staleAfterDays: appConfig.staleAfterDays || DEFAULT_STALE_AFTER_DAYS,
+        stale: Object.values(feeds).filter(health => health?.stale).length,
+        feeds
     });
 });
 
-app.post(API_ENDPOINTS.REFRESH, async (req, res) => {
+app.post(API_ENDPOINTS.REFRESH, requireAnalyst, async (req, res) => {
     if (isRefreshing) {
         return res.status(409).json({ error: 'Refresh already in progress' });
     }
 
-    fetchAllFeeds().then(data => {
-        // Don't wait for completion
+    audit(req, 'refresh');
+    // Don't wait for completion
+    fetchAllFeeds().catch(error => {
+        console.error('❌ Refresh failed:', error.message);
     });
 
     res.json({ message: 'Refresh started' });
 });
 
-// Clear cache endpoint
-app.delete(API_ENDPOINTS.CACHE, (req, res) => {
-    try {
-        // Clear cache directory
-        if (fs.existsSync(IMAGES_DIR)) {
-            const files = fs.readdirSync(IMAGES_DIR);
-            for (const file of files) {
-                fs.unlinkSync(path.join(IMAGES_DIR, file));
-            }
-        }
-        if (fs.existsSync(FEED_CACHE_FILE)) {
-            fs.unlinkSync(FEED_CACHE_FILE);
+/**
+ * Fields a client may set on a feed source
+ */
+const SOURCE_FIELDS = ['name', 'url', 'icon', 'enabled', 'maxItems', 'refreshInterval', 'staleAfterDays'];
+
+/**
+ * Pick editable source fields from a request body
+ */
+function pickSourceFields(body) {
+    const fields = {};
+    for (const key of SOURCE_FIELDS) {
+        if (body?.[key] !== undefined) {
+            fields[key] = body[key];
         }
+    }
+    return fields;
+}
 
-        cachedFeeds = {
-            lastUpdated: null,
-            items: [],
-            feedStatus: {},
-            feedTimestamps: {}
-        };
+/**
+ * Format a configured feed for API responses
+ */
+function toSource(feed) {
+    return {
+        name: feed.name,
+        url: feed.url,
+        icon: feed.icon || null,
+        enabled: feed.enabled !== false,
+        maxItems: feed.maxItems || null,
+        refreshInterval: feed.refreshInterval || null,
+        staleAfterDays: feed.staleAfterDays || null
+    };
+}
+
+/**
+ * Write a new feeds list to the config file and apply it
+ * Changes take effect on the next fetchAllFeeds run
+ */
+function persistFeeds(feeds) {
+    appConfig = saveFeeds(CONFIG_FILE, feeds);
+    return appConfig;
+}
+
+app.get(API_ENDPOINTS.SOURCES, (req, res) => {
+    res.json({
+        sources: appConfig.feeds.map(toSource),
+        maxItemsPerFeed: appConfig.maxItemsPerFeed
+    });
+});
+
+app.get(API_ENDPOINTS.SOURCE, (req, res) => {
+    const feed = appConfig.feeds.find(f => f.name === req.params.name);
+    if (!feed) {
+        return res.status(404).json({ error: `Source "${req.params.name}" not found` });
+    }
+    res.json({ source: toSource(feed) });
+});
+
+app.post(API_ENDPOINTS.SOURCES, requireAdmin, (req, res) => {
+    const source = pickSourceFields(req.body);
+
+    if (appConfig.feeds.some(f => f.name === source.name)) {
+        return res.status(409).json({ error: `Source "${source.name}" already exists` });
+    }
+
+    try {
+        persistFeeds([...appConfig.feeds, source]);
+        audit(req, 'source-create', { source: source.name });
+        res.status(201).json({ source: toSource(source) });
+    } catch (error) {
+        res.status(error.validationErrors ? 400 : 500).json({ error: error.message });
+    }
+});
 
+app.patch(API_ENDPOINTS.SOURCE, requireAdmin, (req, res) => {
+    const index = appConfig.feeds.findIndex(f => f.name === req.params.name);
+    if (index === -1) {
+        return res.status(404).json({ error: `Source "${req.params.name}" not found` });
+    }
+
+    const changes = pickSourceFields(req.body);
+    if (changes.name && changes.name !== req.params.name && appConfig.feeds.some(f => f.name === changes.name)) {
+        return res.status(409).json({ error: `Source "${changes.name}" already exists` });
+    }
+
+    // null clears an optional field (e.g. maxItems falls back to maxItemsPerFeed)
+    const updated = { ...appConfig.feeds[index], ...changes };
+    for (const key of Object.keys(updated)) {
+        if (updated[key] === null) delete updated[key];
+    }
+
+    const feeds = [...appConfig.feeds];
+    feeds[index] = updated;
+
+    try {
+        persistFeeds(feeds);
+        audit(req, 'source-update', { source: req.params.name, changes });
+        res.json({ source: toSource(updated) });
+    } catch (error) {
+        res.status(error.validationErrors ? 400 : 500).json({ error: error.message });
+    }
+});
+
+app.delete(API_ENDPOINTS.SOURCE, requireAdmin, (req, res) => {
+    if (!appConfig.feeds.some(f => f.name === req.params.name)) {
+        return res.status(404).json({ error: `Source "${req.params.name}" not found` });
+    }
+
+    try {
+        persistFeeds(appConfig.feeds.filter(f => f.name !== req.params.name));
+        audit(req, 'source-delete', { source: req.params.name });
+        res.json({ message: `Source "${req.params.name}" deleted` });
+    } catch (error) {
+        res.status(error.validationErrors ? 400 : 500).json({ error: error.message });
+    }
+});
+
+// Clear cache endpoint
+app.delete(API_ENDPOINTS.CACHE, requireAdmin, (req, res) => {
+    try {
+        clearCache();
+        audit(req, 'cache-clear');
         res.json({ message: 'Cache cleared successfully' });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+app.get(API_ENDPOINTS.LOGS, requireAdmin, (req, res) => {
+    const errors = validateLogParams(req.query);
+    if (errors.length === 0) errors.push(...validateDateParams(req.query));
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const type = req.query.type || 'request';
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LOG_LIMIT, MAX_LOG_LIMIT);
+    const log = type === 'audit' ? auditLog : requestLog;
+    const entries = log.query(buildLogFilter(req.query), limit);
+
+    res.json({ type, count: entries.length, entries });
+});
+
+// Prometheus scrape target; outside /api by convention, so it authenticates itself
+app.get(API_ENDPOINTS.METRICS, authStore.middleware(), requireViewer, (req, res) => {
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Authentication and account management
+
+app.post(API_ENDPOINTS.AUTH_LOGIN, (req, res) => {
+    if (!authStore.enabled) {
+        return res.status(400).json({ error: 'Authentication is not enabled' });
+    }
+
+    const clientIp = getClientIp(req);
+    if (authStore.isLockedOut(clientIp)) {
+        audit(req, 'login-locked', { username: req.body?.username ?? null });
+        return res.status(429).json({ error: 'Too many failed logins, try again later' });
+    }
+
+    const session = authStore.login(req.body?.username, req.body?.password, clientIp);
+    if (!session) {
+        console.log(`❌ Failed login for "${req.body?.username}" from ${clientIp}`);
+        audit(req, 'login-failed', { username: req.body?.username ?? null });
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    audit(req, 'login', { user: session.user.username, authType: 'user' });
+    res.json(session);
+});
+
+app.post(API_ENDPOINTS.AUTH_LOGOUT, (req, res) => {
+    const token = req.auth?.type === 'user' ? getRequestToken(req) : null;
+    if (token) {
+        authStore.logout(token);
+        audit(req, 'logout');
+    }
+    res.json({ message: 'Logged out' });
+});
+
+app.post(API_ENDPOINTS.AUTH_STREAM_TOKEN, (req, res) => {
+    res.json(authStore.createStreamToken(req.auth));
+});
+
+app.get(API_ENDPOINTS.AUTH_ME, (req, res) => {
+    if (req.authError) {
+        return res.status(401).json({ error: req.authError });
+    }
+    res.json({
+        enabled: authStore.enabled,
+        anonymousRole: authStore.anonymousRole,
+        identity: req.auth
+    });
+});
+
+app.get(API_ENDPOINTS.AUTH_USERS, requireAdmin, (req, res) => {
+    res.json({ users: authStore.listUsers() });
+});
+
+app.post(API_ENDPOINTS.AUTH_USERS, requireAdmin, (req, res) => {
+    if (authStore.getUser(req.body?.username)) {
+        return res.status(409).json({ error: `User "${req.body.username}" already exists` });
+    }
+
+    try {
+        const user = authStore.createUser(req.body || {});
+        audit(req, 'user-create', { target: user.username, role: user.role });
+        res.status(201).json({ user });
+    } catch (error) {
+        res.status(error.validationErrors ? 400 : 500).json({ error: error.message });
+    }
+});
+
+app.patch(API_ENDPOINTS.AUTH_USER, requireAdmin, (req, res) => {
+    if (!authStore.getUser(req.params.username)) {
+        return res.status(404).json({ error: `User "${req.params.username}" not found` });
+    }
+
+    try {
+        const { password, role } = req.body || {};
+        const user = authStore.updateUser(req.params.username, { password, role });
+        // Never log the password itself
+        audit(req, 'user-update', { target: user.username, role, passwordChanged: password !== undefined });
+        res.json({ user });
+    } catch (error) {
+        res.status(error.validationErrors ? 400 : 500).json({ error: error.message });
+    }
+});
+
+app.delete(API_ENDPOINTS.AUTH_USER, requireAdmin, (req, res) => {
+    if (!authStore.getUser(req.params.username)) {
+        return res.status(404).json({ error: `User "${req.params.username}" not found` });
+    }
+
+    try {
+        authStore.deleteUser(req.params.username);
+        audit(req, 'user-delete', { target: req.params.username });
+        res.json({ message: `User "${req.params.username}" deleted` });
+    } catch (error) {
+        res.status(error.validationErrors ? 400 : 500).json({ error: error.message });
+    }
+});
+
+app.get(API_ENDPOINTS.AUTH_KEYS, requireAdmin, (req, res) => {
+    res.json({ apiKeys: authStore.listApiKeys() });
+});
+
+app.post(API_ENDPOINTS.AUTH_KEYS, requireAdmin, (req, res) => {
+    try {
+        // The key is only ever returned here
+        const created = authStore.createApiKey(req.body || {});
+        audit(req, 'apikey-create', { target: created.apiKey.id, name: created.apiKey.name, role: created.apiKey.role });
+        res.status(201).json(created);
+    } catch (error) {
+        res.status(error.validationErrors ? 400 : 500).json({ error: error.message });
+    }
+});
+
+app.delete(API_ENDPOINTS.AUTH_KEY, requireAdmin, (req, res) => {
+    try {
+        if (!authStore.revokeApiKey(req.params.id)) {
+            return res.status(404).json({ error: `API key "${req.params.id}" not found` });
+        }
+        audit(req, 'apikey-revoke', { target: req.params.id });
+        res.json({ message: `API key "${req.params.id}" revoked` });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * Display menu and stats
  */
@@ -692,11 +1649,19 @@ function displayMenu() {
     console.log('Version: ' + appVersion);
     console.log('================================================');
     console.log(`Status: 🟢 Running on http://localhost:${PORT}`);
+    console.log(`Config: ${CONFIG_FILE}`);
     console.log('================================================');
     console.log(`Configured Feeds:    ${String(stats.feeds).padEnd(5)} feeds`);
     console.log(`Cached Articles:     ${String(stats.articles).padEnd(5)} articles`);
+    console.log(`Article History:     ${String(stats.historyArticles).padEnd(5)} articles`);
+    console.log(`Search Index:        ${String(stats.indexedArticles).padEnd(5)} articles`);
+    console.log(`Alert Rules:         ${String(stats.alertRules).padEnd(5)} active`);
+    console.log(`Notifiers:           ${String(stats.notifiers).padEnd(5)} channels`);
+    console.log(`API Auth:            ${authStore.enabled ? `ON  (${stats.users} users, ${stats.apiKeys} API keys)` : 'OFF (read-only API)'}`);
+    console.log(`CVE Records:         ${String(stats.cveRecords).padEnd(5)} records`);
     console.log(`Cached Images:       ${String(stats.images).padEnd(5)} images`);
     console.log(`Cache Size:          ${String(stats.cacheSize).padEnd(12)}`);
+    console.log(`Live Clients:        ${String(stats.streamClients).padEnd(5)} connected`);
     console.log('================================================');
     console.log(`Last Updated:        ${stats.lastUpdated === 'Never' ? 'Never' : new Date(stats.lastUpdated).toLocaleString()}`);
     console.log('================================================');
@@ -704,12 +1669,40 @@ function displayMenu() {
     console.log('  [R] Refresh Feeds Now');
     console.log('  [S] Show Feed Status');
     console.log('  [C] Clear Cache');
-    console.log('  [A] Toggle Auto-refresh (currently: ' + (autoRefreshTimer ? 'ON' : 'OFF') + ')');
+    console.log('  [A] Toggle Auto-refresh (currently: ' + (feedScheduler.running ? 'ON' : 'OFF') + ')');
     console.log('  [L] View Request Log');
     console.log('  [Q] Quit');
     console.log('');
 }
 
+/**
+ * Print the schedule line for a feed in the status screen
+ */
+function printFeedSchedule(entry) {
+    if (!entry) return;
+
+    const every = `every ${Math.round(entry.interval / 60000)}m`;
+    const next = entry.nextRun ? `next ${new Date(entry.nextRun).toLocaleTimeString()}` : 'auto-refresh off';
+    const backoff = entry.consecutiveFailures > 0 ? `, backoff after ${entry.consecutiveFailures} failure(s)` : '';
+    console.log(`   ${every}, ${next}${backoff}`);
+}
+
+/**
+ * Print the health lines for a feed in the status screen
+ */
+function printFeedHealth(health) {
+    if (!health) return;
+
+    const rate = `${Math.round(health.successRate * 100)}% of ${health.fetches} fetches ok`;
+    const latency = health.meanLatencyMs !== null ? `, avg ${(health.meanLatencyMs / 1000).toFixed(1)}s` : '';
+    const failures = health.consecutiveFailures > 0 ? `, ${health.consecutiveFailures} failed in a row` : '';
+    const newest = health.newestArticle ? `, newest article ${formatAge(health.newestArticleAge)} ago` : '';
+    console.log(`   ${rate}${latency}${failures}${newest}`);
+    if (health.stale) {
+        console.log(`   ⚠️  Stale: ${health.staleReason}`);
+    }
+}
+
 /**
  * Show feed status details
  */
@@ -717,53 +1710,85 @@ function showFeedStatus() {
     console.log('\nFeed Status');
     console.log('================================================');
 
-    for (const feed of feedConfig.feeds) {
+    feedScheduler.sync(cachedFeeds.feedTimestamps);
+    const schedule = feedScheduler.getSchedule();
+
+    for (const feed of appConfig.feeds) {
         const status = cachedFeeds.feedStatus[feed.name];
         const timestamp = cachedFeeds.feedTimestamps[feed.name];
 
-        if (status) {
+        if (feed.enabled === false) {
+            const name = feed.name.padEnd(25).substring(0, 25);
+            console.log(`⏸️  ${name} Disabled`);
+        } else if (status) {
             const icon = status.success ? '✅' : '❌';
             const name = feed.name.padEnd(25).substring(0, 25);
             const count = String(status.itemCount || 0).padStart(2);
             const time = timestamp ? new Date(timestamp).toLocaleTimeString() : 'Never';
+            const note = status.notModified ? '  (not modified)' : '';
 
-            console.log(`${icon} ${name} ${count} items  ${time}`);
+            console.log(`${icon} ${name} ${count} items  ${time}${note}`);
             if (status.error) {
                 console.log(`   Error: ${status.error.substring(0, 45)}`);
             }
+            printFeedSchedule(schedule[feed.name]);
+            printFeedHealth(getFeedHealth(feed));
         } else {
             const name = feed.name.padEnd(25).substring(0, 25);
             console.log(`⚪ ${name} Not fetched yet`);
+            printFeedSchedule(schedule[feed.name]);
         }
     }
 
+    const staleCount = Object.values(getAllFeedHealth()).filter(health => health?.stale).length;
+    if (staleCount > 0) {
+        console.log('------------------------------------------------');
+        console.log(`⚠️  ${staleCount} stale feed${staleCount === 1 ? '' : 's'} - check whether the URL moved`);
+    }
+
     console.log('================================================');
     console.log('\nPress any key to return to menu...');
 }
 
 /**
  * Show request log
+ * Reads the same log files as GET /api/logs
  */
 function showRequestLog() {
-    console.log('\nRequest Log (Last ' + Math.min(requestLog.length, MAX_LOG_ENTRIES) + ' entries)');
+    const requests = requestLog.query(() => true, 20);
+    const audits = auditLog.query(() => true, 5);
+
+    console.log('\nRequest Log (latest 20, from ' + REQUEST_LOG_FILE + ')');
     console.log('================================================');
     
-    if (requestLog.length === 0) {
+    if (requests.length === 0) {
         console.log('No requests logged yet.');
     } else {
-        console.log('Time                 IP Address         Method Path');
+        console.log(`${'Time'.padEnd(11)} ${'IP Address'.padEnd(18)} ${'Method'} ${'Code'} ${'Latency'.padStart(7)}  ${'User'.padEnd(10)}  Path`);
         console.log('------------------------------------------------');
-        requestLog.slice(0, 20).forEach(entry => {
-            const time = new Date(entry.timestamp).toLocaleTimeString();
+        requests.forEach(entry => {
+            const time = new Date(entry.timestamp).toLocaleTimeString().padEnd(11);
             const ip = entry.ip.padEnd(18).substring(0, 18);
             const method = entry.method.padEnd(6).substring(0, 6);
+            const status = String(entry.status).padEnd(4);
+            const duration = `${Math.round(entry.durationMs)}ms`.padStart(7);
+            const user = (entry.user || '-').padEnd(10).substring(0, 10);
             const path = entry.path.substring(0, 30);
-            console.log(`${time}  ${ip}  ${method}  ${path}`);
+            console.log(`${time} ${ip} ${method} ${status} ${duration}  ${user}  ${path}`);
+        });
+    }
+
+    console.log('\nRecent Audit Events');
+    console.log('------------------------------------------------');
+    if (audits.length === 0) {
+        console.log('No audit events yet.');
+    } else {
+        audits.forEach(entry => {
+            const time = new Date(entry.timestamp).toLocaleString();
+            const who = entry.authType === 'cli' ? 'CLI' : `${entry.user || 'anonymous'} (${entry.ip})`;
+            const target = entry.source || entry.target || entry.notifier || entry.username || '';
+            console.log(`${time}  ${entry.action.padEnd(14)} ${who}${target ? `  ${target}` : ''}`);
         });
-        
-        if (requestLog.length > 20) {
-            console.log(`... and ${requestLog.length - 20} more entries`);
-        }
     }
     
     console.log('================================================');
@@ -795,7 +1820,12 @@ function startCLI() {
 
         if (cmd === 'R') {
             displayMenu();
-            await fetchAllFeeds();
+            audit(null, 'refresh');
+            try {
+                await fetchAllFeeds();
+            } catch (error) {
+                console.error('❌ Refresh failed:', error.message);
+            }
             displayMenu();
         } else if (cmd === 'S') {
             console.clear();
@@ -830,23 +1860,8 @@ function startCLI() {
             console.log('🗑️  Clearing cache...');
 
             try {
-                if (fs.existsSync(IMAGES_DIR)) {
-                    const files = fs.readdirSync(IMAGES_DIR);
-                    for (const file of files) {
-                        fs.unlinkSync(path.join(IMAGES_DIR, file));
-                    }
-                }
-                if (fs.existsSync(FEED_CACHE_FILE)) {
-                    fs.unlinkSync(FEED_CACHE_FILE);
-                }
-
-                cachedFeeds = {
-                    lastUpdated: null,
-                    items: [],
-                    feedStatus: {},
-                    feedTimestamps: {}
-                };
-
+                clearCache();
+                audit(null, 'cache-clear');
                 console.log('✅ Cache cleared successfully\n');
             } catch (error) {
                 console.log(`❌ Error clearing cache: ${error.message}\n`);
@@ -854,11 +1869,11 @@ function startCLI() {
 
             setTimeout(() => displayMenu(), 2000);
         } else if (cmd === 'A') {
-            if (autoRefreshTimer) {
-                clearInterval(autoRefreshTimer);
-                autoRefreshTimer = null;
+            if (feedScheduler.running) {
+                feedScheduler.stop();
             } else {
-                autoRefreshTimer = setInterval(fetchAllFeeds, FETCH_INTERVAL);
+                feedScheduler.sync(cachedFeeds.feedTimestamps);
+                feedScheduler.start();
             }
             displayMenu();
         } else if (cmd === 'Q') {
@@ -874,17 +1889,97 @@ app.listen(PORT, () => {
     console.log(`\n🚀 Backend server started on http://localhost:${PORT}\n`);
     loadCache();
 
+    try {
+        articleHistory.load();
+        console.log(`✅ Loaded ${articleHistory.size} articles from history`);
+    } catch (error) {
+        console.error('❌ Failed to load article history:', error.message);
+    }
+
+    try {
+        feedHealth.load();
+    } catch (error) {
+        console.error('❌ Failed to load feed health:', error.message);
+    }
+
+    try {
+        alertEngine.load();
+    } catch (error) {
+        console.error('❌ Failed to load alert log:', error.message);
+    }
+
+    try {
+        notifier.load();
+    } catch (error) {
+        console.error('❌ Failed to load notification log:', error.message);
+    }
+
+    try {
+        authStore.load();
+        // First admin account, from ADMIN_USERNAME (default "admin") and ADMIN_PASSWORD
+        if (authStore.bootstrapAdmin(process.env.ADMIN_USERNAME || 'admin', process.env.ADMIN_PASSWORD)) {
+            console.log(`✅ Created admin account "${process.env.ADMIN_USERNAME || 'admin'}"`);
+        }
+        if (authStore.enabled && authStore.users.length === 0 && authStore.apiKeys.length === 0) {
+            console.warn('⚠️  API auth is enabled but there are no accounts; set ADMIN_PASSWORD to create an admin');
+        }
+    } catch (error) {
+        console.error('❌ Failed to set up accounts:', error.message);
+    }
+
+    for (const record of articleHistory.records.values()) {
+        searchIndex.add(record.item);
+    }
+    cachedFeeds.items.forEach(item => searchIndex.add(item));
+    console.log(`✅ Indexed ${searchIndex.size} articles for search`);
+
+    loadCveData();
+
+    // Hot-reload config; changes apply from the next fetchAllFeeds run
+    watchConfig(CONFIG_FILE, (newConfig) => {
+        const cveDataChanged = newConfig.cveDataPath !== appConfig.cveDataPath;
+        appConfig = newConfig;
+        appVersion = newConfig.version || appVersion;
+        if (cveDataChanged) loadCveData();
+        alertEngine.setRules(newConfig.alertRules);
+        notifier.setChannels(newConfig.notifiers, notifierSecrets);
+        authStore.configure(newConfig.auth);
+        requestLog.configure(newConfig.logging);
+        auditLog.configure(newConfig.logging);
+        alertEngine.configure(newConfig.logging);
+        console.log(`\n🔄 Reloaded config: ${newConfig.feeds.length} feeds\n`);
+    }, (error) => {
+        console.error(`\n❌ Config reload failed, keeping previous config: ${error.message}\n`);
+    });
+
+    watchConfig(NOTIFIER_SECRETS_FILE, (secrets) => {
+        notifierSecrets = secrets;
+        notifier.setChannels(appConfig.notifiers, notifierSecrets);
+        console.log(`\n🔄 Reloaded notifier secrets: ${notifier.channels.length} channels\n`);
+    }, (error) => {
+        console.error(`\n❌ Notifier secrets reload failed, keeping previous secrets: ${error.message}\n`);
+    }, loadNotifierSecrets);
+
+    if (appConfig.autoRefresh) {
+        feedScheduler.sync(cachedFeeds.feedTimestamps);
+        feedScheduler.start();
+    }
+
     // Auto-fetch on startup if cache is empty or old
     if (!cachedFeeds.lastUpdated || cachedFeeds.items.length === 0) {
         console.log('📡 Initial feed fetch starting...\n');
-        fetchAllFeeds().then(() => {
+        fetchAllFeeds().catch(error => {
+            console.error('❌ Refresh failed:', error.message);
+        }).then(() => {
             startCLI();
         });
     } else {
         const cacheAge = Date.now() - new Date(cachedFeeds.lastUpdated).getTime();
-        if (cacheAge > FETCH_INTERVAL) {
+        if (cacheAge > (appConfig.fetchInterval || DEFAULT_FETCH_INTERVAL)) {
             console.log('⚠️  Cache is old, refreshing...\n');
-            fetchAllFeeds().then(() => {
+            fetchAllFeeds().catch(error => {
+                console.error('❌ Refresh failed:', error.message);
+            }).then(() => {
                 startCLI();
             });
         } else {
@@ -66,6 +66,9 @@ function showDebugConsole() {
                             `).join('')}
                         </div>
                     </div>
+                    <div class="debug-menu-item" onclick="showFeedHealth()">
+                        <span>🩺 Feed Health</span>
+                    </div>
                     <div class="debug-menu-item" onclick="showForceRefresh()">
                         <span>🔄 Force Refresh</span>
                     </div>
@@ -182,6 +185,74 @@ function showItemDetail(itemId) {
     `;
 }
 
+/**
+ * Format a duration in ms as a short age (12m, 3h, 9d)
+ */
+function formatAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 1440) return `${Math.floor(minutes / 60)}h`;
+    return `${Math.floor(minutes / 1440)}d`;
+}
+
+/**
+ * Show feed health (success rate, failures, latency, stale flag) from the backend
+ */
+async function showFeedHealth() {
+    const main = document.getElementById('debugMain');
+    main.innerHTML = `<div class="debug-health-view"><h4>🩺 Feed Health</h4><p>Loading...</p></div>`;
+
+    let data;
+    try {
+        const response = await fetch('/api/health');
+        if (!response.ok) throw new Error(`Backend returned ${response.status}`);
+        data = await response.json();
+    } catch (error) {
+        main.innerHTML = `<div class="debug-health-view"><h4>🩺 Feed Health</h4><p>Failed to load feed health: ${escapeHtml(error.message)}</p></div>`;
+        return;
+    }
+
+    main.innerHTML = `
+        <div class="debug-health-view">
+            <h4>🩺 Feed Health</h4>
+            <p><strong>Stale Feeds:</strong> ${data.stale} (no successful fetch or new article for ${data.staleAfterDays} days)</p>
+            <p class="debug-feed-count">Based on the last ${data.window} fetches of each feed</p>
+            <hr>
+            <div class="debug-items-list">
+                ${Object.entries(data.feeds).map(([name, health]) => {
+                    if (!health) {
+                        return `
+                            <div class="debug-item-card">
+                                <div class="debug-item-title">⚪ ${escapeHtml(name)}</div>
+                                <div class="debug-item-meta">Not fetched yet</div>
+                            </div>
+                        `;
+                    }
+
+                    const icon = health.stale ? '⚠️' : health.consecutiveFailures > 0 ? '❌' : '✅';
+                    const latency = health.meanLatencyMs !== null ? `${(health.meanLatencyMs / 1000).toFixed(1)}s avg` : 'N/A';
+                    const newest = health.newestArticle ? `${formatAge(health.newestArticleAge)} ago` : 'none';
+                    const recent = health.history.slice(-20).map(fetch => fetch.success ? '🟩' : '🟥').join('');
+
+                    return `
+                        <div class="debug-item-card">
+                            <div class="debug-item-title">${icon} ${escapeHtml(name)}</div>
+                            <div class="debug-item-meta">
+                                ${Math.round(health.successRate * 100)}% of ${health.fetches} fetches ok ·
+                                ${health.consecutiveFailures} failed in a row ·
+                                ${latency} · newest article ${newest}
+                            </div>
+                            <div class="debug-item-meta">${recent}</div>
+                            ${health.stale ? `<div class="debug-item-meta"><strong>Stale:</strong> ${escapeHtml(health.staleReason)}</div>` : ''}
+                            ${health.consecutiveFailures > 0 && health.lastError ? `<div class="debug-item-meta"><strong>Last error:</strong> ${escapeHtml(health.lastError)}</div>` : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Show force refresh option
  */
@@ -214,7 +285,9 @@ async function performForceRefresh() {
             alert('Cache cleared! Refreshing feeds...');
             window.location.reload();
         } else {
-            alert('Failed to clear cache');
+            // Clearing the cache needs the admin role (see backend/README.md)
+            const body = await response.json().catch(() => ({}));
+            alert('Failed to clear cache: ' + (body.error || response.statusText));
         }
     } catch (error) {
         alert('Error: ' + error.message);
@@ -227,5 +300,6 @@ window.toggleDebugGroup = toggleDebugGroup;
 window.showDebugHome = showDebugHome;
 window.showFeedItems = showFeedItems;
 window.showItemDetail = showItemDetail;
+window.showFeedHealth = showFeedHealth;
 window.showForceRefresh = showForceRefresh;
 window.performForceRefresh = performForceRefresh;
@@ -0,0 +1,139 @@
+/**
+ * Offline service worker
+ * Keeps the wall showing news when the backend restarts or the network drops.
+ *
+ * - /api/feeds: network first. The last good response is cached; when the
+ *   backend can't be reached it is served from the cache with `stale: true`
+ *   and `cachedAt` added, so the app can show a "stale since" banner.
+ * - /images/*: cache first, capped at MAX_IMAGES entries.
+ * - App shell (pages, config.json, styles and built assets): network first,
+ *   so a reload while offline still starts the app.
+ *
+ * Everything else (other API calls, the event stream, Vite's dev modules)
+ * goes straight to the network.
+ */
+
+const VERSION = 'v1';
+const FEEDS_CACHE = `feedviz-feeds-${VERSION}`;
+const IMAGES_CACHE = `feedviz-images-${VERSION}`;
+const SHELL_CACHE = `feedviz-shell-${VERSION}`;
+const CACHES = [FEEDS_CACHE, IMAGES_CACHE, SHELL_CACHE];
+
+const FEEDS_PATH = '/api/feeds';
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
+const MAX_IMAGES = 500;
+const MAX_SHELL_ENTRIES = 100;
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches from older versions of this worker
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('feedviz-') && !CACHES.includes(name))
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.pathname === FEEDS_PATH) {
+    event.respondWith(feedsNetworkFirst(request));
+  } else if (url.pathname.startsWith('/images/')) {
+    event.respondWith(imagesCacheFirst(request));
+  } else if (url.origin === self.location.origin && isShellRequest(request, url)) {
+    event.respondWith(shellNetworkFirst(request));
+  }
+});
+
+/**
+ * Pages, config.json, styles and Vite build output
+ */
+function isShellRequest(request, url) {
+  return request.mode === 'navigate'
+    || url.pathname === '/config.json'
+    || url.pathname === '/styles.css'
+    || url.pathname.startsWith('/assets/');
+}
+
+async function feedsNetworkFirst(request) {
+  const cache = await caches.open(FEEDS_CACHE);
+
+  try {
+    const response = await fetch(request);
+    // 5xx means the proxy is up but the backend isn't; fall back like a network error
+    if (response.status >= 500) throw new Error(`HTTP ${response.status}`);
+    if (response.ok) {
+      const body = await response.clone().arrayBuffer();
+      const headers = new Headers(response.headers);
+      headers.set(CACHED_AT_HEADER, new Date().toISOString());
+      await cache.put(FEEDS_PATH, new Response(body, { status: 200, headers }));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(FEEDS_PATH);
+    if (!cached) throw error;
+
+    const data = await cached.json();
+    return new Response(JSON.stringify({
+      ...data,
+      stale: true,
+      cachedAt: cached.headers.get(CACHED_AT_HEADER)
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+async function imagesCacheFirst(request) {
+  const cache = await caches.open(IMAGES_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Cross-origin images (VITE_BACKEND_URL) come back opaque but still display
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    trimCache(cache, MAX_IMAGES);
+  }
+  return response;
+}
+
+async function shellNetworkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  // Every page is the same app, so query strings (display profiles) share one entry
+  const key = request.mode === 'navigate' ? '/' : request;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(key, response.clone());
+      trimCache(cache, MAX_SHELL_ENTRIES);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (!cached) throw error;
+    return cached;
+  }
+}
+
+/**
+ * Delete the oldest entries beyond maxEntries (keys come back in insertion order)
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excess = keys.length - maxEntries;
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i]);
+  }
+}
@@ -4,7 +4,7 @@
  * Can be used by both backend (for internal calls) and frontend
  */
 
-import { API_ENDPOINTS, API_METHODS, getApiUrl } from './endpoints.js';
+import { API_ENDPOINTS, API_METHODS, getApiUrl, buildEndpoint, withQuery } from './endpoints.js';
 
 /**
  * Default fetch options
@@ -15,20 +15,52 @@ const DEFAULT_OPTIONS = {
   }
 };
 
+/**
+ * Credentials used by the standalone functions below when none are passed
+ * (see setCredentials). ApiClient instances keep their own.
+ */
+let defaultCredentials = null;
+
+/**
+ * Set the default credentials attached to API requests
+ * A session token (from login) or an API key; both are sent as a Bearer token.
+ * Pass null to stop sending credentials.
+ * @param {{token?: string, apiKey?: string}|null} value
+ */
+export function setCredentials(value) {
+  defaultCredentials = normalizeCredentials(value);
+}
+
+function normalizeCredentials(value) {
+  return value?.token || value?.apiKey ? value : null;
+}
+
+/**
+ * Authorization header for a set of credentials
+ * @param {{token?: string, apiKey?: string}|null} credentials - Defaults to the module's credentials
+ * @returns {Object.<string, string>}
+ */
+export function getAuthHeaders(credentials = defaultCredentials) {
+  const token = credentials?.token || credentials?.apiKey;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
 /**
  * Make API request
  * @param {string} endpoint - API endpoint
  * @param {RequestInit} options - Fetch options
  * @param {string} baseUrl - Base URL
+ * @param {{token?: string, apiKey?: string}|null} credentials - Sent as a Bearer token
  * @returns {Promise<Response>}
  */
-async function apiRequest(endpoint, options = {}, baseUrl = '') {
+async function apiRequest(endpoint, options = {}, baseUrl = '', credentials = defaultCredentials) {
   const url = getApiUrl(endpoint, baseUrl);
   const response = await fetch(url, {
     ...DEFAULT_OPTIONS,
     ...options,
     headers: {
       ...DEFAULT_OPTIONS.headers,
+      ...getAuthHeaders(credentials),
       ...options.headers
     }
   });
@@ -44,73 +76,676 @@ async function apiRequest(endpoint, options = {}, baseUrl = '') {
 /**
  * Get all cached feed items
  * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
  * @returns {Promise<FeedsResponse>}
  */
-export async function getFeeds(baseUrl = '') {
+export async function getFeeds(baseUrl = '', credentials = defaultCredentials) {
   const response = await apiRequest(API_ENDPOINTS.FEEDS, {
     method: API_METHODS.GET
-  }, baseUrl);
+  }, baseUrl, credentials);
   return response.json();
 }
 
 /**
  * Get server status and statistics
  * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
  * @returns {Promise<StatusResponse>}
  */
-export async function getStatus(baseUrl = '') {
+export async function getStatus(baseUrl = '', credentials = defaultCredentials) {
   const response = await apiRequest(API_ENDPOINTS.STATUS, {
     method: API_METHODS.GET
-  }, baseUrl);
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Get fetch history and health per feed
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<FeedHealthResponse>}
+ */
+export async function getFeedHealth(baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(API_ENDPOINTS.FEED_HEALTH, {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
   return response.json();
 }
 
 /**
  * Trigger manual feed refresh
  * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
  * @returns {Promise<RefreshResponse>}
  */
-export async function refreshFeeds(baseUrl = '') {
+export async function refreshFeeds(baseUrl = '', credentials = defaultCredentials) {
   const response = await apiRequest(API_ENDPOINTS.REFRESH, {
     method: API_METHODS.POST
-  }, baseUrl);
+  }, baseUrl, credentials);
   return response.json();
 }
 
 /**
  * Clear cache
  * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
  * @returns {Promise<{message: string}>}
  */
-export async function clearCache(baseUrl = '') {
+export async function clearCache(baseUrl = '', credentials = defaultCredentials) {
   const response = await apiRequest(API_ENDPOINTS.CACHE, {
     method: API_METHODS.DELETE
-  }, baseUrl);
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Get configured feed sources
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<SourcesResponse>}
+ */
+export async function getSources(baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(API_ENDPOINTS.SOURCES, {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Add a feed source
+ * @param {FeedConfig} source - Source to add (name and url required)
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<SourceResponse>}
+ */
+export async function createSource(source, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(API_ENDPOINTS.SOURCES, {
+    method: API_METHODS.POST,
+    body: JSON.stringify(source)
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Update a feed source (partial update, null clears optional fields)
+ * @param {string} name - Current source name
+ * @param {Partial<FeedConfig>} changes - Fields to change
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<SourceResponse>}
+ */
+export async function updateSource(name, changes, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(buildEndpoint(API_ENDPOINTS.SOURCE, { name }), {
+    method: API_METHODS.PATCH,
+    body: JSON.stringify(changes)
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Enable or disable a feed source
+ * @param {string} name - Source name
+ * @param {boolean} enabled - Whether the source should be fetched
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<SourceResponse>}
+ */
+export async function setSourceEnabled(name, enabled, baseUrl = '', credentials = defaultCredentials) {
+  return updateSource(name, { enabled }, baseUrl, credentials);
+}
+
+/**
+ * Delete a feed source
+ * @param {string} name - Source name
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<{message: string}>}
+ */
+export async function deleteSource(name, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(buildEndpoint(API_ENDPOINTS.SOURCE, { name }), {
+    method: API_METHODS.DELETE
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Get articles from the persistent history store
+ * @param {Object} filters - Optional filters
+ * @param {string} [filters.source] - Only this source
+ * @param {Date|string} [filters.since] - Published on or after
+ * @param {Date|string} [filters.until] - Published on or before
+ * @param {number} [filters.limit] - Max items (default 100, max 1000)
+ * @param {number} [filters.offset] - Items to skip
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<HistoryResponse>}
+ */
+export async function getHistory(filters = {}, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(withQuery(API_ENDPOINTS.HISTORY, filters), {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Query cached items with filters, search, cursor pagination and field projection
+ * @param {Object} params - Query parameters
+ * @param {string} [params.source] - Only these sources (comma-separated names)
+ * @param {Date|string} [params.since] - Published on or after
+ * @param {Date|string} [params.until] - Published on or before
+ * @param {string} [params.q] - Keywords; every word must appear in the title, description or full text
+ * @param {boolean} [params.highlighted] - Only items matching highlightKeywords
+ * @param {number} [params.limit] - Page size (default 50, max 500)
+ * @param {string} [params.cursor] - nextCursor from the previous page
+ * @param {string[]|string} [params.fields] - Fields to return (id is always included)
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<ItemsResponse>}
+ */
+export async function getItems(params = {}, baseUrl = '', credentials = defaultCredentials) {
+  const query = {
+    ...params,
+    highlighted: params.highlighted ? 'true' : undefined,
+    fields: Array.isArray(params.fields) ? params.fields.join(',') : params.fields
+  };
+  const response = await apiRequest(withQuery(API_ENDPOINTS.ITEMS, query), {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Fetch every page of an items query by following nextCursor
+ * @param {Object} params - Same as getItems (without cursor)
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<FeedItem[]>}
+ */
+export async function getAllItems(params = {}, baseUrl = '', credentials = defaultCredentials) {
+  const items = [];
+  let cursor;
+  do {
+    const page = await getItems({ ...params, cursor }, baseUrl, credentials);
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return items;
+}
+
+/**
+ * Full-text search over cached and historical articles
+ * @param {Object} params - Search parameters
+ * @param {string} params.q - Query: words, "quoted phrases" and prefix* terms (all must match)
+ * @param {string} [params.source] - Only these sources (comma-separated names)
+ * @param {Date|string} [params.since] - Published on or after
+ * @param {Date|string} [params.until] - Published on or before
+ * @param {string} [params.sort] - 'relevance' (default) or 'date'
+ * @param {number} [params.limit] - Max results (default 20, max 200)
+ * @param {number} [params.offset] - Results to skip
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<SearchResponse>}
+ */
+export async function searchArticles(params, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(withQuery(API_ENDPOINTS.SEARCH, params), {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Get alert rules and recently fired alerts
+ * @param {number} limit - Max alerts (default 100, max 500)
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<AlertsResponse>}
+ */
+export async function getAlerts(limit, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(withQuery(API_ENDPOINTS.ALERTS, { limit }), {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Get configured notification channels and recent deliveries
+ * @param {number} limit - Max deliveries (default 100, max 500)
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<NotificationsResponse>}
+ */
+export async function getNotifications(limit, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(withQuery(API_ENDPOINTS.NOTIFICATIONS, { limit }), {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Send a test notification through a channel
+ * @param {string} name - Notifier name
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<NotificationDelivery>}
+ */
+export async function testNotifier(name, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(API_ENDPOINTS.NOTIFICATIONS_TEST, {
+    method: API_METHODS.POST,
+    body: JSON.stringify({ notifier: name })
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Query the request or audit log (admin)
+ * @param {Object} params - Query parameters
+ * @param {string} [params.type] - 'request' (default) or 'audit'
+ * @param {Date|string} [params.since] - Entries at or after
+ * @param {Date|string} [params.until] - Entries at or before
+ * @param {string} [params.ip] - Client IP
+ * @param {string} [params.user] - Username or API key name
+ * @param {string} [params.action] - Audit action, e.g. 'cache-clear'
+ * @param {string} [params.method] - HTTP method
+ * @param {string} [params.status] - Status code (404) or class (4xx)
+ * @param {string} [params.path] - Path prefix
+ * @param {number} [params.limit] - Max entries (default 100, max 1000)
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<LogsResponse>}
+ */
+export async function getLogs(params = {}, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(withQuery(API_ENDPOINTS.LOGS, params), {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Get metrics in the Prometheus text format
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<string>}
+ */
+export async function getMetrics(baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(API_ENDPOINTS.METRICS, {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.text();
+}
+
+/**
+ * Start a session with a local account
+ */
+async function createSession(username, password, baseUrl) {
+  const response = await apiRequest(API_ENDPOINTS.AUTH_LOGIN, {
+    method: API_METHODS.POST,
+    body: JSON.stringify({ username, password })
+  }, baseUrl, null);
+  return response.json();
+}
+
+/**
+ * End the session the credentials belong to
+ */
+async function endSession(baseUrl, credentials) {
+  const response = await apiRequest(API_ENDPOINTS.AUTH_LOGOUT, {
+    method: API_METHODS.POST
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Log in with a local account
+ * The session token becomes the module's credentials until logout.
+ * @param {string} username
+ * @param {string} password
+ * @param {string} baseUrl - Base URL for API
+ * @returns {Promise<LoginResponse>}
+ */
+export async function login(username, password, baseUrl = '') {
+  const session = await createSession(username, password, baseUrl);
+  setCredentials({ token: session.token });
+  return session;
+}
+
+/**
+ * End the module's session and stop sending its token
+ * @param {string} baseUrl - Base URL for API
+ * @returns {Promise<{message: string}>}
+ */
+export async function logout(baseUrl = '') {
+  try {
+    return await endSession(baseUrl, defaultCredentials);
+  } finally {
+    setCredentials(null);
+  }
+}
+
+/**
+ * Get whether auth is enabled and who the current credentials belong to
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<AuthMeResponse>}
+ */
+export async function getCurrentUser(baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(API_ENDPOINTS.AUTH_ME, {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * List local user accounts (admin)
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<{users: UserAccount[]}>}
+ */
+export async function getUsers(baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(API_ENDPOINTS.AUTH_USERS, {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Create a local user account (admin)
+ * @param {{username: string, password: string, role?: string}} user
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<{user: UserAccount}>}
+ */
+export async function createUser(user, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(API_ENDPOINTS.AUTH_USERS, {
+    method: API_METHODS.POST,
+    body: JSON.stringify(user)
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Change a user's password and/or role (admin)
+ * @param {string} username
+ * @param {{password?: string, role?: string}} changes
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<{user: UserAccount}>}
+ */
+export async function updateUser(username, changes, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(buildEndpoint(API_ENDPOINTS.AUTH_USER, { username }), {
+    method: API_METHODS.PATCH,
+    body: JSON.stringify(changes)
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Delete a user account (admin)
+ * @param {string} username
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<{message: string}>}
+ */
+export async function deleteUser(username, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(buildEndpoint(API_ENDPOINTS.AUTH_USER, { username }), {
+    method: API_METHODS.DELETE
+  }, baseUrl, credentials);
   return response.json();
 }
 
+/**
+ * List API keys, without the keys themselves (admin)
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<{apiKeys: ApiKeyInfo[]}>}
+ */
+export async function getApiKeys(baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(API_ENDPOINTS.AUTH_KEYS, {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Create an API key (admin)
+ * The key is only returned by this call.
+ * @param {{name: string, role?: string}} apiKey
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<CreateApiKeyResponse>}
+ */
+export async function createApiKey(apiKey, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(API_ENDPOINTS.AUTH_KEYS, {
+    method: API_METHODS.POST,
+    body: JSON.stringify(apiKey)
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Revoke an API key (admin)
+ * @param {string} id - API key ID
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<{message: string}>}
+ */
+export async function revokeApiKey(id, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(buildEndpoint(API_ENDPOINTS.AUTH_KEY, { id }), {
+    method: API_METHODS.DELETE
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Get the indicators of compromise extracted from an article
+ * @param {string} id - Article ID
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<ItemIocsResponse>}
+ */
+export async function getItemIocs(id, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(buildEndpoint(API_ENDPOINTS.ITEM_IOCS, { id }), {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Export cached articles as a STIX 2.1 bundle
+ * @param {Object} filters - Optional filters
+ * @param {string} [filters.source] - Only these sources (comma-separated names)
+ * @param {Date|string} [filters.since] - Published on or after
+ * @param {Date|string} [filters.until] - Published on or before
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<StixBundle>}
+ */
+export async function exportStix(filters = {}, baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(withQuery(API_ENDPOINTS.EXPORT_STIX, filters), {
+    method: API_METHODS.GET
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Get a one-time token for opening the event stream (valid for a minute)
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<StreamTokenResponse>}
+ */
+export async function createStreamToken(baseUrl = '', credentials = defaultCredentials) {
+  const response = await apiRequest(API_ENDPOINTS.AUTH_STREAM_TOKEN, {
+    method: API_METHODS.POST
+  }, baseUrl, credentials);
+  return response.json();
+}
+
+/**
+ * Open the live update stream (Server-Sent Events)
+ * Events: 'hello', 'refresh-start', 'feed-status', 'items', 'refresh-complete', 'cache-cleared'
+ * (see the StreamEvent types). Requires a global EventSource (browsers).
+ * EventSource can't send headers, so with credentials a one-time stream token is
+ * fetched first and put in the URL instead of the credentials themselves. The
+ * token is used up on connect: once the stream closes, open a new one.
+ * @param {string} baseUrl - Base URL for API
+ * @param {Object|null} [credentials] - Defaults to the module's credentials (see setCredentials)
+ * @returns {Promise<EventSource>}
+ */
+export async function openEventStream(baseUrl = '', credentials = defaultCredentials) {
+  const streamToken = credentials ? (await createStreamToken(baseUrl, credentials)).token : undefined;
+  return new EventSource(getApiUrl(withQuery(API_ENDPOINTS.EVENTS, { stream_token: streamToken }), baseUrl));
+}
+
 /**
  * API Client with base URL
+ * Credentials (an API key, or a token from login) are attached to every request
+ * made through this client. Each client keeps its own.
  */
 export class ApiClient {
-  constructor(baseUrl = '') {
+  /**
+   * @param {string} baseUrl - Base URL for API
+   * @param {{token?: string, apiKey?: string}} [credentials] - Sent with every request
+   */
+  constructor(baseUrl = '', credentials = null) {
     this.baseUrl = baseUrl;
+    this.credentials = normalizeCredentials(credentials);
   }
 
   async getFeeds() {
-    return getFeeds(this.baseUrl);
+    return getFeeds(this.baseUrl, this.credentials);
   }
 
   async getStatus() {
-    return getStatus(this.baseUrl);
+    return getStatus(this.baseUrl, this.credentials);
+  }
+
+  async getFeedHealth() {
+    return getFeedHealth(this.baseUrl, this.credentials);
   }
 
   async refreshFeeds() {
-    return refreshFeeds(this.baseUrl);
+    return refreshFeeds(this.baseUrl, this.credentials);
   }
 
   async clearCache() {
-    return clearCache(this.baseUrl);
+    return clearCache(this.baseUrl, this.credentials);
+  }
+
+  async getSources() {
+    return getSources(this.baseUrl, this.credentials);
+  }
+
+  async createSource(source) {
+    return createSource(source, this.baseUrl, this.credentials);
+  }
+
+  async updateSource(name, changes) {
+    return updateSource(name, changes, this.baseUrl, this.credentials);
+  }
+
+  async setSourceEnabled(name, enabled) {
+    return setSourceEnabled(name, enabled, this.baseUrl, this.credentials);
+  }
+
+  async deleteSource(name) {
+    return deleteSource(name, this.baseUrl, this.credentials);
+  }
+
+  async getHistory(filters) {
+    return getHistory(filters, this.baseUrl, this.credentials);
+  }
+
+  async getItems(params) {
+    return getItems(params, this.baseUrl, this.credentials);
+  }
+
+  async getAllItems(params) {
+    return getAllItems(params, this.baseUrl, this.credentials);
+  }
+
+  async searchArticles(params) {
+    return searchArticles(params, this.baseUrl, this.credentials);
+  }
+
+  async getAlerts(limit) {
+    return getAlerts(limit, this.baseUrl, this.credentials);
+  }
+
+  async getNotifications(limit) {
+    return getNotifications(limit, this.baseUrl, this.credentials);
+  }
+
+  async testNotifier(name) {
+    return testNotifier(name, this.baseUrl, this.credentials);
+  }
+
+  async getItemIocs(id) {
+    return getItemIocs(id, this.baseUrl, this.credentials);
+  }
+
+  async exportStix(filters) {
+    return exportStix(filters, this.baseUrl, this.credentials);
+  }
+
+  async getLogs(params) {
+    return getLogs(params, this.baseUrl, this.credentials);
+  }
+
+  async getMetrics() {
+    return getMetrics(this.baseUrl, this.credentials);
+  }
+
+  async login(username, password) {
+    const session = await createSession(username, password, this.baseUrl);
+    this.credentials = { token: session.token };
+    return session;
+  }
+
+  async logout() {
+    try {
+      return await endSession(this.baseUrl, this.credentials);
+    } finally {
+      this.credentials = null;
+    }
+  }
+
+  async getCurrentUser() {
+    return getCurrentUser(this.baseUrl, this.credentials);
+  }
+
+  async getUsers() {
+    return getUsers(this.baseUrl, this.credentials);
+  }
+
+  async createUser(user) {
+    return createUser(user, this.baseUrl, this.credentials);
+  }
+
+  async updateUser(username, changes) {
+    return updateUser(username, changes, this.baseUrl, this.credentials);
+  }
+
+  async deleteUser(username) {
+    return deleteUser(username, this.baseUrl, this.credentials);
+  }
+
+  async getApiKeys() {
+    return getApiKeys(this.baseUrl, this.credentials);
+  }
+
+  async createApiKey(apiKey) {
+    return createApiKey(apiKey, this.baseUrl, this.credentials);
+  }
+
+  async revokeApiKey(id) {
+    return revokeApiKey(id, this.baseUrl, this.credentials);
+  }
+
+  async createStreamToken() {
+    return createStreamToken(this.baseUrl, this.credentials);
+  }
+
+  async openEventStream() {
+    return openEventStream(this.baseUrl, this.credentials);
   }
 }
 
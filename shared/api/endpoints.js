@@ -6,13 +6,36 @@
 export const API_ENDPOINTS = {
   FEEDS: '/api/feeds',
   STATUS: '/api/status',
+  FEED_HEALTH: '/api/health',
   REFRESH: '/api/refresh',
-  CACHE: '/api/cache'
+  CACHE: '/api/cache',
+  SOURCES: '/api/sources',
+  SOURCE: '/api/sources/:name',
+  HISTORY: '/api/history',
+  ITEMS: '/api/items',
+  ITEM_IOCS: '/api/items/:id/iocs',
+  EXPORT_STIX: '/api/export/stix',
+  EVENTS: '/api/events',
+  SEARCH: '/api/search',
+  ALERTS: '/api/alerts',
+  NOTIFICATIONS: '/api/notifications',
+  NOTIFICATIONS_TEST: '/api/notifications/test',
+  LOGS: '/api/logs',
+  METRICS: '/metrics',
+  AUTH_LOGIN: '/api/auth/login',
+  AUTH_LOGOUT: '/api/auth/logout',
+  AUTH_ME: '/api/auth/me',
+  AUTH_STREAM_TOKEN: '/api/auth/stream-token',
+  AUTH_USERS: '/api/auth/users',
+  AUTH_USER: '/api/auth/users/:username',
+  AUTH_KEYS: '/api/auth/keys',
+  AUTH_KEY: '/api/auth/keys/:id'
 };
 
 export const API_METHODS = {
   GET: 'GET',
   POST: 'POST',
+  PATCH: 'PATCH',
   DELETE: 'DELETE'
 };
 
@@ -26,3 +49,32 @@ export function getApiUrl(endpoint, baseUrl = '') {
   return `${baseUrl}${endpoint}`;
 }
 
+
+/**
+ * Fill in route parameters (e.g. ':name') in an endpoint path
+ * @param {string} endpoint - API endpoint path with ':param' placeholders
+ * @param {Object.<string, string>} params - Parameter values
+ * @returns {string} Endpoint path with encoded parameter values
+ */
+export function buildEndpoint(endpoint, params = {}) {
+  return endpoint.replace(/:([A-Za-z]+)/g, (match, key) =>
+    params[key] !== undefined ? encodeURIComponent(params[key]) : match
+  );
+}
+
+/**
+ * Append query parameters to an endpoint path
+ * Parameters that are undefined, null or empty are left out
+ * @param {string} endpoint - API endpoint path
+ * @param {Object.<string, string|number|Date>} params - Query parameters
+ * @returns {string} Endpoint path with query string
+ */
+export function withQuery(endpoint, params = {}) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === '') continue;
+    query.append(key, value instanceof Date ? value.toISOString() : String(value));
+  }
+  const queryString = query.toString();
+  return queryString ? `${endpoint}?${queryString}` : endpoint;
+}
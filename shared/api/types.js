@@ -8,11 +8,38 @@
  * @property {string} name - Display name of the feed
  * @property {string} url - RSS feed URL
  * @property {string} icon - Icon/favicon URL
+ * @property {boolean} [enabled] - Whether the feed is fetched (default true)
+ * @property {number} [maxItems] - Per-feed item limit (defaults to maxItemsPerFeed)
+ * @property {number} [refreshInterval] - Per-feed refresh interval in ms (defaults to fetchInterval)
+ * @property {number} [staleAfterDays] - Days without a successful fetch or new article before the feed is stale (defaults to staleAfterDays)
+ */
+
+/**
+ * @typedef {Object} Source
+ * @property {string} name - Display name of the feed
+ * @property {string} url - RSS feed URL
+ * @property {string|null} icon - Icon/favicon URL
+ * @property {boolean} enabled - Whether the feed is fetched
+ * @property {number|null} maxItems - Per-feed item limit (null = maxItemsPerFeed)
+ * @property {number|null} refreshInterval - Per-feed refresh interval in ms (null = fetchInterval)
+ * @property {number|null} staleAfterDays - Per-feed stale threshold in days (null = staleAfterDays)
+ */
+
+/**
+ * @typedef {Object} SourcesResponse
+ * @property {Source[]} sources - Configured feed sources
+ * @property {number} maxItemsPerFeed - Default per-feed item limit
+ */
+
+/**
+ * @typedef {Object} SourceResponse
+ * @property {Source} source - The created or updated source
  */
 
 /**
  * @typedef {Object} FeedItem
- * @property {string} id - Unique identifier
+ * @property {string} id - Stable identifier derived from source and GUID/link
+ * @property {string|null} [guid] - Feed-provided GUID (from backend)
  * @property {string} title - Article title
  * @property {string} link - Article URL
  * @property {Date|string} pubDate - Publication date
@@ -22,6 +49,274 @@
  * @property {string|null} fullText - Full article text (from backend)
  * @property {string|null} image - Article image URL
  * @property {string|null} author - Article author (from backend)
+ * @property {CveInfo[]} [cves] - CVE IDs mentioned in the title or text, with enrichment (from backend)
+ * @property {ArticleIocs} [iocs] - Indicators of compromise found in the article (from backend)
+ * @property {ItemAlert[]} [alerts] - Alert rules the item matches, most severe first (from backend)
+ * @property {string[]} [outboundLinks] - Links found in the article body (from backend)
+ * @property {string|null} [clusterId] - Shared by items from different sources covering the same story (from backend)
+ */
+
+/**
+ * @typedef {Object} CveInfo
+ * @property {string} id - CVE ID (e.g. 'CVE-2024-3400')
+ * @property {number|null} cvssScore - CVSS base score from the local CVE dataset
+ * @property {string|null} cvssVersion - CVSS version of the score
+ * @property {string|null} severity - 'critical' | 'high' | 'medium' | 'low' | 'none' (null if unscored)
+ * @property {string|null} vendor - Affected vendor
+ * @property {string|null} product - Affected product
+ */
+
+/**
+ * @typedef {Object} ItemsResponse
+ * @property {number} total - Items matching the query
+ * @property {number} limit - Page size used
+ * @property {string|null} nextCursor - Pass as cursor to get the next page (null on the last page)
+ * @property {Array<FeedItem|Object>} items - Matching items, newest first (only the requested fields if fields was given)
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} id - Article ID
+ * @property {string} title - Article title
+ * @property {string} link - Article URL
+ * @property {string} source - Feed name
+ * @property {string} [sourceIcon] - Feed icon URL
+ * @property {string} pubDate - Publication date (ISO string)
+ * @property {number} score - Relevance score (title matches weigh more)
+ * @property {string} snippet - Excerpt around the first match
+ */
+
+/**
+ * @typedef {Object} SearchResponse
+ * @property {number} total - Matching articles
+ * @property {number} offset - Results skipped
+ * @property {number} limit - Max results returned
+ * @property {SearchResult[]} items - Matching articles
+ * @property {{sources: Object.<string, number>, days: Object.<string, number>}} facets - Match counts per
+ *   source (ignoring the source filter) and per day (YYYY-MM-DD, ignoring the date filter)
+ */
+
+/**
+ * @typedef {Object} ItemAlert
+ * @property {string} rule - Rule name
+ * @property {string} severity - 'info' | 'low' | 'medium' | 'high' | 'critical'
+ */
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {string} name - Unique rule name
+ * @property {string} when - Boolean expression over title, source, text, any, cve and cvss
+ * @property {string} [severity] - 'info' | 'low' | 'medium' | 'high' | 'critical' (default 'medium')
+ * @property {boolean} [enabled] - Set to false to disable the rule
+ * @property {string[]} [actions] - What to do when the rule fires (default ['log', 'stream'])
+ */
+
+/**
+ * @typedef {Object} Alert
+ * @property {string} rule - Rule name
+ * @property {string} severity - Rule severity
+ * @property {string[]} actions - Actions run for the alert
+ * @property {string} itemId - Article ID
+ * @property {string} title - Article title
+ * @property {string} link - Article URL
+ * @property {string} source - Feed name
+ * @property {string} pubDate - Publication date (ISO string)
+ * @property {string} firedAt - When the alert fired (ISO string)
+ */
+
+/**
+ * @typedef {Object} AlertsResponse
+ * @property {AlertRule[]} rules - Configured rules
+ * @property {Alert[]} alerts - Recently fired alerts, newest first
+ */
+
+/**
+ * @typedef {Object} NotifierConfig
+ * @property {string} name - Channel name
+ * @property {string} type - 'webhook', 'slack', 'teams' or 'email'
+ * @property {boolean} enabled - Whether the channel is active
+ * @property {string} minSeverity - Lowest alert severity sent
+ * @property {string[]|null} rules - Only alerts from these rules (null for all)
+ * @property {number} retries - Retries after a failed attempt
+ */
+
+/**
+ * @typedef {Object} NotifierSecrets
+ * @property {string} [url] - Webhook URL (webhook, slack, teams)
+ * @property {Object.<string, string>} [headers] - Extra webhook request headers
+ * @property {Object} [smtp] - SMTP server for email (host, port, secure, starttls, user, pass, rejectUnauthorized)
+ */
+
+/**
+ * @typedef {Object} NotificationDelivery
+ * @property {string} notifier - Channel name
+ * @property {string} type - Channel type
+ * @property {string} rule - Alert rule name
+ * @property {string} severity - Alert severity
+ * @property {string} itemId - Article ID
+ * @property {string} title - Article title
+ * @property {string} status - 'delivered', 'failed' or 'skipped'
+ * @property {number} attempts - Delivery attempts made
+ * @property {string|null} error - Last error message
+ * @property {boolean} [test] - Sent from the test endpoint
+ * @property {string} at - When the delivery finished (ISO string)
+ */
+
+/**
+ * @typedef {Object} NotificationsResponse
+ * @property {NotifierConfig[]} notifiers - Configured channels (without URLs or credentials)
+ * @property {NotificationDelivery[]} deliveries - Recent deliveries, newest first
+ */
+
+/**
+ * @typedef {Object} RequestLogEntry
+ * @property {string} timestamp - When the request arrived (ISO)
+ * @property {string} ip - Client IP
+ * @property {string} method - HTTP method
+ * @property {string} path - Request path (without query string)
+ * @property {number} status - Response status code
+ * @property {number} durationMs - Time to finish the response
+ * @property {string|null} user - Username or API key name, if authenticated
+ * @property {string|null} authType - 'user', 'apiKey', 'anonymous' or 'none'
+ * @property {string} userAgent - User-Agent header (truncated)
+ */
+
+/**
+ * @typedef {Object} AuditLogEntry
+ * @property {string} timestamp - When it happened (ISO)
+ * @property {string} action - e.g. 'refresh', 'cache-clear', 'source-update', 'login', 'apikey-create'
+ * @property {string|null} ip - Client IP (null for the CLI)
+ * @property {string|null} user - Who did it
+ * @property {string|null} authType - As in RequestLogEntry, or 'cli' for the interactive menu
+ */
+
+/**
+ * @typedef {Object} LogsResponse
+ * @property {string} type - 'request' or 'audit'
+ * @property {number} count - Number of entries returned
+ * @property {Array<RequestLogEntry|AuditLogEntry>} entries - Newest first
+ */
+
+/**
+ * @typedef {Object} AuthIdentity
+ * @property {string} type - 'user', 'apiKey', 'anonymous', or 'none' when auth is disabled
+ * @property {string|null} name - Username or API key name
+ * @property {string} role - 'viewer', 'analyst' or 'admin'
+ */
+
+/**
+ * @typedef {Object} AuthMeResponse
+ * @property {boolean} enabled - Whether API auth is enabled
+ * @property {string} anonymousRole - Role of requests without credentials ('none' if they are refused)
+ * @property {AuthIdentity|null} identity - Who the request's credentials belong to
+ */
+
+/**
+ * @typedef {Object} LoginResponse
+ * @property {string} token - Session token (send as "Authorization: Bearer <token>")
+ * @property {string} expiresAt - When the session ends (ISO)
+ * @property {{username: string, role: string}} user - The logged-in user
+ */
+
+/**
+ * @typedef {Object} StreamTokenResponse
+ * @property {string} token - One-time token for GET /api/events?stream_token=
+ * @property {string} expiresAt - When the token stops working if unused (ISO)
+ */
+
+/**
+ * @typedef {Object} UserAccount
+ * @property {string} username - Login name
+ * @property {string} role - 'viewer', 'analyst' or 'admin'
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} [updatedAt] - Last password or role change
+ */
+
+/**
+ * @typedef {Object} ApiKeyInfo
+ * @property {string} id - Key ID (used to revoke it)
+ * @property {string} name - Description, e.g. the client using it
+ * @property {string} role - 'viewer', 'analyst' or 'admin'
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} CreateApiKeyResponse
+ * @property {string} key - The API key; it can't be retrieved again
+ * @property {ApiKeyInfo} apiKey - Key details
+ */
+
+/**
+ * @typedef {Object} ArticleIocs
+ * @property {string[]} ipv4 - IPv4 addresses
+ * @property {string[]} ipv6 - IPv6 addresses
+ * @property {string[]} domains - Domain names
+ * @property {string[]} urls - URLs (http, https, ftp)
+ * @property {string[]} md5 - MD5 hashes (lowercase)
+ * @property {string[]} sha1 - SHA1 hashes (lowercase)
+ * @property {string[]} sha256 - SHA256 hashes (lowercase)
+ */
+
+/**
+ * @typedef {Object} ItemIocsResponse
+ * @property {string} id - Article ID
+ * @property {string} title - Article title
+ * @property {string} link - Article URL
+ * @property {string} source - Feed name
+ * @property {string} pubDate - Publication date (ISO string)
+ * @property {number} total - Number of indicators across all types
+ * @property {ArticleIocs} iocs - Indicators by type (refanged)
+ */
+
+/**
+ * @typedef {Object} StreamHelloEvent
+ * @property {string|null} lastUpdated - Last cache update when the client connected
+ * @property {boolean} refreshing - Whether a refresh is in progress
+ * @property {string} version - Backend version
+ */
+
+/**
+ * @typedef {Object} StreamFeedStatusEvent
+ * @property {string} name - Feed name
+ * @property {FeedStatus} status - Result of the feed fetch
+ * @property {number} completed - Feeds finished so far in this refresh
+ * @property {number} total - Feeds in this refresh
+ */
+
+/**
+ * @typedef {Object} StreamItemsEvent
+ * @property {string} lastUpdated - Cache update time
+ * @property {FeedItem[]} items - New items, and existing items whose cluster or CVEs changed
+ * @property {string[]} removed - IDs of items no longer in the cache
+ * @property {number} added - Number of new items
+ */
+
+/**
+ * @typedef {Object} StreamRefreshCompleteEvent
+ * @property {string} lastUpdated - Cache update time
+ * @property {number} itemCount - Items in the cache
+ * @property {number} added - Number of new items
+ * @property {number} duration - Refresh duration in milliseconds
+ */
+
+/**
+ * @typedef {Object} StixBundle
+ * @property {'bundle'} type - Always 'bundle'
+ * @property {string} id - Bundle ID ('bundle--<uuid>')
+ * @property {Object[]} objects - STIX 2.1 objects: a report per article plus the
+ *   indicator, vulnerability and identity objects its object_refs point to
+ */
+
+/**
+ * @typedef {FeedItem & {firstSeen: string, lastSeen: string}} HistoryItem
+ */
+
+/**
+ * @typedef {Object} HistoryResponse
+ * @property {number} total - Articles matching the filters
+ * @property {number} offset - Items skipped
+ * @property {number} limit - Max items returned
+ * @property {HistoryItem[]} items - Matching articles, newest first
  */
 
 /**
@@ -32,12 +327,56 @@
  * @property {Date|string} lastFetched - Last fetch timestamp
  */
 
+/**
+ * @typedef {Object} FeedSchedule
+ * @property {number} interval - Base refresh interval in ms
+ * @property {string|null} nextRun - Next scheduled fetch (null when auto-refresh is off)
+ * @property {string|null} lastRun - Last fetch time
+ * @property {number} consecutiveFailures - Failures since last success (drives backoff)
+ */
+
+/**
+ * @typedef {Object} FeedHealthSummary
+ * @property {number} fetches - Fetches in the rolling window
+ * @property {number|null} successRate - Share of those fetches that succeeded (0-1)
+ * @property {number} consecutiveFailures - Failed fetches since the last success
+ * @property {number|null} meanLatencyMs - Mean fetch duration, including article extraction
+ * @property {string} firstSeen - When tracking started
+ * @property {string|null} lastSuccess - Last successful fetch
+ * @property {string|null} lastFailure - Last failed fetch
+ * @property {string|null} lastError - Error of the last failed fetch
+ * @property {string|null} newestArticle - pubDate of the newest article seen
+ * @property {number|null} newestArticleAge - ms since newestArticle
+ * @property {boolean} stale - No successful fetch or new article for staleAfterDays
+ * @property {string|null} staleReason - Why the feed is stale
+ */
+
+/**
+ * @typedef {Object} FeedHealthFetch
+ * @property {string} at - Fetch time
+ * @property {boolean} success - Whether the fetch succeeded
+ * @property {boolean} notModified - Server answered 304 Not Modified
+ * @property {number|null} durationMs - Fetch duration
+ * @property {number} itemCount - Items returned
+ * @property {string|null} error - Error message if the fetch failed
+ */
+
+/**
+ * @typedef {Object} FeedHealthResponse
+ * @property {number} window - Fetches kept per feed
+ * @property {number} staleAfterDays - Global stale threshold
+ * @property {number} stale - Number of stale feeds
+ * @property {Object.<string, (FeedHealthSummary & {history: FeedHealthFetch[]})|null>} feeds - Health per enabled feed (null if not fetched yet)
+ */
+
 /**
  * @typedef {Object} FeedsResponse
  * @property {Date|string} lastUpdated - Last update timestamp
  * @property {FeedItem[]} items - Array of feed items
  * @property {Object.<string, FeedStatus>} feedStatus - Status per feed
  * @property {Object.<string, Date|string>} feedTimestamps - Timestamps per feed
+ * @property {boolean} [stale] - Set by the frontend service worker when served from its offline cache
+ * @property {string} [cachedAt] - When the service worker cached this response (with stale)
  */
 
 /**
@@ -53,6 +392,9 @@
  * @property {string} status - Server status ('running')
  * @property {CacheStats} cacheStats - Cache statistics
  * @property {Object.<string, FeedStatus>} feedStatus - Feed statuses
+ * @property {boolean} autoRefresh - Whether the refresh scheduler is running
+ * @property {Object.<string, FeedSchedule>} schedule - Refresh schedule per feed
+ * @property {Object.<string, FeedHealthSummary|null>} health - Health per enabled feed
  */
 
 /**
@@ -68,8 +410,46 @@
 // Export types for JSDoc usage
 export const API_TYPES = {
   FeedConfig: 'FeedConfig',
+  Source: 'Source',
+  SourcesResponse: 'SourcesResponse',
+  SourceResponse: 'SourceResponse',
   FeedItem: 'FeedItem',
+  CveInfo: 'CveInfo',
+  ItemsResponse: 'ItemsResponse',
+  SearchResult: 'SearchResult',
+  SearchResponse: 'SearchResponse',
+  ItemAlert: 'ItemAlert',
+  AlertRule: 'AlertRule',
+  Alert: 'Alert',
+  AlertsResponse: 'AlertsResponse',
+  NotifierConfig: 'NotifierConfig',
+  NotifierSecrets: 'NotifierSecrets',
+  NotificationDelivery: 'NotificationDelivery',
+  NotificationsResponse: 'NotificationsResponse',
+  RequestLogEntry: 'RequestLogEntry',
+  AuditLogEntry: 'AuditLogEntry',
+  LogsResponse: 'LogsResponse',
+  AuthIdentity: 'AuthIdentity',
+  AuthMeResponse: 'AuthMeResponse',
+  LoginResponse: 'LoginResponse',
+  StreamTokenResponse: 'StreamTokenResponse',
+  UserAccount: 'UserAccount',
+  ApiKeyInfo: 'ApiKeyInfo',
+  CreateApiKeyResponse: 'CreateApiKeyResponse',
+  ArticleIocs: 'ArticleIocs',
+  ItemIocsResponse: 'ItemIocsResponse',
+  StixBundle: 'StixBundle',
+  StreamHelloEvent: 'StreamHelloEvent',
+  StreamFeedStatusEvent: 'StreamFeedStatusEvent',
+  StreamItemsEvent: 'StreamItemsEvent',
+  StreamRefreshCompleteEvent: 'StreamRefreshCompleteEvent',
+  HistoryItem: 'HistoryItem',
+  HistoryResponse: 'HistoryResponse',
   FeedStatus: 'FeedStatus',
+  FeedSchedule: 'FeedSchedule',
+  FeedHealthSummary: 'FeedHealthSummary',
+  FeedHealthFetch: 'FeedHealthFetch',
+  FeedHealthResponse: 'FeedHealthResponse',
   FeedsResponse: 'FeedsResponse',
   CacheStats: 'CacheStats',
   StatusResponse: 'StatusResponse',
@@ -0,0 +1,72 @@
+/**
+ * Shared Article ID Utilities
+ * Deterministic article IDs used by both backend and frontend, so the same
+ * article keeps the same ID (and React key) across refreshes
+ */
+
+/**
+ * Query parameters that don't identify an article (tracking etc.)
+ */
+const IGNORED_QUERY_PARAMS = /^(utm_[a-z]+|fbclid|gclid|mc_cid|mc_eid|ref|source)$/i;
+
+/**
+ * 53-bit string hash (cyrb53)
+ * Synchronous and dependency-free so it runs the same in Node and the browser
+ * @param {string} str - Input string
+ * @returns {number} Hash value
+ */
+function hash53(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Normalize an article link so trivial variations map to the same URL
+ * Lowercases the host, drops the fragment, tracking parameters and trailing slash
+ * @param {string} link - Article URL
+ * @returns {string} Canonical URL (or the trimmed input if it isn't a valid URL)
+ */
+export function canonicalizeLink(link) {
+  if (!link) return '';
+
+  try {
+    const url = new URL(link.trim());
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase();
+
+    for (const key of [...url.searchParams.keys()]) {
+      if (IGNORED_QUERY_PARAMS.test(key)) {
+        url.searchParams.delete(key);
+      }
+    }
+
+    let canonical = url.toString();
+    if (canonical.endsWith('/') && url.pathname !== '/') {
+      canonical = canonical.slice(0, -1);
+    }
+    return canonical;
+  } catch {
+    return link.trim();
+  }
+}
+
+/**
+ * Build a stable article ID from its source and GUID (falling back to canonical link)
+ * @param {string} source - Feed name
+ * @param {{guid?: string, link?: string, title?: string}} article - Article fields
+ * @returns {string} 14-character hex ID
+ */
+export function createArticleId(source, { guid, link, title } = {}) {
+  // Title is only used when a feed provides neither GUID nor link
+  const identity = guid || canonicalizeLink(link === '#' ? '' : link) || title || '';
+  const input = `${source}\n${identity}`;
+  return hash53(input).toString(16).padStart(14, '0');
+}
@@ -0,0 +1,19 @@
+/**
+ * Shared Highlight Utilities
+ * Decides whether an article matches the configured highlightKeywords, so the
+ * backend's item filters and the frontend agree on what counts as highlighted
+ */
+
+/**
+ * Check if an article's title or description contains any highlight keyword
+ * Matching is case-insensitive substring matching, like the original wall display
+ * @param {{title?: string, description?: string}} item - Article
+ * @param {string[]} keywords - Configured highlightKeywords
+ * @returns {boolean}
+ */
+export function matchesHighlightKeywords(item, keywords = []) {
+  if (!keywords || keywords.length === 0) return false;
+
+  const searchText = `${item.title || ''} ${item.description || ''}`.toLowerCase();
+  return keywords.some(keyword => searchText.includes(keyword.toLowerCase()));
+}
@@ -1,13 +1,16 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { FeedContainer } from './components/FeedContainer';
 import { LoadingIndicator } from './components/LoadingIndicator';
 import { ThemeSelector } from './components/ThemeSelector';
 import { Footer } from './components/Footer';
 import { ControlsHint } from './components/ControlsHint';
 import { DebugMenu } from './components/DebugMenu';
+import { SearchOverlay } from './components/SearchOverlay';
+import { StaleBanner } from './components/StaleBanner';
 import { useFeeds } from './hooks/useFeeds';
 import { useSpotlight } from './hooks/useSpotlight';
 import { preloadCommonFallbacks } from './utils/imageFallback';
+import { resolveDisplaySettings } from './utils/displayProfile';
 
 function App() {
   const [config, setConfig] = useState(null);
@@ -16,6 +19,7 @@ function App() {
   });
   const [nextRefreshTime, setNextRefreshTime] = useState(null);
   const [notification, setNotification] = useState(null);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
   const containerRef = useRef(null);
 
   const { feedItems, loading, error, loadedFeedsCount, feedLog, imageFallbacks, loadFeeds, connectionStatus } = useFeeds(config);
@@ -29,16 +33,21 @@ function App() {
     scrollSpeed,
     continuousScroll,
     isAutoScrolling,
+    spotlightMode,
     setAutoFocus,
     setAutoScroll,
     setScrollSpeed,
     setContinuousScroll,
+    setSpotlightMode,
     pauseSpotlight,
     resumeSpotlight,
     navigateToItem,
     resetSpotlightState
   } = useSpotlight(feedItems, containerRef);
 
+  // Display profile and query parameters for this screen (see utils/displayProfile.js)
+  const display = useMemo(() => config ? resolveDisplaySettings(config, window.location.search) : null, [config]);
+
   // Initialize fallback image system and load config on mount
   useEffect(() => {
     // Preload common fallback images
@@ -57,6 +66,18 @@ function App() {
       });
   }, []);
 
+  // Apply the display profile once the config has loaded
+  useEffect(() => {
+    if (!display) return;
+    if (display.theme) setTheme(display.theme);
+    if (display.scrollSpeed) setScrollSpeed(display.scrollSpeed);
+    if (display.autoFocus !== undefined) setAutoFocus(display.autoFocus);
+    if (display.autoScroll !== undefined) setAutoScroll(display.autoScroll);
+    if (display.continuousScroll !== undefined) setContinuousScroll(display.continuousScroll);
+    if (display.spotlightMode) setSpotlightMode(display.spotlightMode);
+    document.body.style.setProperty('--font-scale', display.fontScale || 1);
+  }, [display, setScrollSpeed, setAutoFocus, setAutoScroll, setContinuousScroll, setSpotlightMode]);
+
   // Apply theme
   useEffect(() => {
     const supportedThemes = ['blue', 'crimson', 'black'];
@@ -64,12 +85,20 @@ function App() {
       document.body.classList.remove(`theme-${name}`);
     });
     document.body.classList.add(`theme-${theme}`);
-    localStorage.setItem('rssTheme', theme);
   }, [theme]);
 
+  // Only a theme picked in the selector is saved; a display profile's theme applies to this page load
+  const changeTheme = useCallback((name) => {
+    setTheme(name);
+    localStorage.setItem('rssTheme', name);
+  }, []);
+
   // Keyboard controls
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // The search overlay handles its own keys
+      if (isSearchOpen) return;
+
       switch (e.key) {
         case ' ': // Spacebar
           e.preventDefault();
@@ -97,12 +126,16 @@ function App() {
           showNotification('🔄 Refreshing feeds...', 2000);
           loadFeeds();
           break;
+        case '/':
+          e.preventDefault();
+          setIsSearchOpen(true);
+          break;
       }
     };
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [isPaused, pauseSpotlight, resumeSpotlight, navigateToItem, loadFeeds]);
+  }, [isPaused, isSearchOpen, pauseSpotlight, resumeSpotlight, navigateToItem, loadFeeds]);
 
   // Notification system
   const showNotification = useCallback((message, duration = 3000) => {
@@ -149,10 +182,13 @@ function App() {
 
   return (
     <div className="rss-feed-scroller">
+      <StaleBanner staleSince={connectionStatus.staleSince} />
+
       <FeedContainer
         items={feedItems}
         config={config}
         imageFallbacks={imageFallbacks}
+        layout={display.layout}
         ref={containerRef}
       />
 
@@ -176,6 +212,12 @@ function App() {
 
       <ControlsHint />
 
+      <SearchOverlay
+        isOpen={isSearchOpen}
+        onClose={() => setIsSearchOpen(false)}
+        apiUrl={config.apiUrl || window.location.origin}
+      />
+
       <div className="feed-footer">
         <span id="debugInfo">
           {config?.showDebugFooter ? (
@@ -189,12 +231,13 @@ function App() {
         </span>
         <ThemeSelector
           currentTheme={theme}
-          onThemeChange={setTheme}
+          onThemeChange={changeTheme}
         />
       </div>
       
       <DebugMenu
         config={config}
+        display={display}
         feedItems={feedItems}
         spotlightIndex={spotlightIndex}
         isSpotlighting={isSpotlighting}
@@ -206,10 +249,12 @@ function App() {
         scrollSpeed={scrollSpeed}
         continuousScroll={continuousScroll}
         isAutoScrolling={isAutoScrolling}
+        spotlightMode={spotlightMode}
         setAutoFocus={setAutoFocus}
         setAutoScroll={setAutoScroll}
         setScrollSpeed={setScrollSpeed}
         setContinuousScroll={setContinuousScroll}
+        setSpotlightMode={setSpotlightMode}
       />
     </div>
   );
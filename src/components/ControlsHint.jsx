@@ -3,7 +3,7 @@ import React from 'react';
 export function ControlsHint() {
   return (
     <div className="controls-hint">
-      <kbd>SPACE</kbd> Pause/Resume | <kbd>←</kbd><kbd>→</kbd> Navigate | <kbd>R</kbd> Refresh
+      <kbd>SPACE</kbd> Pause/Resume | <kbd>←</kbd><kbd>→</kbd> Navigate | <kbd>R</kbd> Refresh | <kbd>/</kbd> Search
     </div>
   );
 }
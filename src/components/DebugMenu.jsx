@@ -1,8 +1,36 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { getFeedHealth } from '@shared/api/client.js';
 import { getFallbackStats, resetFallbackStats } from '../utils/imageFallback';
+import { formatTimestamp } from '../utils/feedUtils';
+import { hasStoredApiKey, saveApiKey } from '../utils/credentials';
 
-export function DebugMenu({ config, feedItems, spotlightIndex, isSpotlighting, isPaused, loadedFeedsCount, connectionStatus, autoFocus, autoScroll, scrollSpeed, continuousScroll, isAutoScrolling, setAutoFocus, setAutoScroll, setScrollSpeed, setContinuousScroll }) {
+export function DebugMenu({ config, display, feedItems, spotlightIndex, isSpotlighting, isPaused, loadedFeedsCount, connectionStatus, autoFocus, autoScroll, scrollSpeed, continuousScroll, isAutoScrolling, spotlightMode, setAutoFocus, setAutoScroll, setScrollSpeed, setContinuousScroll, setSpotlightMode }) {
   const [isOpen, setIsOpen] = useState(false);
+  const [feedHealth, setFeedHealth] = useState(null);
+  const [feedHealthError, setFeedHealthError] = useState(null);
+  const [apiKeyInput, setApiKeyInput] = useState('');
+
+  const isBackend = connectionStatus?.source === 'backend';
+
+  // Fetch feed health each time the menu opens (backend only)
+  useEffect(() => {
+    if (!isOpen || !isBackend) return;
+
+    let cancelled = false;
+    getFeedHealth(connectionStatus.backendUrl)
+      .then(data => {
+        if (cancelled) return;
+        setFeedHealth(data);
+        setFeedHealthError(null);
+      })
+      .catch(err => {
+        if (!cancelled) setFeedHealthError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, isBackend, connectionStatus?.backendUrl]);
 
   const totalFeeds = config?.feeds?.length || 0;
   const totalItems = feedItems?.length || 0;
@@ -14,8 +42,35 @@ export function DebugMenu({ config, feedItems, spotlightIndex, isSpotlighting, i
     return new Date(date).toLocaleTimeString();
   };
 
+  // One-line health summary for a feed
+  const formatHealth = (health) => {
+    if (!health) return '⚪ Not fetched yet';
+    const icon = health.stale ? '⚠️' : health.consecutiveFailures > 0 ? '❌' : '✅';
+    const parts = [`${Math.round(health.successRate * 100)}% ok`];
+    if (health.consecutiveFailures > 0) parts.push(`${health.consecutiveFailures} failed`);
+    if (health.meanLatencyMs !== null) parts.push(`${(health.meanLatencyMs / 1000).toFixed(1)}s`);
+    parts.push(health.newestArticle ? `newest ${formatTimestamp(new Date(health.newestArticle))}` : 'no articles');
+    return `${icon} ${parts.join(' · ')}`;
+  };
+
   const fallbackStats = getFallbackStats();
 
+  // Reload so the feed and live stream reconnect with the new key
+  const applyApiKey = (apiKey) => {
+    saveApiKey(apiKey.trim());
+    window.location.reload();
+  };
+
+  const buttonStyle = {
+    padding: '2px 8px',
+    fontSize: '11px',
+    backgroundColor: '#666',
+    color: 'white',
+    border: 'none',
+    borderRadius: '3px',
+    cursor: 'pointer'
+  };
+
   // Get source label
   const getSourceLabel = (source) => {
     switch (source) {
@@ -26,6 +81,8 @@ export function DebugMenu({ config, feedItems, spotlightIndex, isSpotlighting, i
     }
   };
   
+  const layout = display?.layout;
+
   // Calculate stats
   const stats = {
     version,
@@ -70,6 +127,28 @@ export function DebugMenu({ config, feedItems, spotlightIndex, isSpotlighting, i
                   <span className="debug-label">Version:</span>
                   <span className="debug-value">{stats.version}</span>
                 </div>
+                {display?.profile && (
+                  <div className="debug-row">
+                    <span className="debug-label">Profile:</span>
+                    <span className="debug-value">{display.profile}</span>
+                  </div>
+                )}
+                {display?.unknownProfile && (
+                  <div className="debug-row">
+                    <span className="debug-label">Profile:</span>
+                    <span className="debug-value">"{display.unknownProfile}" not found, using defaults</span>
+                  </div>
+                )}
+                {layout && (
+                  <div className="debug-row">
+                    <span className="debug-label">Layout:</span>
+                    <span className="debug-value">
+                      {layout.mode === 'grid' ? `grid (${layout.columns} columns)` : layout.mode}
+                      {layout.screens > 1 ? ` · screen ${layout.screen}/${layout.screens}` : ''}
+                      {layout.sources ? ` · ${layout.sources.join(', ')}` : ''}
+                    </span>
+                  </div>
+                )}
               </div>
 
               <div className="debug-section">
@@ -88,6 +167,10 @@ export function DebugMenu({ config, feedItems, spotlightIndex, isSpotlighting, i
                   <span className="debug-label">Connected:</span>
                   <span className="debug-value">{connectionStatus?.isConnected ? '✅ Yes' : '❌ No'}</span>
                 </div>
+                <div className="debug-row">
+                  <span className="debug-label">Live Updates:</span>
+                  <span className="debug-value">{connectionStatus?.streaming ? '✅ Streaming' : '⏱️ Polling'}</span>
+                </div>
                 <div className="debug-row">
                   <span className="debug-label">Last Fetch:</span>
                   <span className="debug-value">{formatTime(connectionStatus?.lastFetch)}</span>
@@ -96,6 +179,12 @@ export function DebugMenu({ config, feedItems, spotlightIndex, isSpotlighting, i
                   <span className="debug-label">Data Updated:</span>
                   <span className="debug-value">{formatTime(connectionStatus?.lastUpdated)}</span>
                 </div>
+                {connectionStatus?.staleSince && (
+                  <div className="debug-row">
+                    <span className="debug-label">Offline Cache:</span>
+                    <span className="debug-value">⚠️ Stale since {formatTime(connectionStatus.staleSince)}</span>
+                  </div>
+                )}
               </div>
 
               <div className="debug-section">
@@ -114,6 +203,49 @@ export function DebugMenu({ config, feedItems, spotlightIndex, isSpotlighting, i
                 </div>
               </div>
 
+              <div className="debug-section">
+                <h4>Feed Health</h4>
+                {!isBackend ? (
+                  <div className="debug-row">
+                    <span className="debug-label">Status:</span>
+                    <span className="debug-value">Backend only</span>
+                  </div>
+                ) : feedHealthError ? (
+                  <div className="debug-row">
+                    <span className="debug-label">Status:</span>
+                    <span className="debug-value">❌ {feedHealthError}</span>
+                  </div>
+                ) : !feedHealth ? (
+                  <div className="debug-row">
+                    <span className="debug-label">Status:</span>
+                    <span className="debug-value">⏳ Loading...</span>
+                  </div>
+                ) : (
+                  <>
+                    <div className="debug-row">
+                      <span className="debug-label">Stale Feeds:</span>
+                      <span className="debug-value" style={{ color: feedHealth.stale > 0 ? '#ff6b6b' : '#51cf66' }}>
+                        {feedHealth.stale} (after {feedHealth.staleAfterDays} days)
+                      </span>
+                    </div>
+                    {Object.entries(feedHealth.feeds).map(([name, health]) => (
+                      <div className="debug-row" key={name} title={health?.lastError || ''}>
+                        <span className="debug-label">{name}:</span>
+                        <span className="debug-value" style={{ fontSize: '11px', textAlign: 'right' }}>
+                          {formatHealth(health)}
+                          {health?.stale && (
+                            <>
+                              <br />
+                              <span style={{ color: '#ff6b6b' }}>{health.staleReason}</span>
+                            </>
+                          )}
+                        </span>
+                      </div>
+                    ))}
+                  </>
+                )}
+              </div>
+
               <div className="debug-section">
                 <h4>Spotlight</h4>
                 <div className="debug-row">
@@ -195,6 +327,43 @@ export function DebugMenu({ config, feedItems, spotlightIndex, isSpotlighting, i
                     </select>
                   </span>
                 </div>
+                <div className="debug-row">
+                  <span className="debug-label">Rotation:</span>
+                  <span className="debug-value">
+                    <select
+                      value={spotlightMode}
+                      onChange={(e) => setSpotlightMode(e.target.value)}
+                      style={{ padding: '2px 6px', fontSize: '12px' }}
+                    >
+                      <option value="sequential">Sequential</option>
+                      <option value="priority">Priority</option>
+                    </select>
+                  </span>
+                </div>
+              </div>
+
+              <div className="debug-section">
+                <h4>API Key</h4>
+                <div className="debug-row">
+                  <span className="debug-label">Stored Key:</span>
+                  <span className="debug-value">{hasStoredApiKey() ? 'Yes' : 'No'}</span>
+                </div>
+                <div className="debug-row">
+                  <input
+                    type="password"
+                    value={apiKeyInput}
+                    onChange={(e) => setApiKeyInput(e.target.value)}
+                    placeholder="fvz_..."
+                    autoComplete="off"
+                    style={{ fontSize: '11px', width: '140px' }}
+                  />
+                  <button onClick={() => applyApiKey(apiKeyInput)} disabled={!apiKeyInput.trim()} style={buttonStyle}>
+                    Save
+                  </button>
+                  <button onClick={() => applyApiKey('')} disabled={!hasStoredApiKey()} style={buttonStyle}>
+                    Forget
+                  </button>
+                </div>
               </div>
 
               <div className="debug-section">
@@ -231,18 +400,7 @@ export function DebugMenu({ config, feedItems, spotlightIndex, isSpotlighting, i
                   </div>
                 )}
                 <div className="debug-row">
-                  <button
-                    onClick={() => resetFallbackStats()}
-                    style={{
-                      padding: '2px 8px',
-                      fontSize: '11px',
-                      backgroundColor: '#666',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '3px',
-                      cursor: 'pointer'
-                    }}
-                  >
+                  <button onClick={() => resetFallbackStats()} style={buttonStyle}>
                     Reset Stats
                   </button>
                 </div>
@@ -1,28 +1,73 @@
-import React, { forwardRef } from 'react';
+import React, { forwardRef, useMemo } from 'react';
 import { FeedItem } from './FeedItem';
+import { groupByCluster } from '../utils/feedUtils';
+import { sliceForScreen, buildColumns } from '../utils/layout';
+import { getBackendImageUrl } from '../utils/imageUtils';
 
-export const FeedContainer = forwardRef(function FeedContainer({ items, config, imageFallbacks }, ref) {
-  if (items.length === 0) {
+const DEFAULT_LAYOUT = { mode: 'single', columns: 1, screen: 1, screens: 1, sources: null };
+
+export const FeedContainer = forwardRef(function FeedContainer({ items, config, imageFallbacks, layout = DEFAULT_LAYOUT }, ref) {
+  // One card per story; other sources covering it are shown as badges
+  const cards = useMemo(() => sliceForScreen(groupByCluster(items), layout), [items, layout]);
+  const columns = useMemo(() => buildColumns(cards, layout, config), [cards, layout, config]);
+
+  if (cards.length === 0) {
     return (
       <div className="feed-container" ref={ref}>
         <div className="error">
-          <p>⚠️ No RSS feeds available</p>
+          <p>{items.length === 0 ? '⚠️ No RSS feeds available' : '⚠️ No articles for this screen'}</p>
         </div>
       </div>
     );
   }
 
+  const renderItem = (item) => (
+    <FeedItem
+      key={item.id}
+      item={item}
+      config={config}
+      imageFallbacks={imageFallbacks}
+    />
+  );
+
+  if (layout.mode === 'grid') {
+    return (
+      <div className="feed-container layout-grid" ref={ref} style={{ '--grid-columns': layout.columns }}>
+        {cards.map(renderItem)}
+      </div>
+    );
+  }
+
+  // Split and per-source layouts: each column scrolls on its own
+  if (layout.mode === 'split' || layout.mode === 'sources') {
+    return (
+      <div className={`feed-container layout-columns layout-${layout.mode}`} ref={ref}>
+        {columns.map(column => (
+          <section key={column.key} className={`feed-column feed-column-${layout.mode === 'split' ? column.key : 'source'}`}>
+            <header className="feed-column-header">
+              {column.icon && (
+                <img
+                  src={getBackendImageUrl(column.icon)}
+                  alt=""
+                  className="source-icon"
+                  onError={(e) => { e.target.style.display = 'none'; }}
+                />
+              )}
+              <span className="feed-column-title">{column.title}</span>
+              <span className="feed-column-count">{column.items.length}</span>
+            </header>
+            {column.items.length > 0
+              ? column.items.map(renderItem)
+              : <div className="feed-column-empty">Nothing here right now</div>}
+          </section>
+        ))}
+      </div>
+    );
+  }
+
   return (
     <div className="feed-container" ref={ref}>
-      {items.map((item, index) => (
-        <FeedItem 
-          key={item.id} 
-          item={item} 
-          config={config} 
-          imageFallbacks={imageFallbacks}
-        />
-      ))}
+      {cards.map(renderItem)}
     </div>
   );
 });
-
@@ -1,10 +1,14 @@
-import React, { useState, useEffect } from 'react';
-import { formatTimestamp } from '../utils/feedUtils';
+import React, { useState, useEffect, useMemo } from 'react';
+import { formatTimestamp, getItemSeverity, splitByKeywords } from '../utils/feedUtils';
 import { getBackendImageUrl } from '../utils/imageUtils';
 import { getFallbackImageSync, getFallbackImage } from '../utils/imageFallback';
 
+const MAX_CVE_CHIPS = 6;
+
 export function FeedItem({ item, config, imageFallbacks }) {
   const displayText = item.fullText || item.description || '';
+  const keywords = config?.highlightKeywords;
+  const severity = useMemo(() => getItemSeverity(item, keywords), [item, keywords]);
   const [fallbackImage, setFallbackImage] = useState(null);
   const [imageFailed, setImageFailed] = useState(false);
 
@@ -61,6 +65,75 @@ export function FeedItem({ item, config, imageFallbacks }) {
     </span>
   );
 
+  // Other sources covering the same story (one badge per source)
+  const relatedSources = (item.related || []).filter((related, index, all) =>
+    related.source !== item.source && all.findIndex(other => other.source === related.source) === index
+  );
+
+  const alsoReportedContent = relatedSources.length > 0 && (
+    <div className="item-also-reported">
+      <span className="also-reported-label">Also reported by</span>
+      {relatedSources.map(related => (
+        <a
+          key={related.id}
+          className="also-reported-badge"
+          href={related.link}
+          target="_blank"
+          rel="noopener noreferrer"
+          title={related.title}
+        >
+          <img
+            src={getBackendImageUrl(related.sourceIcon)}
+            alt=""
+            onError={(e) => { e.target.style.display = 'none'; }}
+          />
+          {related.source}
+        </a>
+      ))}
+    </div>
+  );
+
+  // CVE chips coloured by CVSS severity (scores come from the backend's CVE dataset)
+  const cves = (item.cves || []).slice(0, MAX_CVE_CHIPS);
+  const cveContent = cves.length > 0 && (
+    <div className="item-cves">
+      {cves.map(cve => (
+        <a
+          key={cve.id}
+          className={`cve-chip cve-${cve.severity || 'unknown'}`}
+          href={`https://nvd.nist.gov/vuln/detail/${cve.id}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          title={[cve.vendor, cve.product].filter(Boolean).join(' ') || cve.id}
+        >
+          {cve.id}
+          {cve.cvssScore !== null && cve.cvssScore !== undefined && (
+            <span className="cve-score">{cve.cvssScore.toFixed(1)}</span>
+          )}
+        </a>
+      ))}
+      {item.cves.length > MAX_CVE_CHIPS && (
+        <span className="cve-more">+{item.cves.length - MAX_CVE_CHIPS} more</span>
+      )}
+    </div>
+  );
+
+  // Highlight keywords inline; the card's severity drives the badge and border
+  const titleParts = useMemo(() => splitByKeywords(item.title, keywords), [item.title, keywords]);
+  const textParts = useMemo(() => splitByKeywords(displayText, keywords), [displayText, keywords]);
+  const renderHighlighted = (parts) => parts.map((part, index) => (
+    part.match
+      ? <mark key={index} className="keyword-highlight">{part.text}</mark>
+      : <React.Fragment key={index}>{part.text}</React.Fragment>
+  ));
+
+  const severityReason = (item.alerts || []).map(alert => alert.rule).join(', ');
+  const severityBadge = severity && (
+    <span className={`severity-badge severity-${severity}`} title={severityReason || undefined}>
+      {severity}
+    </span>
+  );
+
   const timeContent = (
     <span className="item-timestamp">{formatTimestamp(item.pubDate)}</span>
   );
@@ -94,7 +167,13 @@ export function FeedItem({ item, config, imageFallbacks }) {
   const fallbackDisplay = (item.image && !imageFailed) ? 'none' : 'flex';
 
   return (
-    <div className="feed-item">
+    <div
+      className={`feed-item${severity ? ` severity-${severity}` : ''}${severity === 'critical' ? ' critical' : ''}`}
+      data-item-id={item.id}
+      data-severity={severity || undefined}
+      data-published={new Date(item.pubDate).getTime() || undefined}
+      data-length={displayText.length}
+    >
       <div className="item-header">
         <div className="item-media">
           <div className="item-image">
@@ -158,13 +237,16 @@ export function FeedItem({ item, config, imageFallbacks }) {
         <div className="item-content">
           <h3 className="item-title">
             <a href={item.link} target="_blank" rel="noopener noreferrer">
-              {item.title}
+              {renderHighlighted(titleParts)}
             </a>
           </h3>
           <div className="item-source-line">
             {sourceContent}
+            {severityBadge}
           </div>
-          <div className="item-full-text">{displayText}</div>
+          {alsoReportedContent}
+          {cveContent}
+          <div className="item-full-text">{renderHighlighted(textParts)}</div>
           <div className="item-meta item-meta-inline">
             {timeContent}
           </div>
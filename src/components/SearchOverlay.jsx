@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { searchArticles } from '@shared/api/client.js';
+
+const SEARCH_DEBOUNCE = 250;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGES = [
+  { key: '1d', label: '24h', days: 1 },
+  { key: '7d', label: '7 days', days: 7 },
+  { key: '30d', label: '30 days', days: 30 },
+  { key: 'all', label: 'All', days: null }
+];
+
+export function SearchOverlay({ isOpen, onClose, apiUrl }) {
+  const [query, setQuery] = useState('');
+  const [range, setRange] = useState('7d');
+  const [source, setSource] = useState(null);
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      inputRef.current?.focus();
+    }
+  }, [isOpen]);
+
+  // Debounced search on every query/filter change
+  useEffect(() => {
+    if (!isOpen) return;
+    if (!query.trim()) {
+      setResults(null);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const days = RANGES.find(r => r.key === range)?.days;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const data = await searchArticles({
+          q: query,
+          source: source || undefined,
+          since: days ? new Date(Date.now() - days * DAY_MS) : undefined,
+          limit: 50
+        }, apiUrl);
+        if (!cancelled) {
+          setResults(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isOpen, query, range, source, apiUrl]);
+
+  if (!isOpen) return null;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  const sourceFacets = Object.entries(results?.facets?.sources || {}).sort((a, b) => b[1] - a[1]);
+  const dayFacets = Object.entries(results?.facets?.days || {}).sort((a, b) => a[0].localeCompare(b[0]));
+  const maxDayCount = Math.max(1, ...dayFacets.map(([, count]) => count));
+
+  return (
+    <>
+      <div className="search-overlay-backdrop" onClick={onClose}></div>
+      <div className="search-overlay" onKeyDown={handleKeyDown} role="dialog" aria-label="Search articles">
+        <div className="search-header">
+          <input
+            ref={inputRef}
+            className="search-input"
+            type="search"
+            placeholder='Search articles... e.g. citrix "remote code execution" ransom*'
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <button className="search-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <div className="search-filters">
+          {RANGES.map(r => (
+            <button
+              key={r.key}
+              className={`search-filter${range === r.key ? ' active' : ''}`}
+              onClick={() => setRange(r.key)}
+            >
+              {r.label}
+            </button>
+          ))}
+          {source && (
+            <button className="search-filter active" onClick={() => setSource(null)}>
+              {source} ×
+            </button>
+          )}
+        </div>
+
+        {sourceFacets.length > 0 && (
+          <div className="search-facets">
+            {sourceFacets.map(([name, count]) => (
+              <button
+                key={name}
+                className={`search-facet${source === name ? ' active' : ''}`}
+                onClick={() => setSource(source === name ? null : name)}
+              >
+                {name} <span className="search-facet-count">{count}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {dayFacets.length > 1 && (
+          <div className="search-days" aria-label="Matches per day">
+            {dayFacets.map(([day, count]) => (
+              <div
+                key={day}
+                className="search-day-bar"
+                style={{ height: `${Math.round((count / maxDayCount) * 100)}%` }}
+                title={`${day}: ${count}`}
+              ></div>
+            ))}
+          </div>
+        )}
+
+        <div className="search-results">
+          {error && <div className="search-message">⚠️ {error}</div>}
+          {!error && searching && !results && <div className="search-message">Searching...</div>}
+          {!error && results && results.total === 0 && (
+            <div className="search-message">No articles match "{query}"</div>
+          )}
+          {!error && results && results.total > 0 && (
+            <div className="search-message">
+              {results.total} article{results.total === 1 ? '' : 's'}
+              {results.total > results.items.length ? ` (showing ${results.items.length})` : ''}
+            </div>
+          )}
+          {results?.items.map(result => (
+            <a
+              key={result.id}
+              className="search-result"
+              href={result.link}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              <div className="search-result-title">{result.title}</div>
+              <div className="search-result-meta">
+                {result.sourceIcon && <img src={result.sourceIcon} alt="" />}
+                {result.source} · {new Date(result.pubDate).toLocaleString()}
+              </div>
+              {result.snippet && <div className="search-result-snippet">{result.snippet}</div>}
+            </a>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+}
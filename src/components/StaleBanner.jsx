@@ -0,0 +1,29 @@
+import React, { useState, useEffect } from 'react';
+import { formatTimestamp } from '../utils/feedUtils';
+
+const TICK_INTERVAL = 30000;
+
+export function StaleBanner({ staleSince }) {
+  // Re-render periodically so the age stays current
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (!staleSince) return;
+    const interval = setInterval(() => setTick(tick => tick + 1), TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [staleSince]);
+
+  if (!staleSince) return null;
+
+  const isToday = staleSince.toDateString() === new Date().toDateString();
+  const since = isToday ? staleSince.toLocaleTimeString() : staleSince.toLocaleString();
+
+  return (
+    <div className="stale-banner" role="status">
+      <span className="stale-banner-icon">⚠️</span>
+      <span>
+        <strong>Stale since {since}</strong> ({formatTimestamp(staleSince)}) - backend unreachable, showing cached feeds. Reconnecting automatically...
+      </span>
+    </div>
+  );
+}
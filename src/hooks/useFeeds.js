@@ -1,9 +1,12 @@
 import { useState, useEffect, useCallback } from 'react';
-import { getFeeds as apiGetFeeds } from '@shared/api/client.js';
+import { getFeeds as apiGetFeeds, getStatus as apiGetStatus, openEventStream } from '@shared/api/client.js';
+import { parseRSSItems } from '../utils/feedUtils';
 
 const FETCH_TIMEOUT = 15000;
 const MAX_RETRIES = 1;
 const RETRY_DELAY = 2000;
+const STALE_RETRY_INTERVAL = 30000; // How often to look for the backend while showing the offline cache
+const STREAM_RETRY_INTERVAL = 5000; // Delay before reopening a live stream the browser gave up on
 
 export function useFeeds(config) {
   const [feedItems, setFeedItems] = useState([]);
@@ -17,7 +20,9 @@ export function useFeeds(config) {
     backendUrl: null,
     lastFetch: null,
     lastUpdated: null,
-    isConnected: false
+    isConnected: false,
+    streaming: false,
+    staleSince: null  // Set while showing the service worker's cached feeds
   });
 
   // Get the API URL from config, default to same origin
@@ -61,9 +66,8 @@ export function useFeeds(config) {
         throw new Error('Invalid XML response');
       }
 
-      // Import parseRSSItems dynamically to avoid circular dependencies
-      const { parseRSSItems } = await import('../utils/feedUtils');
-      const items = parseRSSItems(xmlDoc, feedName, feedIcon, config?.maxItemsPerFeed || 5);
+      const feedMaxItems = config?.feeds?.find(feed => feed.name === feedName)?.maxItems;
+      const items = parseRSSItems(xmlDoc, feedName, feedIcon, feedMaxItems || config?.maxItemsPerFeed || 5);
       
       return items;
     } catch (error) {
@@ -124,14 +128,22 @@ export function useFeeds(config) {
       addFeedLogEntry(`Backend cache: ${items.length} total items`, 'info');
       addFeedLogEntry(`Last updated: ${new Date(data.lastUpdated).toLocaleString()}`, 'info');
 
+      // The service worker answers from its cache when the backend is unreachable
+      const staleSince = data.stale ? new Date(data.cachedAt || data.lastUpdated) : null;
+      if (staleSince) {
+        addFeedLogEntry(`Backend unreachable, showing feeds cached at ${staleSince.toLocaleString()}`, 'error');
+      }
+
       setFeedItems(items);
-      setConnectionStatus({
+      setConnectionStatus(prev => ({
         source: 'backend',
         backendUrl: apiUrl,
-        lastFetch: new Date(),
+        lastFetch: staleSince ? prev.lastFetch : new Date(),
         lastUpdated: new Date(data.lastUpdated),
-        isConnected: true
-      });
+        isConnected: !staleSince,
+        streaming: prev.streaming,
+        staleSince
+      }));
       setLoading(false);
       return true;
     } catch (error) {
@@ -155,7 +167,8 @@ export function useFeeds(config) {
     setError(null);
 
     const allItems = [];
-    const feedPromises = config.feeds.map(async (feed) => {
+    const enabledFeeds = config.feeds.filter(feed => feed.enabled !== false);
+    const feedPromises = enabledFeeds.map(async (feed) => {
       try {
         addFeedLogEntry(`Fetching ${feed.name}...`, 'info');
         const items = await fetchRSSFeed(feed.url, feed.name, feed.icon);
@@ -177,7 +190,9 @@ export function useFeeds(config) {
       backendUrl: 'N/A (direct fetch)',
       lastFetch: new Date(),
       lastUpdated: new Date(),
-      isConnected: successfulFeeds > 0
+      isConnected: successfulFeeds > 0,
+      streaming: false,
+      staleSince: null
     });
     setLoading(false);
   }, [config, fetchRSSFeed, addFeedLogEntry, clearFeedLog]);
@@ -195,9 +210,159 @@ export function useFeeds(config) {
     }
   }, [config]);
 
-  // Auto-refresh
+  // Live updates from the backend event stream
+  const isBackend = connectionStatus.source === 'backend';
+  const backendUrl = connectionStatus.backendUrl;
+
+  useEffect(() => {
+    if (!isBackend || typeof EventSource === 'undefined') return;
+
+    let currentStream = null;
+    let reconnectTimer = null;
+    let cancelled = false;
+    let wasDropped = false;
+
+    const setStreaming = (streaming) => {
+      setConnectionStatus(prev => ({ ...prev, streaming }));
+    };
+
+    const parse = (event) => {
+      try {
+        return JSON.parse(event.data);
+      } catch {
+        return null;
+      }
+    };
+
+    const markDropped = () => {
+      // Polling covers the gap meanwhile
+      if (!wasDropped) {
+        wasDropped = true;
+        addFeedLogEntry('Live updates disconnected, polling instead', 'error');
+        // If the backend itself is gone, what's on screen is now stale
+        apiGetStatus(backendUrl).catch(() => {
+          setConnectionStatus(prev => ({
+            ...prev,
+            isConnected: false,
+            staleSince: prev.staleSince || prev.lastFetch
+          }));
+        });
+      }
+      setStreaming(false);
+    };
+
+    const scheduleReconnect = () => {
+      if (!cancelled) reconnectTimer = setTimeout(connect, STREAM_RETRY_INTERVAL);
+    };
+
+    const attachHandlers = (stream) => {
+      stream.onopen = () => {
+        setStreaming(true);
+        // Catch up on anything missed while disconnected
+        if (wasDropped) {
+          wasDropped = false;
+          addFeedLogEntry('Live updates reconnected', 'success');
+          loadFeedsFromBackend();
+        }
+      };
+
+      stream.onerror = () => {
+        markDropped();
+        // The browser retries on its own unless the stream was refused (e.g. a used-up
+        // stream token); then open a new one
+        if (stream.readyState === EventSource.CLOSED) scheduleReconnect();
+      };
+
+      stream.addEventListener('refresh-start', (event) => {
+        const data = parse(event);
+        if (data) addFeedLogEntry(`Backend refreshing ${data.feeds.length} feeds...`, 'info');
+      });
+
+      stream.addEventListener('feed-status', (event) => {
+        const data = parse(event);
+        if (!data) return;
+        const { name, status, completed, total } = data;
+        addFeedLogEntry(
+          status.success
+            ? `${name}: ${status.itemCount} items${status.notModified ? ' (not modified)' : ''} [${completed}/${total}]`
+            : `${name}: ${status.error || 'Failed'} [${completed}/${total}]`,
+          status.success ? 'success' : 'error'
+        );
+      });
+
+      stream.addEventListener('items', (event) => {
+        const data = parse(event);
+        if (!data) return;
+
+        const replaced = new Set([...data.removed, ...data.items.map(item => item.id)]);
+        const incoming = data.items.map(item => ({ ...item, pubDate: new Date(item.pubDate) }));
+
+        setFeedItems(prev => [...prev.filter(item => !replaced.has(item.id)), ...incoming]
+          .sort((a, b) => b.pubDate - a.pubDate));
+        setConnectionStatus(prev => ({
+          ...prev,
+          lastFetch: new Date(),
+          lastUpdated: new Date(data.lastUpdated)
+        }));
+        if (data.added > 0) {
+          addFeedLogEntry(`${data.added} new item${data.added === 1 ? '' : 's'} pushed`, 'success');
+        }
+      });
+
+      stream.addEventListener('cache-cleared', () => {
+        // Keep showing current items; the next refresh pushes fresh ones
+        addFeedLogEntry('Backend cache cleared', 'info');
+      });
+    };
+
+    const connect = () => {
+      openEventStream(backendUrl).then(opened => {
+        if (cancelled) {
+          opened.close();
+          return;
+        }
+        currentStream = opened;
+        attachHandlers(opened);
+      }).catch(() => {
+        markDropped();
+        scheduleReconnect();
+      });
+    };
+
+    connect();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(reconnectTimer);
+      currentStream?.close();
+      setStreaming(false);
+    };
+  }, [isBackend, backendUrl]);
+
+  // While showing the offline cache, check for the backend and resync as soon as it answers
+  const isStale = Boolean(connectionStatus.staleSince);
+
+  useEffect(() => {
+    if (!isStale) return;
+
+    const resync = () => {
+      apiGetStatus(getApiUrl())
+        .then(() => loadFeedsFromBackend())
+        .catch(() => {});
+    };
+
+    const interval = setInterval(resync, STALE_RETRY_INTERVAL);
+    window.addEventListener('online', resync);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('online', resync);
+    };
+  }, [isStale, getApiUrl, loadFeedsFromBackend]);
+
+  // Auto-refresh by polling, only while the live stream is unavailable
   useEffect(() => {
-    if (!config?.refreshInterval) return;
+    if (!config?.refreshInterval || connectionStatus.streaming) return;
 
     const interval = setInterval(() => {
       console.log('Refreshing feeds...');
@@ -205,7 +370,7 @@ export function useFeeds(config) {
     }, config.refreshInterval);
 
     return () => clearInterval(interval);
-  }, [config, loadFeeds]);
+  }, [config, loadFeeds, connectionStatus.streaming]);
 
   return {
     feedItems,
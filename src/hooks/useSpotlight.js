@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { animateExpansion, animateShrink } from '../utils/animations';
 import { scrollToElement, scrollToNext, createAutoScroll, cleanupScrollTriggers } from '../utils/gsapScroll';
+import { pickNextIndex, recordShown, getDwellTime } from '../utils/spotlightScheduler';
 
 const SPOTLIGHT_ANIMATION_DELAY = 300;
 const SPOTLIGHT_DURATION = 6000;
@@ -9,6 +10,13 @@ const DIMMING_DELAY = 150;
 const SCROLL_DURATION = 600; // How long to wait for scroll to complete
 const SMOOTH_SCROLL_DURATION = 2000; // Duration of smooth scroll animation
 
+/**
+ * Element that scrolls a card: its layout column, or the feed container
+ */
+function getScrollContainer(element, containerRef) {
+  return element?.closest('.feed-column') || containerRef.current;
+}
+
 export function useSpotlight(items, containerRef) {
   const [spotlightIndex, setSpotlightIndex] = useState(0);
   const [isSpotlighting, setIsSpotlighting] = useState(false);
@@ -18,6 +26,7 @@ export function useSpotlight(items, containerRef) {
   const [scrollSpeed, setScrollSpeed] = useState(6000); // milliseconds between articles
   const [continuousScroll, setContinuousScroll] = useState(true); // false = one at a time, true = continuous
   const [isAutoScrolling, setIsAutoScrolling] = useState(false);
+  const [spotlightMode, setSpotlightMode] = useState('sequential'); // 'sequential' or 'priority' (see spotlightScheduler)
 
   const spotlightRunIdRef = useRef(0);
   const spotlightIndexRef = useRef(0); // Use ref to avoid closure issues
@@ -26,6 +35,8 @@ export function useSpotlight(items, containerRef) {
   const autoScrollRef = useRef(true); // Use ref to avoid stale closure issues
   const scrollSpeedRef = useRef(6000); // Use ref to avoid stale closure issues
   const continuousScrollRef = useRef(true); // Use ref to avoid stale closure issues
+  const spotlightModeRef = useRef('sequential'); // Use ref to avoid stale closure issues
+  const shownHistoryRef = useRef(new Map()); // When each card was last shown (priority mode)
   const scrollAnimationRef = useRef(null); // Track ongoing scroll animation
   const gsapAutoScrollRef = useRef(null); // Track GSAP auto-scroll controller
   const timersRef = useRef({
@@ -64,6 +75,18 @@ export function useSpotlight(items, containerRef) {
     scrollSpeedRef.current = scrollSpeed;
   }, [scrollSpeed]);
 
+  useEffect(() => {
+    spotlightModeRef.current = spotlightMode;
+  }, [spotlightMode]);
+
+  // Index of the card to show after currentIndex, according to the spotlight mode
+  const getNextIndex = useCallback((elements, currentIndex) => {
+    if (spotlightModeRef.current !== 'priority') {
+      return (currentIndex + 1) % elements.length;
+    }
+    return pickNextIndex(elements, currentIndex, shownHistoryRef.current);
+  }, []);
+
   const clearTimers = useCallback(() => {
     Object.values(timersRef.current).forEach(timer => {
       if (timer) clearTimeout(timer);
@@ -133,8 +156,9 @@ export function useSpotlight(items, containerRef) {
       }
 
       const currentIndex = ((spotlightIndexRef.current % items.length) + items.length) % items.length;
-      const nextIndex = (currentIndex + 1) % items.length;
+      const nextIndex = getNextIndex(items, currentIndex);
       const nextItem = items[nextIndex];
+      recordShown(shownHistoryRef.current, nextItem);
       
       console.log(`[Spotlight] Auto-scrolling to item ${nextIndex + 1}/${items.length} (from ${currentIndex + 1}) - Mode: ${continuousScrollRef.current ? 'Continuous' : 'One-at-a-time'}`);
       console.log(`[Spotlight] Loop check: nextIndex=${nextIndex}, currentIndex=${currentIndex}, items.length=${items.length}`);
@@ -145,15 +169,17 @@ export function useSpotlight(items, containerRef) {
         : SMOOTH_SCROLL_DURATION / 1000; // Normal scroll with pause
       
       // Calculate pause time based on mode and scroll speed
-      const pauseTime = continuousScrollRef.current 
+      const basePauseTime = continuousScrollRef.current 
         ? Math.max(1000, scrollSpeedRef.current / 2) // Continuous: half of scroll speed, min 1s
         : scrollSpeedRef.current; // One-at-a-time: full scroll speed
+      const pauseTime = getDwellTime(nextItem, basePauseTime, spotlightModeRef.current);
       
       console.log(`[Spotlight] Timing: scrollDuration=${scrollDuration}s, pauseTime=${pauseTime}ms, scrollSpeed=${scrollSpeedRef.current}ms (${continuousScrollRef.current ? 'Continuous' : 'One-at-a-time'} mode)`);
       
       // Set auto-scrolling state to active and mark scroll in progress
       setIsAutoScrolling(true);
       scrollAnimationRef.current = true;
+      const container = getScrollContainer(nextItem, containerRef);
       
       // If we're going back to the top, handle the loop
       if (nextIndex === 0 && currentIndex === items.length - 1) {
@@ -204,7 +230,6 @@ export function useSpotlight(items, containerRef) {
       }
       
       // Use GSAP for smooth scrolling
-      const container = containerRef.current;
       scrollToElement(nextItem, container, {
         duration: scrollDuration,
         ease: 'power2.inOut',
@@ -273,7 +298,7 @@ export function useSpotlight(items, containerRef) {
     const scrollToItem = () => {
       if (!autoScrollRef.current) return Promise.resolve();
       
-      const container = containerRef.current;
+      const container = getScrollContainer(currentItem, containerRef);
       console.log('[Spotlight] GSAP scrolling to spotlight item');
       
       return scrollToElement(currentItem, container, {
@@ -325,6 +350,7 @@ export function useSpotlight(items, containerRef) {
               // Expand animation
               animationsRef.current.expand = animateExpansion(currentItem);
               currentItem.classList.add('spotlight');
+              recordShown(shownHistoryRef.current, currentItem);
               setIsSpotlighting(true);
             });
           }, SPOTLIGHT_ANIMATION_DELAY);
@@ -343,7 +369,7 @@ export function useSpotlight(items, containerRef) {
                   item.classList.remove('dimmed', 'push-up-1', 'push-up-2', 'push-up-3', 'push-down-1', 'push-down-2', 'push-down-3');
                 });
                 setIsSpotlighting(false);
-                const nextIndex = (currentIndex + 1) % items.length;
+                const nextIndex = getNextIndex(items, currentIndex);
                 spotlightIndexRef.current = nextIndex;
                 setSpotlightIndex(nextIndex);
                 
@@ -396,7 +422,7 @@ export function useSpotlight(items, containerRef) {
                 animationsRef.current.shrink = null;
                 
                 // Move to next item
-                const nextIndex = (currentIndex + 1) % freshItems.length;
+                const nextIndex = getNextIndex(freshItems, currentIndex);
                 spotlightIndexRef.current = nextIndex;
                 setSpotlightIndex(nextIndex);
                 
@@ -415,7 +441,7 @@ export function useSpotlight(items, containerRef) {
                 animationsRef.current.shrink = null;
               };
             });
-          }, scrollSpeedRef.current);
+          }, getDwellTime(currentItem, scrollSpeedRef.current, spotlightModeRef.current));
         });
       });
     } else {
@@ -442,6 +468,7 @@ export function useSpotlight(items, containerRef) {
             // Expand animation
             animationsRef.current.expand = animateExpansion(currentItem);
             currentItem.classList.add('spotlight');
+            recordShown(shownHistoryRef.current, currentItem);
             setIsSpotlighting(true);
           });
         }, SPOTLIGHT_ANIMATION_DELAY);
@@ -460,7 +487,7 @@ export function useSpotlight(items, containerRef) {
                 item.classList.remove('dimmed', 'push-up-1', 'push-up-2', 'push-up-3', 'push-down-1', 'push-down-2', 'push-down-3');
               });
               setIsSpotlighting(false);
-              const nextIndex = (currentIndex + 1) % items.length;
+              const nextIndex = getNextIndex(items, currentIndex);
               spotlightIndexRef.current = nextIndex;
               setSpotlightIndex(nextIndex);
               
@@ -513,7 +540,7 @@ export function useSpotlight(items, containerRef) {
               animationsRef.current.shrink = null;
               
               // Move to next item
-              const nextIndex = (currentIndex + 1) % freshItems.length;
+              const nextIndex = getNextIndex(freshItems, currentIndex);
               spotlightIndexRef.current = nextIndex;
               setSpotlightIndex(nextIndex);
               
@@ -532,10 +559,10 @@ export function useSpotlight(items, containerRef) {
               animationsRef.current.shrink = null;
             };
           });
-        }, scrollSpeedRef.current);
+        }, getDwellTime(currentItem, scrollSpeedRef.current, spotlightModeRef.current));
       });
     }
-  }, [containerRef, clearTimers]); // Using refs for isPaused and spotlightIndex to avoid stale closures
+  }, [containerRef, clearTimers, getNextIndex]); // Using refs for isPaused and spotlightIndex to avoid stale closures
 
   const pauseSpotlight = useCallback(() => {
     clearTimers();
@@ -676,10 +703,12 @@ export function useSpotlight(items, containerRef) {
     scrollSpeed,
     continuousScroll,
     isAutoScrolling,
+    spotlightMode,
     setAutoFocus,
     setAutoScroll,
     setScrollSpeed,
     setContinuousScroll,
+    setSpotlightMode,
     pauseSpotlight,
     resumeSpotlight,
     navigateToItem,
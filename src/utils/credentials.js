@@ -0,0 +1,32 @@
+/**
+ * Screen credentials
+ * When the backend requires credentials (auth.anonymousRole "none"), give a
+ * screen an API key in the debug menu. It is kept in localStorage and never put
+ * in a URL, where it would end up in logs and browser history.
+ */
+
+import { setCredentials } from '@shared/api/client.js';
+
+const STORAGE_KEY = 'feedvizApiKey';
+
+export function loadCredentials() {
+  const storedKey = localStorage.getItem(STORAGE_KEY);
+  setCredentials(storedKey ? { apiKey: storedKey } : null);
+}
+
+export function hasStoredApiKey() {
+  return Boolean(localStorage.getItem(STORAGE_KEY));
+}
+
+/**
+ * Store an API key for this screen, or forget it with an empty key
+ * @param {string} apiKey
+ */
+export function saveApiKey(apiKey) {
+  if (apiKey) {
+    localStorage.setItem(STORAGE_KEY, apiKey);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  loadCredentials();
+}
@@ -0,0 +1,69 @@
+/**
+ * Display profiles
+ * Lets one deployment drive several kiosk screens. A screen picks a named profile
+ * from config.json's displayProfiles with ?profile=wall-left, and any setting can
+ * also be given (or overridden) as its own query parameter:
+ *   ?profile=wall-left&theme=black&fontScale=1.25
+ */
+
+import { normalizeLayout } from './layout';
+import { SPOTLIGHT_MODES } from './spotlightScheduler';
+
+export const THEMES = ['blue', 'crimson', 'black'];
+const MIN_SCROLL_SPEED = 1000;
+const MIN_FONT_SCALE = 0.5;
+const MAX_FONT_SCALE = 3;
+
+// Settings a profile or query parameter can set
+const PROFILE_KEYS = [
+  'theme', 'sources', 'scrollSpeed', 'autoFocus', 'autoScroll', 'continuousScroll',
+  'spotlightMode', 'layout', 'columns', 'screen', 'screens', 'fontScale'
+];
+
+/**
+ * Boolean from a profile value or query string ('true'/'false', '1'/'0', 'on'/'off')
+ */
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (['true', '1', 'on', 'yes'].includes(String(value).toLowerCase())) return true;
+  if (['false', '0', 'off', 'no'].includes(String(value).toLowerCase())) return false;
+  return undefined;
+}
+
+/**
+ * Resolve this screen's display settings
+ * Query parameters win over the profile. Unset or invalid settings are left
+ * undefined so the app keeps its defaults (and the saved theme). An unknown
+ * profile name is reported as unknownProfile (shown in the debug menu).
+ * @param {Object} config - App config (displayProfiles)
+ * @param {string} search - window.location.search
+ * @returns {{profile: string|null, unknownProfile: string|null, theme?: string, scrollSpeed?: number, autoFocus?: boolean,
+ *   autoScroll?: boolean, continuousScroll?: boolean, spotlightMode?: string, fontScale?: number,
+ *   layout: Object}}
+ */
+export function resolveDisplaySettings(config, search = '') {
+  const params = new URLSearchParams(search);
+  const profileName = params.get('profile');
+  const profile = profileName ? config?.displayProfiles?.[profileName] : null;
+
+  const values = { ...profile };
+  PROFILE_KEYS.forEach(key => {
+    if (params.has(key)) values[key] = params.get(key);
+  });
+
+  const scrollSpeed = parseInt(values.scrollSpeed, 10);
+  const fontScale = parseFloat(values.fontScale);
+
+  return {
+    profile: profile ? profileName : null,
+    unknownProfile: profileName && !profile ? profileName : null,
+    theme: THEMES.includes(values.theme) ? values.theme : undefined,
+    scrollSpeed: scrollSpeed >= MIN_SCROLL_SPEED ? scrollSpeed : undefined,
+    autoFocus: parseBoolean(values.autoFocus),
+    autoScroll: parseBoolean(values.autoScroll),
+    continuousScroll: parseBoolean(values.continuousScroll),
+    spotlightMode: SPOTLIGHT_MODES.includes(values.spotlightMode) ? values.spotlightMode : undefined,
+    fontScale: fontScale >= MIN_FONT_SCALE && fontScale <= MAX_FONT_SCALE ? fontScale : undefined,
+    layout: normalizeLayout(values)
+  };
+}
@@ -2,6 +2,9 @@
  * Utility functions for RSS feed parsing and processing
  */
 
+import { createArticleId } from '@shared/utils/articleId.js';
+import { matchesHighlightKeywords } from '@shared/utils/highlight.js';
+
 /**
  * Get text content from XML node
  */
@@ -146,10 +149,15 @@ export function parseRSSItems(xmlDoc, feedName, feedIcon, maxItems = 5) {
       getNodeText(itemNode, 'summary') ||
       getNodeText(itemNode, 'content') || '';
 
+    const title = getNodeText(itemNode, 'title') || 'No title';
+    const link = getNodeText(itemNode, 'link') || getNodeAttr(itemNode, 'link', 'href') || '#';
+    const guid = getNodeText(itemNode, 'guid') || getNodeText(itemNode, 'id') || null;
+
     const item = {
-      id: `${feedName}-${index}-${Date.now()}`,
-      title: getNodeText(itemNode, 'title') || 'No title',
-      link: getNodeText(itemNode, 'link') || getNodeAttr(itemNode, 'link', 'href') || '#',
+      id: createArticleId(feedName, { guid, link, title }),
+      guid,
+      title,
+      link,
       pubDate: parseDate(itemNode),
       source: feedName,
       sourceIcon: feedIcon,
@@ -195,8 +203,78 @@ export function escapeHtml(text) {
  * Check if item is critical based on keywords
  */
 export function isCritical(item, keywords = []) {
-  if (!keywords || keywords.length === 0) return false;
-  const text = `${item.title} ${item.description}`.toLowerCase();
-  return keywords.some(keyword => text.includes(keyword.toLowerCase()));
+  return matchesHighlightKeywords(item, keywords);
 }
 
+/**
+ * Split text into plain and keyword-matching parts for inline highlighting
+ * Longer keywords win where keywords overlap; matching ignores case.
+ * @returns {{text: string, match: boolean}[]}
+ */
+export function splitByKeywords(text, keywords = []) {
+  if (!text) return [];
+  const terms = (keywords || []).filter(Boolean);
+  if (terms.length === 0) return [{ text, match: false }];
+
+  const pattern = terms
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+
+  // split() with a capture group puts the matches at odd indices
+  return text
+    .split(new RegExp(`(${pattern})`, 'gi'))
+    .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+    .filter(part => part.text);
+}
+
+export const SEVERITY_LEVELS = ['info', 'low', 'medium', 'high', 'critical'];
+
+/**
+ * Card severity: the most severe of the item's matched alert rules, its CVEs'
+ * CVSS severity, and 'critical' when it matches a highlight keyword
+ * @returns {string|null} One of SEVERITY_LEVELS, or null
+ */
+export function getItemSeverity(item, keywords = []) {
+  const candidates = [
+    ...(item.alerts || []).map(alert => alert.severity),
+    ...(item.cves || []).map(cve => cve.severity),
+    isCritical(item, keywords) ? 'critical' : null
+  ];
+
+  return candidates.reduce((worst, severity) => {
+    const rank = SEVERITY_LEVELS.indexOf(severity);
+    return rank > SEVERITY_LEVELS.indexOf(worst) ? severity : worst;
+  }, null);
+}
+
+
+/**
+ * Collapse items that belong to the same story cluster into one card
+ * The first item of each cluster (newest, given the input order) is kept and
+ * the others are attached to it as `related`
+ */
+export function groupByCluster(items) {
+  const primaries = new Map();
+  const grouped = [];
+
+  items.forEach(item => {
+    if (!item.clusterId) {
+      grouped.push(item);
+      return;
+    }
+
+    const primary = primaries.get(item.clusterId);
+    if (primary) {
+      primary.related.push(item);
+      return;
+    }
+
+    const card = { ...item, related: [] };
+    primaries.set(item.clusterId, card);
+    grouped.push(card);
+  });
+
+  return grouped;
+}
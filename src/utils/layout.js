@@ -0,0 +1,108 @@
+/**
+ * Wall layout
+ * Layout and screen slice for one display, so every browser on a video wall
+ * can show its own part of the feed. Set by a display profile or URL parameters
+ * (see displayProfile.js), e.g.
+ *   ?layout=grid&columns=3
+ *   ?layout=split
+ *   ?layout=sources&sources=CISA,Unit%2042
+ *   ?screen=2&screens=4       (this browser shows slice 2 of 4)
+ */
+
+import { getItemSeverity } from './feedUtils';
+
+export const LAYOUT_MODES = ['single', 'grid', 'split', 'sources'];
+const DEFAULT_GRID_COLUMNS = 2;
+const MAX_GRID_COLUMNS = 6;
+
+/**
+ * Normalize layout settings (strings from the URL or values from a profile)
+ * Invalid values fall back to the single column layout and the whole feed.
+ * @param {Object} settings
+ * @param {string} [settings.layout] - Layout mode
+ * @param {number|string} [settings.columns] - Grid columns
+ * @param {number|string} [settings.screen] - This screen (1-based)
+ * @param {number|string} [settings.screens] - Number of screens sharing the feed
+ * @param {string[]|string} [settings.sources] - Sources to show (array or comma-separated)
+ * @returns {{mode: string, columns: number, screen: number, screens: number, sources: string[]|null}}
+ */
+export function normalizeLayout({ layout, columns, screen, screens, sources } = {}) {
+  const mode = LAYOUT_MODES.includes(layout) ? layout : 'single';
+  const columnCount = Math.min(MAX_GRID_COLUMNS, Math.max(1, parseInt(columns, 10) || DEFAULT_GRID_COLUMNS));
+
+  let screenCount = parseInt(screens, 10) || 1;
+  let screenNumber = parseInt(screen, 10) || 1;
+  if (screenCount < 1 || screenNumber < 1 || screenNumber > screenCount) {
+    screenCount = 1;
+    screenNumber = 1;
+  }
+
+  const sourceList = (Array.isArray(sources) ? sources : String(sources || '').split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return {
+    mode,
+    columns: columnCount,
+    screen: screenNumber,
+    screens: screenCount,
+    sources: sourceList.length > 0 ? sourceList : null
+  };
+}
+
+/**
+ * Stable hash of an item ID, so an article stays on the same screen as the feed updates
+ */
+function hashId(id = '') {
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) {
+    hash = (hash * 31 + id.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Keep the cards this screen is responsible for
+ * @param {FeedItem[]} cards - Cards in display order
+ * @param {Object} layout - From normalizeLayout
+ * @returns {FeedItem[]}
+ */
+export function sliceForScreen(cards, { screen = 1, screens = 1, sources = null } = {}) {
+  return cards.filter(card => {
+    if (sources && !sources.includes(card.source)) return false;
+    return screens <= 1 || hashId(card.id) % screens === screen - 1;
+  });
+}
+
+/**
+ * Split cards into the columns of a layout
+ * @param {FeedItem[]} cards - Cards for this screen
+ * @param {Object} layout - From normalizeLayout
+ * @param {Object} config - App config (feed order and highlightKeywords)
+ * @returns {{key: string, title: string|null, icon: string|null, items: FeedItem[]}[]}
+ */
+export function buildColumns(cards, layout, config) {
+  if (layout.mode === 'split') {
+    const keywords = config?.highlightKeywords;
+    // Same rule as the critical card styling
+    const critical = card => getItemSeverity(card, keywords) === 'critical';
+    return [
+      { key: 'critical', title: 'Critical', icon: null, items: cards.filter(critical) },
+      { key: 'other', title: 'Everything else', icon: null, items: cards.filter(card => !critical(card)) }
+    ];
+  }
+
+  if (layout.mode === 'sources') {
+    // Columns follow the sources parameter, else the config's feed order
+    const order = layout.sources || (config?.feeds || []).map(feed => feed.name);
+    const names = [...new Set([...order, ...cards.map(card => card.source)])];
+    return names
+      .map(name => {
+        const items = cards.filter(card => card.source === name);
+        return { key: name, title: name, icon: items[0]?.sourceIcon || null, items };
+      })
+      .filter(column => column.items.length > 0 || layout.sources?.includes(column.key));
+  }
+
+  return [{ key: 'all', title: null, icon: null, items: cards }];
+}
@@ -0,0 +1,17 @@
+/**
+ * Service worker registration
+ * The worker (public/sw.js) caches the last good feed response and images so the
+ * wall keeps running through backend restarts. Browsers only allow service
+ * workers on HTTPS or localhost; elsewhere the app runs without the offline cache.
+ */
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL)
+      .catch(err => console.error('[Offline] Service worker registration failed:', err));
+  });
+}
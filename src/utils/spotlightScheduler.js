@@ -0,0 +1,130 @@
+/**
+ * Spotlight scheduling
+ * Picks which card the spotlight shows next and how long it stays there.
+ *
+ * 'sequential' walks the cards in page order. 'priority' scores every card by
+ * recency, severity and whether it has been shown yet. It skips stale cards and
+ * brings critical ones back sooner. Cards carry their data as data-* attributes
+ * (set by FeedItem), since the spotlight works on the rendered elements.
+ */
+
+export const SPOTLIGHT_MODES = ['sequential', 'priority'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const RECENCY_HALF_LIFE = 12 * HOUR_MS; // A card's recency weight halves every 12 hours
+const STALE_AGE = 7 * 24 * HOUR_MS; // Older non-critical cards are skipped in priority mode
+const BASE_COOLDOWN = 15 * 60 * 1000; // Time before a shown card scores fully again
+const UNSEEN_BOOST = 2;
+const CRITICAL_DWELL_MULTIPLIER = 2; // Critical cards stay in focus this many times longer
+const REFERENCE_LENGTH = 600; // Text length that gets the normal dwell time
+const MIN_LENGTH_FACTOR = 0.75;
+const MAX_LENGTH_FACTOR = 2;
+
+const SEVERITY_WEIGHTS = {
+  critical: 4,
+  high: 2.5,
+  medium: 1.5,
+  low: 1.1,
+  info: 1
+};
+
+/**
+ * Read scheduling data from a card element
+ */
+export function readCard(element) {
+  const { itemId, severity, published, length } = element.dataset;
+  return {
+    id: itemId,
+    severity: severity || null,
+    publishedAt: Number(published) || null,
+    length: Number(length) || 0
+  };
+}
+
+/**
+ * Priority score of a card (0 = don't show now)
+ * @param {Object} card - From readCard
+ * @param {{lastShownAt: number, timesShown: number}|undefined} history - When it was last shown
+ * @param {number} now - Current time in ms
+ * @returns {number}
+ */
+export function scoreCard(card, history, now) {
+  const severityWeight = SEVERITY_WEIGHTS[card.severity] || 1;
+  const age = card.publishedAt ? Math.max(0, now - card.publishedAt) : STALE_AGE / 2;
+
+  if (age > STALE_AGE && card.severity !== 'critical') return 0;
+
+  let score = severityWeight * (0.25 + Math.pow(0.5, age / RECENCY_HALF_LIFE));
+
+  if (!history) {
+    score *= UNSEEN_BOOST;
+  } else {
+    // Recently shown cards recover over the cooldown; more severe cards recover faster
+    const cooldown = BASE_COOLDOWN / severityWeight;
+    score *= Math.min(1, (now - history.lastShownAt) / cooldown);
+  }
+
+  return score;
+}
+
+/**
+ * Index of the card to show after currentIndex
+ * Falls back to the next card in order when nothing scores (e.g. every card is stale).
+ * @param {HTMLElement[]|NodeList} elements - Card elements in page order
+ * @param {number} currentIndex - Index of the card shown last
+ * @param {Map<string, {lastShownAt: number, timesShown: number}>} history - Shown cards by item ID
+ * @param {number} now - Current time in ms
+ * @returns {number}
+ */
+export function pickNextIndex(elements, currentIndex, history, now = Date.now()) {
+  const sequentialNext = (currentIndex + 1) % elements.length;
+  if (elements.length < 2) return sequentialNext;
+
+  let bestIndex = -1;
+  let bestScore = 0;
+  Array.from(elements).forEach((element, index) => {
+    if (index === currentIndex) return;
+    const card = readCard(element);
+    const score = scoreCard(card, history.get(card.id), now);
+    // Ties go to the card closest after the current one, so equal cards still rotate in order
+    const distance = (index - currentIndex + elements.length) % elements.length;
+    const bestDistance = (bestIndex - currentIndex + elements.length) % elements.length;
+    if (score > bestScore || (score === bestScore && score > 0 && distance < bestDistance)) {
+      bestIndex = index;
+      bestScore = score;
+    }
+  });
+
+  return bestIndex === -1 ? sequentialNext : bestIndex;
+}
+
+/**
+ * Remember that a card was shown
+ */
+export function recordShown(history, element, now = Date.now()) {
+  const id = element?.dataset.itemId;
+  if (!id) return;
+  const previous = history.get(id);
+  history.set(id, { lastShownAt: now, timesShown: (previous?.timesShown || 0) + 1 });
+}
+
+/**
+ * How long a card stays in focus
+ * Critical cards always get longer. In priority mode, longer articles do too.
+ * @param {HTMLElement} element - Card element
+ * @param {number} baseTime - Normal dwell time in ms
+ * @param {string} mode - Spotlight mode
+ * @returns {number}
+ */
+export function getDwellTime(element, baseTime, mode = 'sequential') {
+  if (!element) return baseTime;
+  let time = element.classList.contains('critical') ? baseTime * CRITICAL_DWELL_MULTIPLIER : baseTime;
+
+  if (mode === 'priority') {
+    const { length } = readCard(element);
+    const factor = Math.min(MAX_LENGTH_FACTOR, Math.max(MIN_LENGTH_FACTOR, length / REFERENCE_LENGTH));
+    time *= factor;
+  }
+
+  return Math.round(time);
+}